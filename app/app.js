@@ -0,0 +1,1183 @@
+import express from "express";
+import cors from "cors";
+import { createServer } from "http";
+import { Server } from "socket.io";
+import { fileURLToPath } from "url";
+import { basename, dirname, join } from "path";
+import { attachNeovim } from "./neovim.js";
+import { createLspCache } from "./cache.js";
+import { RULES_FILE, loadRules, checkRules } from "./rules.js";
+import { fileMetrics } from "./metrics.js";
+import { gitChanges, mapChanges } from "./changes.js";
+import { compareGraphs } from "./compare.js";
+import {
+  LOCAL_ORIGIN,
+  createToken,
+  requireToken,
+  tokenMatches,
+  workspacePath,
+  workspaceTarget,
+} from "./security.js";
+import { EXPORT_FORMATS, serializeGraph } from "./shared/export.js";
+import { findCycles } from "./shared/cycles.js";
+import { mergeSymbols } from "./shared/symbols.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Create a Terreno server: the Express app, its HTTP server and socket.io,
+ * with their own Neovim sessions, pending requests and LSP cache.
+ * server.js listens with one; the tests create one per case.
+ *
+ * Options:
+ *   - token: required by API requests and socket.io connections (default: random)
+ *   - requestTimeout: replaces the timeout of every Neovim request, in ms
+ */
+export function createTerrenoServer({ token = createToken(), requestTimeout } = {}) {
+  const app = express();
+  const server = createServer(app);
+  const io = new Server(server, {
+    cors: {
+      origin: LOCAL_ORIGIN,
+      methods: ["GET", "POST"],
+    },
+  });
+
+  // Registered Neovim instances (session id -> { id, name, socket, cwd, graph, connection })
+  // `connection` is the persistent msgpack-RPC client (a Promise resolving to it)
+  const sessions = new Map();
+  let sessionCounter = 0;
+
+  // Session whose graph arrived last (shown to new clients)
+  let latestSessionId = null;
+
+  // LSP results (document symbols, references, import expansions), see cache.js
+  // A saved file can gain a reference to anything: references go on every save
+  const lspCache = createLspCache({
+    maxEntries: Number(process.env.TERRENO_CACHE_SIZE) || 500,
+    dependsOnAnyFile: ["references"],
+  });
+
+  // Pending requests (request_id -> { resolve, reject, cleanup })
+  const pendingRequests = new Map();
+
+  // Neovim calls in flight, shared by identical requests (key -> { promise, waiters, controller })
+  const inFlightCalls = new Map();
+
+  // Calls sent to one Neovim at a time; the rest wait in line
+  const MAX_NEOVIM_CALLS = 4;
+  const neovimLimiters = new WeakMap();
+
+  /**
+   * Create a pending request that can be resolved externally.
+   * Returns { promise, requestId, cleanup }
+   */
+  function createPendingRequest(prefix, timeoutMs) {
+    const requestId = `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const { promise, resolve, reject } = Promise.withResolvers();
+    // Callers await the promise later; avoid an unhandled rejection if it times out first
+    promise.catch(() => {});
+
+    const timeout = requestTimeout ?? timeoutMs;
+    const timeoutId = setTimeout(() => {
+      pendingRequests.delete(requestId);
+      reject(new Error(`Timeout after ${timeout}ms`));
+    }, timeout);
+
+    const cleanup = () => {
+      clearTimeout(timeoutId);
+      pendingRequests.delete(requestId);
+    };
+
+    const wrappedResolve = (value) => {
+      cleanup();
+      resolve(value);
+    };
+
+    const wrappedReject = (err) => {
+      cleanup();
+      reject(err);
+    };
+
+    pendingRequests.set(requestId, { resolve: wrappedResolve, reject: wrappedReject, cleanup });
+
+    return { promise, requestId, cleanup };
+  }
+
+  /**
+   * Resolve a pending request by ID
+   */
+  function resolvePendingRequest(requestId, value) {
+    const pending = pendingRequests.get(requestId);
+    if (pending) {
+      pending.resolve(value);
+    }
+  }
+
+  /**
+   * Reject a pending request by ID
+   */
+  function rejectPendingRequest(requestId, err) {
+    const pending = pendingRequests.get(requestId);
+    if (pending) {
+      pending.reject(err);
+    }
+  }
+
+  /**
+   * Handle rpcnotify() messages sent by a session's Neovim on our channel
+   */
+  function handleNeovimNotification(session, method, args) {
+    if (method === "terreno_cursor") {
+      // Follow mode: editor cursor moved to another file / symbol
+      const [cursor] = args || [];
+      io.emit("cursor:update", { ...cursor, session: session.id });
+      return;
+    }
+
+    if (method === "terreno_invalidate") {
+      // A file was saved in Neovim
+      const [filepath] = args || [];
+      const removed = lspCache.invalidate(filepath);
+      if (removed) console.log("Cache invalidated:", filepath, removed, "entries");
+      if (session.cwd && filepath === join(session.cwd, RULES_FILE)) {
+        broadcastRules(session);
+      }
+      if (session.changesRef) {
+        broadcastChanges(session);
+      }
+      return;
+    }
+
+    const [requestId, payload] = args || [];
+    if (method === "terreno_result") {
+      resolvePendingRequest(requestId, payload);
+    } else if (method === "terreno_error") {
+      console.error("Neovim error:", requestId, payload);
+      rejectPendingRequest(requestId, new Error(payload));
+    }
+  }
+
+  /**
+   * Look up a session by ID.
+   * Without an ID, falls back to the session that sent the latest graph
+   * (or the last registered one) so single-instance clients keep working.
+   */
+  function getSession(id) {
+    if (id) {
+      return sessions.get(id) || null;
+    }
+    if (latestSessionId && sessions.has(latestSessionId)) {
+      return sessions.get(latestSessionId);
+    }
+    return Array.from(sessions.values()).pop() || null;
+  }
+
+  // Public view of the registered sessions for the browser
+  function listSessions() {
+    return Array.from(sessions.values()).map(({ id, name, cwd, graph }) => ({
+      id,
+      name,
+      cwd,
+      hasGraph: !!graph,
+    }));
+  }
+
+  function broadcastSessions() {
+    io.emit("sessions:update", listSessions());
+  }
+
+  function removeSession(id) {
+    if (!sessions.delete(id)) return;
+    console.log("Session removed:", id);
+    if (latestSessionId === id) {
+      latestSessionId = null;
+    }
+    broadcastSessions();
+  }
+
+  // Working directories of the registered sessions: the only places files are read from
+  function workspaceRoots() {
+    return Array.from(sessions.values())
+      .map((s) => s.cwd)
+      .filter(Boolean);
+  }
+
+  // Read a file for the browser, refusing anything outside the workspace roots
+  async function readWorkspaceFile(session, filepath) {
+    const fs = await import("fs/promises");
+    const fullPath = await workspacePath(resolvePath(session, filepath), workspaceRoots());
+    return fs.readFile(fullPath, "utf-8");
+  }
+
+  // Resolve a path relative to the session's working directory
+  function resolvePath(session, filepath) {
+    if (!filepath.startsWith("/") && session?.cwd) {
+      return join(session.cwd, filepath);
+    }
+    return filepath;
+  }
+
+  /**
+   * Get the RPC client for a session's Neovim, attaching on first use.
+   * The connection is reused until it closes; when it does, Neovim has gone away
+   * and the session is dropped.
+   */
+  function getNeovimClient(session) {
+    if (!session) {
+      return Promise.reject(new Error("Neovim not connected"));
+    }
+
+    if (!session.connection) {
+      const { id, socket: address } = session;
+      const connection = attachNeovim(address).then(async (client) => {
+        console.log("Neovim RPC attached:", id, address, "channel:", client.channelId);
+        client.on("notification", (method, args) => handleNeovimNotification(session, method, args));
+        client.on("close", () => {
+          console.log("Neovim RPC closed:", id);
+          if (session.connection === connection) {
+            session.connection = null;
+            removeSession(id);
+          }
+        });
+        // Let Neovim push events (e.g. cursor updates) on this channel
+        await client
+          .execLua('require("terreno").set_server_channel(...)', [client.channelId])
+          .catch((err) => console.error("Neovim channel setup error:", id, err.message));
+        return client;
+      });
+      connection.catch(() => {
+        if (session.connection === connection) {
+          session.connection = null;
+        }
+      });
+      session.connection = connection;
+    }
+
+    return session.connection;
+  }
+
+  // Execute Lua in a session's Neovim; args are passed as real values and available as `...`
+  async function execLua(session, code, args = []) {
+    const client = await getNeovimClient(session);
+    return client.execLua(code, args);
+  }
+
+  /**
+   * Call an async Terreno Lua function and wait for the value it passes to its callback.
+   * Neovim answers with a `terreno_result` notification carrying the request ID.
+   * `signal` (AbortSignal) stops waiting; it rejects with an AbortError.
+   */
+  async function callNeovim(session, prefix, module, fn, args, timeoutMs, { signal } = {}) {
+    // Identical requests already on their way share the answer
+    const key = `${session?.id}|${module}.${fn}|${JSON.stringify(args)}`;
+    let call = inFlightCalls.get(key);
+    if (!call) {
+      const controller = new AbortController();
+      const entry = {
+        waiters: 0,
+        controller,
+        promise: runNeovimCall(session, prefix, module, fn, args, timeoutMs, controller.signal),
+      };
+      inFlightCalls.set(key, entry);
+      entry.promise.catch(() => {}).finally(() => dropInFlightCall(key, entry));
+      call = entry;
+    }
+
+    call.waiters += 1;
+    if (!signal) return call.promise;
+
+    // Give up waiting when the caller aborts; the work itself is only
+    // cancelled once nobody is waiting for it any more
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        call.waiters -= 1;
+        if (call.waiters === 0) {
+          // Later identical requests start over instead of sharing the cancellation
+          dropInFlightCall(key, call);
+          call.controller.abort();
+        }
+        reject(abortError());
+      };
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener("abort", onAbort, { once: true });
+      call.promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  }
+
+  function dropInFlightCall(key, call) {
+    if (inFlightCalls.get(key) === call) inFlightCalls.delete(key);
+  }
+
+  /**
+   * Run a Neovim call once a slot is free (at most MAX_NEOVIM_CALLS per session).
+   * Aborting drops it from the queue, or asks Neovim to cancel its LSP requests.
+   */
+  async function runNeovimCall(session, prefix, module, fn, args, timeoutMs, signal) {
+    const client = await getNeovimClient(session);
+    await acquireNeovimSlot(session, signal);
+    // Aborted while the slot was handed over
+    if (signal.aborted) {
+      releaseNeovimSlot(session);
+      throw abortError();
+    }
+
+    const { promise, requestId, cleanup } = createPendingRequest(prefix, timeoutMs);
+    // Let Neovim drop the LSP work nobody will read
+    const cancelInNeovim = () =>
+      client
+        .execLua('require("terreno").cancel_request(...)', [requestId])
+        .catch((err) => console.error("Cancel error:", requestId, err.message));
+    const onAbort = () => rejectPendingRequest(requestId, abortError());
+    signal.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      await client.execLua('require("terreno").rpc_request(...)', [
+        client.channelId,
+        requestId,
+        module,
+        fn,
+        args,
+        args.length,
+      ]);
+      return await promise;
+    } catch (err) {
+      cleanup();
+      // Aborted or timed out (a no-op if Neovim already answered with an error)
+      cancelInNeovim();
+      throw err;
+    } finally {
+      signal.removeEventListener("abort", onAbort);
+      releaseNeovimSlot(session);
+    }
+  }
+
+  const abortError = () => Object.assign(new Error("Request aborted"), { name: "AbortError" });
+
+  // Wait for one of the session's call slots
+  function acquireNeovimSlot(session, signal) {
+    if (signal.aborted) return Promise.reject(abortError());
+
+    let limiter = neovimLimiters.get(session);
+    if (!limiter) {
+      limiter = { active: 0, queue: [] };
+      neovimLimiters.set(session, limiter);
+    }
+
+    if (limiter.active < MAX_NEOVIM_CALLS) {
+      limiter.active += 1;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        start: () => {
+          signal.removeEventListener("abort", onAbort);
+          limiter.active += 1;
+          resolve();
+        },
+      };
+      const onAbort = () => {
+        limiter.queue.splice(limiter.queue.indexOf(waiter), 1);
+        reject(abortError());
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+      limiter.queue.push(waiter);
+    });
+  }
+
+  function releaseNeovimSlot(session) {
+    const limiter = neovimLimiters.get(session);
+    limiter.active -= 1;
+    limiter.queue.shift()?.start();
+  }
+
+  /**
+   * AbortSignal that fires when the HTTP client goes away before the response
+   * (e.g. the browser aborted a stale hover request)
+   */
+  function requestSignal(res) {
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    return controller.signal;
+  }
+
+  // Middleware
+  app.use(cors({ origin: LOCAL_ORIGIN }));
+  app.use(express.json({ limit: "10mb" }));
+  app.use(express.static(join(__dirname, "client/dist")));
+  app.use("/api", requireToken(token));
+
+  // API endpoint for health check
+  app.get("/api/health", (req, res) => {
+    res.json({ status: "ok", neovim: sessions.size > 0, sessions: sessions.size });
+  });
+
+  // API endpoint to register a Neovim instance (one session per socket)
+  app.post("/api/register", (req, res) => {
+    const { socket, cwd, name } = req.body;
+
+    let session = Array.from(sessions.values()).find((s) => s.socket === socket);
+    if (!session) {
+      sessionCounter += 1;
+      session = { id: `nvim_${sessionCounter}`, socket, graph: null, connection: null };
+      sessions.set(session.id, session);
+    }
+    session.cwd = cwd;
+    session.name = name || basename(cwd || "") || session.id;
+
+    console.log("Neovim registered:", { id: session.id, socket, cwd });
+
+    // Attach right away so the session goes away when that Neovim exits
+    getNeovimClient(session).catch((err) => {
+      console.error("Neovim RPC attach error:", session.id, err.message);
+    });
+
+    broadcastSessions();
+    res.json({ status: "ok", session: session.id });
+  });
+
+  /**
+   * Check the session's graph against the project's architecture rules (rules.js).
+   * The result is kept on the graph (`graph.rules`) so late-joining browsers get
+   * it, and the violations are mirrored into Neovim as diagnostics.
+   */
+  async function evaluateRules(session) {
+    const graph = session?.graph;
+    if (!graph) return null;
+
+    const { rules, error } = await loadRules(session.cwd);
+    const violations = checkRules(rules, graph, session.cwd);
+    graph.rules = { count: rules.length, violations, error };
+    if (error) console.error("Rules error:", session.id, error);
+
+    // Only talk to Neovim when there is something to show or to clear
+    const previous = session.reportedRules || { violations: 0, error: null };
+    if (violations.length > 0 || previous.violations > 0 || error !== previous.error) {
+      session.reportedRules = { violations: violations.length, error };
+      getNeovimClient(session)
+        .then((client) =>
+          client.execLua('require("terreno.rules").set_diagnostics(...)', [violations, error])
+        )
+        .catch((err) => console.error("Rules diagnostics error:", session.id, err.message));
+    }
+
+    return graph.rules;
+  }
+
+  // Re-check the rules and send the result to the browsers
+  async function broadcastRules(session) {
+    const rules = await evaluateRules(session);
+    if (rules) {
+      io.emit("rules:update", { ...rules, session: session.id });
+    }
+  }
+
+  /**
+   * Compare the session's working tree with the git ref of `:Terreno diff`
+   * (changes.js) and map the changed hunks onto the graph. Kept on the graph
+   * (`graph.changes`) like the rules; null when the diff mode is off.
+   */
+  async function evaluateChanges(session) {
+    const graph = session?.graph;
+    if (!graph) return null;
+    if (!session.changesRef) {
+      graph.changes = null;
+      return null;
+    }
+
+    try {
+      graph.changes = mapChanges(graph, await gitChanges(session.cwd, session.changesRef));
+    } catch (err) {
+      console.error("Changes error:", session.id, err.message);
+      graph.changes = { ref: session.changesRef, error: err.message, files: [], counts: null };
+    }
+    return graph.changes;
+  }
+
+  // Re-run the git diff and send the result to the browsers
+  async function broadcastChanges(session) {
+    if (!session?.graph) return;
+    const changes = await evaluateChanges(session);
+    io.emit("changes:update", { changes, session: session.id });
+  }
+
+  // API endpoint to receive graph from Neovim (?session=<id>)
+  app.post("/api/graph", async (req, res) => {
+    const graph = req.body;
+    const session = getSession(req.query.session);
+    console.log("Graph received from Neovim:", session?.id, graph.nodes?.length, "nodes");
+    // Add session and cwd to graph for routing requests and resolving relative paths
+    graph.session = session?.id || null;
+    graph.cwd = session?.cwd || null;
+    // Store for new clients
+    if (session) {
+      session.graph = graph;
+      latestSessionId = session.id;
+      await evaluateRules(session);
+      await evaluateChanges(session);
+      broadcastSessions();
+    }
+    io.emit("graph:data", graph);
+    res.json({ status: "ok" });
+  });
+
+  // Apply an incremental diff to a stored graph so late-joining clients see it
+  function applyGraphDiff(graph, diff) {
+    const node = graph.nodes?.find((n) => n.id === diff.file);
+    if (node) {
+      node.data = { ...node.data, symbols: mergeSymbols(node.data?.symbols, diff.symbols) };
+    }
+
+    const nodeIds = new Set((graph.nodes || []).map((n) => n.id));
+    for (const added of diff.nodes?.added || []) {
+      if (!nodeIds.has(added.id)) {
+        graph.nodes.push(added);
+        nodeIds.add(added.id);
+      }
+    }
+
+    const isRemoved = (edge) =>
+      (diff.edges?.removed || []).some((r) => r.source === edge.source && r.target === edge.target);
+    graph.edges = (graph.edges || []).filter((e) => !isRemoved(e));
+    for (const added of diff.edges?.added || []) {
+      if (!graph.edges.some((e) => e.source === added.source && e.target === added.target)) {
+        graph.edges.push(added);
+      }
+    }
+  }
+
+  // API endpoint to receive incremental graph updates from Neovim watch mode (?session=<id>)
+  app.post("/api/graph/diff", async (req, res) => {
+    const diff = req.body;
+    const session = getSession(req.query.session);
+    console.log(
+      "Graph diff received:",
+      session?.id,
+      diff.file,
+      "symbols +",
+      diff.symbols?.added?.length || 0,
+      "-",
+      diff.symbols?.removed?.length || 0,
+      "edges +",
+      diff.edges?.added?.length || 0,
+      "-",
+      diff.edges?.removed?.length || 0
+    );
+
+    if (session?.graph) {
+      applyGraphDiff(session.graph, diff);
+    }
+    // Ranges moved: cached LSP results for this file are stale
+    lspCache.invalidate(diff.file);
+
+    io.emit("graph:diff", { ...diff, session: session?.id || null });
+    // Added or removed imports may break or fix a rule
+    if (diff.edges?.added?.length || diff.edges?.removed?.length) {
+      await broadcastRules(session);
+    }
+    // Symbols moved, so did the changed ones
+    if (session?.changesRef) {
+      await broadcastChanges(session);
+    }
+    res.json({ status: "ok" });
+  });
+
+  // API endpoint listing the import cycles of the session's graph (?session=<id>)
+  app.post("/api/cycles", (req, res) => {
+    const session = getSession(req.query.session);
+    if (!session?.graph) {
+      res.status(404).json({ status: "error", message: "No graph yet, run :Terreno project first" });
+      return;
+    }
+
+    const cycles = findCycles(session.graph.edges || []);
+    console.log("Cycles request:", session.id, cycles.length, "cycles");
+    res.json({ status: "ok", cycles });
+  });
+
+  // API endpoint for the git diff overlay (?session=<id>): { ref } compares the
+  // working tree with `ref`, { ref: null } turns the overlay off
+  app.post("/api/changes", async (req, res) => {
+    const session = getSession(req.query.session);
+    const { ref = "HEAD" } = req.body;
+    console.log("Changes request:", session?.id, ref);
+
+    if (ref !== null && typeof ref !== "string") {
+      res.status(400).json({ status: "error", message: "Expected { ref: string | null }" });
+      return;
+    }
+    if (!session?.graph) {
+      res.status(404).json({ status: "error", message: "No graph yet, run :Terreno project first" });
+      return;
+    }
+
+    let changes = null;
+    if (ref) {
+      try {
+        changes = mapChanges(session.graph, await gitChanges(session.cwd, ref));
+      } catch (err) {
+        console.error("Changes error:", session.id, err.message);
+        res.status(400).json({ status: "error", message: err.message });
+        return;
+      }
+    }
+
+    session.changesRef = ref;
+    session.graph.changes = changes;
+    io.emit("changes:update", { changes, session: session.id });
+    res.json({
+      status: "ok",
+      ...(changes && { ref, base: changes.base, counts: changes.counts }),
+    });
+  });
+
+  // API endpoint comparing two graph documents ({ before, after }): answers the
+  // union graph with added / removed files, symbols and edges tagged (compare.js)
+  app.post("/api/compare", (req, res) => {
+    const { before, after, session: sessionId } = req.body;
+    console.log("Compare request:", before?.nodes?.length, "->", after?.nodes?.length, "nodes");
+
+    if (!Array.isArray(before?.nodes) || !Array.isArray(after?.nodes)) {
+      res.status(400).json({ status: "error", message: "Expected { before, after } graphs with nodes" });
+      return;
+    }
+
+    const graph = compareGraphs(before, after);
+    // Navigation from the comparison still goes to the browser's Neovim
+    const session = getSession(sessionId);
+    graph.session = session?.id || null;
+    graph.cwd = session?.cwd || null;
+    res.json({ status: "ok", graph });
+  });
+
+  // API endpoint for file metrics: line counts and, with `churn`, commits per file
+  app.post("/api/metrics", async (req, res) => {
+    const { files, churn, since, session: sessionId } = req.body;
+    console.log("Metrics request:", files?.length, "files", churn ? "with churn" : "", sessionId);
+
+    if (!Array.isArray(files) || (since !== undefined && typeof since !== "string")) {
+      res.status(400).json({ status: "error", message: "Expected { files: string[], churn?, since? }" });
+      return;
+    }
+
+    try {
+      const session = getSession(sessionId);
+      const paths = files.map((file) => resolvePath(session, String(file)));
+      // Files outside the workspace get no stats
+      const roots = workspaceRoots();
+      const inside = await Promise.all(
+        paths.map((path) => workspacePath(path, roots).then(() => true, () => false))
+      );
+      const result = await fileMetrics(
+        paths.filter((_, i) => inside[i]),
+        { cwd: session?.cwd, churn: !!churn, since }
+      );
+      // Keyed by the paths the browser sent
+      const stats = Object.fromEntries(
+        files.map((file, i) => [file, result.files[paths[i]] || { lines: null, churn: null }])
+      );
+      res.json({ status: "ok", files: stats, churn: result.churn });
+    } catch (err) {
+      console.error("Metrics error:", err.message);
+      res.status(500).json({ status: "error", message: err.message });
+    }
+  });
+
+  // Call hierarchy directions: callers, callees or both
+  const CALL_DIRECTIONS = ["outgoing", "incoming", "both"];
+
+  // API endpoint to request node expansion
+  app.post("/api/expand", async (req, res) => {
+    const { filepath, line, col, direction = "outgoing", session } = req.body;
+    console.log("Expand request:", { filepath, line, col, direction, session });
+
+    if (!CALL_DIRECTIONS.includes(direction)) {
+      res.status(400).json({ status: "error", message: `Unknown direction: ${direction}` });
+      return;
+    }
+
+    try {
+      const result = await callNeovim(getSession(session), "expand", "terreno.lsp", "expand_node", [filepath, line, col || 5, direction], 10000);
+      console.log("Expand result:", "nodes:", result?.nodes?.length, "edges:", result?.edges?.length);
+      res.json({ status: "ok", nodes: [], edges: [], ...result });
+    } catch (err) {
+      console.error("Expand error:", err.message);
+      res.json({ status: "ok", nodes: [], edges: [] });
+    }
+  });
+
+  // API endpoint to get LSP references for a symbol
+  app.post("/api/references", async (req, res) => {
+    const { filepath, line, name, session } = req.body;
+    console.log("References request:", { filepath, line, name, session });
+
+    try {
+      // Each reference: { filepath, line, col, symbol: enclosing { name, kind, line } | undefined }
+      const signal = requestSignal(res);
+      const neovim = getSession(session);
+      const fullPath = resolvePath(neovim, filepath);
+      const references = await lspCache.getOrCompute(
+        "references",
+        `${neovim?.cwd}:${fullPath}:${line}:${name}`,
+        fullPath,
+        () => callNeovim(neovim, "refs", "terreno.lsp", "find_references", [fullPath, line, name], 5000, { signal }),
+        (refs) => refs.map((ref) => ref.filepath)
+      );
+      const files = [...new Set((references || []).map((ref) => ref.filepath))];
+      res.json({ status: "ok", files, references: references || [] });
+    } catch (err) {
+      // The browser moved on to another symbol
+      if (err.name === "AbortError") return;
+      console.error("References error:", err.message);
+      res.json({ status: "ok", files: [], references: [] });
+    }
+  });
+
+  // API endpoint to expand a file's imports (drill down)
+  app.post("/api/expand-file", async (req, res) => {
+    const { filepath, session } = req.body;
+    console.log("Expand file request:", filepath, session);
+
+    try {
+      const neovim = getSession(session);
+      const fullPath = resolvePath(neovim, filepath);
+      // Imported files' nodes carry their symbols: they are dependencies too
+      const result = await lspCache.getOrCompute(
+        "imports",
+        `${neovim?.cwd}:${fullPath}`,
+        fullPath,
+        () => callNeovim(neovim, "expandfile", "terreno.lsp", "expand_file_imports", [fullPath], 15000),
+        (value) => (value.nodes || []).map((node) => node.data?.filepath).filter(Boolean)
+      );
+      res.json({ status: "ok", nodes: [], edges: [], ...result });
+    } catch (err) {
+      console.error("Expand file error:", err.message);
+      res.json({ status: "ok", nodes: [], edges: [] });
+    }
+  });
+
+  // API endpoint for LSP workspace/symbol search (command palette)
+  app.post("/api/workspace-symbols", async (req, res) => {
+    const { query, session: sessionId } = req.body;
+    console.log("Workspace symbols request:", query, sessionId);
+
+    try {
+      const session = getSession(sessionId);
+      const symbols = await callNeovim(session, "wsymbols", "terreno.lsp", "get_workspace_symbols", [query || ""], 5000);
+      const root = session.cwd ? session.cwd.replace(/\/$/, "") + "/" : "";
+      // Only project files: dependencies can't be shown as graph nodes
+      const projectSymbols = (Array.isArray(symbols) ? symbols : [])
+        .filter((s) => s.filepath.startsWith(root) && !s.filepath.includes("/node_modules/"))
+        .slice(0, 50)
+        .map((s) => ({ ...s, path: s.filepath.slice(root.length) }));
+      res.json({ status: "ok", symbols: projectSymbols });
+    } catch (err) {
+      console.error("Workspace symbols error:", err.message);
+      res.json({ status: "error", message: err.message, symbols: [] });
+    }
+  });
+
+  // API endpoint to build a file node for a file not in the graph yet
+  app.post("/api/file-node", async (req, res) => {
+    const { filepath, session: sessionId } = req.body;
+    console.log("File node request:", filepath, sessionId);
+
+    try {
+      const session = getSession(sessionId);
+      const node = await callNeovim(session, "filenode", "terreno.lsp", "get_file_node", [resolvePath(session, filepath)], 10000);
+      res.json(node ? { status: "ok", node } : { status: "error", message: "No symbols found" });
+    } catch (err) {
+      console.error("File node error:", err.message);
+      res.json({ status: "error", message: err.message });
+    }
+  });
+
+  // API endpoint to get the type hierarchy (supertypes / subtypes) of a class or interface
+  app.post("/api/types", async (req, res) => {
+    const { filepath, line, name, session: sessionId } = req.body;
+    console.log("Types request:", { filepath, line, name, session: sessionId });
+
+    try {
+      const session = getSession(sessionId);
+      const result = await callNeovim(session, "types", "terreno.lsp", "get_type_hierarchy", [resolvePath(session, filepath), line, name], 15000);
+      if (!result?.nodes?.length) {
+        res.json({ status: "error", message: "No type hierarchy available" });
+        return;
+      }
+      res.json({ status: "ok", ...result });
+    } catch (err) {
+      console.error("Types error:", err.message);
+      res.json({ status: "error", message: err.message });
+    }
+  });
+
+  // API endpoint to inspect the LSP result cache
+  app.get("/api/cache", (req, res) => {
+    res.json({ status: "ok", ...lspCache.inspect() });
+  });
+
+  // API endpoint to clear the cache: everything, one ?kind=, or ?file= (as if it was saved)
+  app.delete("/api/cache", (req, res) => {
+    const { kind, file } = req.query;
+    const removed = file ? lspCache.invalidate(file) : lspCache.clear(kind);
+    console.log("Cache cleared:", { kind, file, removed });
+    res.json({ status: "ok", removed });
+  });
+
+  // Request document symbols from Neovim and wait for response
+  async function requestSymbols(session, filepath) {
+    return lspCache.getOrCompute("symbols", filepath, filepath, async () => {
+      console.log("Requesting symbols from Neovim:", filepath);
+      const symbols = await callNeovim(session, "symbols", "terreno", "file_symbols", [filepath], 5000);
+      console.log("Symbols received:", filepath, symbols?.length, "symbols");
+      return symbols;
+    });
+  }
+
+  // Find symbol in list by name and line
+  function findSymbolByLine(symbols, line, name) {
+    if (!symbols) return null;
+
+    // Try exact match by line
+    let match = symbols.find((s) => s.line === line);
+    if (match) return match;
+
+    // Try match by name
+    match = symbols.find((s) => s.name === name || s.name.endsWith("." + name));
+    if (match) return match;
+
+    return null;
+  }
+
+  /**
+   * Ask connected browsers for their current state of a session's graph
+   * (export content, saved view). Browsers showing another session answer null.
+   */
+  async function requestFromBrowsers(session, event, payload) {
+    for (const socket of io.sockets.sockets.values()) {
+      let result;
+      try {
+        result = await socket
+          .timeout(10000)
+          .emitWithAck(event, { ...payload, session: session?.id || null });
+      } catch {
+        // Browser did not answer in time, try the next one
+        continue;
+      }
+      if (result?.error) {
+        throw new Error(result.error);
+      }
+      if (result) {
+        return result;
+      }
+    }
+    return null;
+  }
+
+  // API endpoint to export the current graph to a file (?session=<id>)
+  app.post("/api/export", async (req, res) => {
+    const { format, path } = req.body;
+    const session = getSession(req.query.session);
+    console.log("Export request:", { format, path, session: session?.id });
+
+    if (!EXPORT_FORMATS[format]) {
+      res.status(400).json({ status: "error", message: `Unknown format: ${format}` });
+      return;
+    }
+
+    try {
+      let result = await requestFromBrowsers(session, "export:request", { format });
+
+      // No browser open: serialize the graph Neovim sent last
+      if (!result) {
+        if (format === "png") {
+          throw new Error("PNG export needs the browser open");
+        }
+        if (!session?.graph) {
+          throw new Error("No graph to export");
+        }
+        result = {
+          content: serializeGraph(format, session.graph.nodes || [], session.graph.edges || []),
+          encoding: "utf8",
+        };
+      }
+
+      const fs = await import("fs/promises");
+      // Only write inside the workspace, like file reads
+      const fullPath = await workspaceTarget(
+        resolvePath(session, path || `terreno-graph.${EXPORT_FORMATS[format].ext}`),
+        workspaceRoots()
+      );
+      await fs.writeFile(fullPath, result.content, result.encoding);
+
+      res.json({ status: "ok", path: fullPath });
+    } catch (err) {
+      console.error("Export error:", err.message);
+      res.status(500).json({ status: "error", message: err.message });
+    }
+  });
+
+  // Saved views live in <cwd>/.terreno/views/<name>.json
+  const VIEW_NAME_PATTERN = /^[\w-][\w.-]*$/;
+
+  function getViewsDir(session) {
+    if (!session?.cwd) {
+      throw new Error("No Neovim session");
+    }
+    return join(session.cwd, ".terreno", "views");
+  }
+
+  function getViewPath(session, name) {
+    if (typeof name !== "string" || !VIEW_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid view name: ${name}`);
+    }
+    return join(getViewsDir(session), `${name}.json`);
+  }
+
+  // API endpoint to list saved views (?session=<id>)
+  app.get("/api/views", async (req, res) => {
+    try {
+      const fs = await import("fs/promises");
+      const dir = getViewsDir(getSession(req.query.session));
+      const files = await fs.readdir(dir).catch(() => []);
+      const views = files
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => file.slice(0, -".json".length))
+        .sort();
+      res.json({ status: "ok", views });
+    } catch (err) {
+      res.status(500).json({ status: "error", message: err.message });
+    }
+  });
+
+  // API endpoint to save the browser's current view (?session=<id>)
+  // The browser posts its own view; Neovim posts only a name and the view is
+  // requested from the browser showing the session.
+  app.post("/api/views", async (req, res) => {
+    const { name } = req.body;
+    const session = getSession(req.query.session);
+    console.log("Save view:", { name, session: session?.id });
+
+    try {
+      const fullPath = getViewPath(session, name);
+      const view = req.body.view || (await requestFromBrowsers(session, "view:request", {}));
+      if (!view?.graph) {
+        throw new Error("Open the graph in the browser to save a view");
+      }
+
+      const fs = await import("fs/promises");
+      await fs.mkdir(dirname(fullPath), { recursive: true });
+      await fs.writeFile(
+        fullPath,
+        JSON.stringify({ ...view, name, savedAt: new Date().toISOString() }, null, 2) + "\n"
+      );
+
+      res.json({ status: "ok", name, path: fullPath });
+    } catch (err) {
+      console.error("Save view error:", err.message);
+      res.status(500).json({ status: "error", message: err.message });
+    }
+  });
+
+  // API endpoint to load a saved view into the browser (?session=<id>)
+  app.post("/api/views/load", async (req, res) => {
+    const { name } = req.body;
+    const session = getSession(req.query.session);
+    console.log("Load view:", { name, session: session?.id });
+
+    try {
+      const fs = await import("fs/promises");
+      let view;
+      try {
+        view = JSON.parse(await fs.readFile(getViewPath(session, name), "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") {
+          throw new Error(`No view named ${name}`);
+        }
+        throw err;
+      }
+
+      // The view's graph becomes the session graph so late-joining browsers get it
+      session.graph = { ...view.graph, session: session.id, cwd: session.cwd };
+      latestSessionId = session.id;
+      io.emit("view:load", { ...view, session: session.id });
+
+      res.json({ status: "ok", name });
+    } catch (err) {
+      console.error("Load view error:", err.message);
+      res.status(500).json({ status: "error", message: err.message });
+    }
+  });
+
+  // API endpoint for navigation (browser -> Neovim)
+  app.post("/api/navigate", async (req, res) => {
+    const { filepath, line, session: sessionId } = req.body;
+    console.log("Navigate request:", { filepath, line, session: sessionId });
+
+    try {
+      const session = getSession(sessionId);
+      // Resolve relative path if needed
+      const fullPath = resolvePath(session, filepath);
+
+      await execLua(session, 'require("terreno").navigate_to(...)', [fullPath, line || 0]);
+      res.json({ status: "ok" });
+    } catch (err) {
+      console.error("Navigate error:", err.message);
+      res.status(500).json({ status: "error", message: err.message });
+    }
+  });
+
+  // API endpoint to get code snippet
+  app.post("/api/code", async (req, res) => {
+    const { filepath, line, context, session } = req.body;
+    console.log("Code request:", { filepath, line, context });
+
+    try {
+      // Read file directly from server
+      const content = await readWorkspaceFile(getSession(session), filepath);
+      const lines = content.split("\n");
+      const ctx = context || 5;
+      const startLine = Math.max(0, line - ctx - 1);
+      const endLine = Math.min(lines.length, line + ctx);
+
+      const snippet = lines.slice(startLine, endLine).map((text, i) => ({
+        num: startLine + i + 1,
+        text,
+      }));
+
+      res.json({ status: "ok", lines: snippet });
+    } catch (err) {
+      console.error("Code read error:", err.message);
+      res.status(500).json({ status: "error", message: err.message });
+    }
+  });
+
+  // Socket.io connections need the token too (`auth: { token }` in the client)
+  io.use((socket, next) => {
+    if (tokenMatches(token, socket.handshake.auth?.token)) {
+      next();
+      return;
+    }
+    next(new Error("Missing or invalid token"));
+  });
+
+  // Socket.io connection
+  io.on("connection", (socket) => {
+    console.log("Client connected:", socket.id);
+
+    // Send registered Neovim sessions
+    socket.emit("sessions:update", listSessions());
+
+    // Send latest graph to new client
+    const latest = getSession();
+    if (latest?.graph) {
+      socket.emit("graph:data", latest.graph);
+    }
+
+    // Browser switched to another session: reply with its graph (or null)
+    socket.on("session:graph", ({ session }, callback) => {
+      console.log("Session graph request:", session);
+      callback(sessions.get(session)?.graph || null);
+    });
+
+    // Receive graph data from Neovim
+    socket.on("graph:update", (data) => {
+      console.log("Graph update received");
+      io.emit("graph:data", data);
+    });
+
+    // Handle navigation request from browser
+    socket.on("navigate", async ({ filepath, line, session: sessionId }) => {
+      console.log("Socket navigate:", { filepath, line, session: sessionId });
+      try {
+        const session = getSession(sessionId);
+        const fullPath = resolvePath(session, filepath);
+        await execLua(session, 'require("terreno").navigate_to(...)', [fullPath, line || 0]);
+        socket.emit("navigate:success");
+      } catch (err) {
+        socket.emit("navigate:error", { message: err.message });
+      }
+    });
+
+    // Handle code snippet request
+    socket.on("code:request", async ({ filepath, line, end_line, name, context, session: sessionId }, callback) => {
+      console.log("Socket code request:", { filepath, line, end_line, name, session: sessionId });
+      try {
+        const session = getSession(sessionId);
+        const fullPath = resolvePath(session, filepath);
+
+        const content = await readWorkspaceFile(session, fullPath);
+        const lines = content.split("\n");
+
+        let startLine, endLine;
+
+        if (end_line && end_line > line) {
+          // Use the symbol's actual range from LSP
+          startLine = Math.max(0, line - 1);
+          endLine = Math.min(lines.length, end_line);
+        } else {
+          // Need to get the real range from documentSymbols
+          try {
+            const symbols = await requestSymbols(session, fullPath);
+            const symbol = findSymbolByLine(symbols, line, name);
+
+            if (symbol && symbol.end_line && symbol.end_line > symbol.line) {
+              console.log("Found symbol with range:", symbol.name, symbol.line, "-", symbol.end_line);
+              startLine = Math.max(0, symbol.line - 1);
+              endLine = Math.min(lines.length, symbol.end_line);
+            } else {
+              // Fallback to context-based
+              console.log("Symbol not found or no range, using context");
+              const ctx = context || 5;
+              startLine = Math.max(0, line - ctx - 1);
+              endLine = Math.min(lines.length, line + ctx);
+            }
+          } catch (err) {
+            // Timeout or error getting symbols, fallback to context
+            console.log("Error getting symbols:", err.message);
+            const ctx = context || 5;
+            startLine = Math.max(0, line - ctx - 1);
+            endLine = Math.min(lines.length, line + ctx);
+          }
+        }
+
+        const snippet = lines.slice(startLine, endLine).map((text, i) => ({
+          num: startLine + i + 1,
+          text,
+        }));
+
+        callback({ status: "ok", lines: snippet });
+      } catch (err) {
+        callback({ status: "error", message: err.message });
+      }
+    });
+
+    socket.on("disconnect", () => {
+      console.log("Client disconnected:", socket.id);
+    });
+  });
+
+  /**
+   * Stop serving: reject the pending Neovim requests, close the Neovim
+   * connections and the socket.io and HTTP servers
+   */
+  async function close() {
+    for (const pending of pendingRequests.values()) {
+      pending.reject(new Error("Server closed"));
+    }
+    for (const session of sessions.values()) {
+      session.connection?.then((client) => client.close()).catch(() => {});
+    }
+    sessions.clear();
+    await new Promise((resolve) => io.close(() => resolve()));
+  }
+
+  return { app, server, io, sessions, token, close };
+}
@@ -0,0 +1,150 @@
+import { stat } from "fs/promises";
+
+/**
+ * LRU cache for LSP results (document symbols, references, import expansions).
+ *
+ * Every entry remembers the mtime and size of the files it was computed from
+ * and is dropped on read when one of them changed on disk. Neovim also pushes
+ * invalidations on save, which catches edits within the mtime resolution.
+ * Kinds listed in `dependsOnAnyFile` (references) are dropped on every save,
+ * since a reference can be added to any file.
+ */
+export function createLspCache({ maxEntries = 500, dependsOnAnyFile = [] } = {}) {
+  // kind + key -> { kind, key, files: Map(path -> stamp), value, hits, createdAt }
+  // Map iteration order is insertion order: the first entry is the least recently used
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+  const entryKey = (kind, key) => `${kind}\0${key}`;
+
+  // Identity of a file's content on disk (null when it does not exist)
+  const fileStamp = async (filepath) => {
+    try {
+      const { mtimeMs, size } = await stat(filepath);
+      return `${mtimeMs}:${size}`;
+    } catch {
+      return null;
+    }
+  };
+
+  const stampFiles = async (files) =>
+    new Map(await Promise.all([...new Set(files)].map(async (f) => [f, await fileStamp(f)])));
+
+  const isFresh = async (entry) => {
+    for (const [filepath, stamp] of entry.files) {
+      if ((await fileStamp(filepath)) !== stamp) return false;
+    }
+    return true;
+  };
+
+  /**
+   * Cached value, or undefined when missing or stale
+   */
+  async function get(kind, key) {
+    const id = entryKey(kind, key);
+    const entry = entries.get(id);
+    if (!entry || !(await isFresh(entry))) {
+      if (entries.delete(id)) stats.invalidations += 1;
+      stats.misses += 1;
+      return undefined;
+    }
+
+    // Most recently used goes last
+    entries.delete(id);
+    entries.set(id, entry);
+    entry.hits += 1;
+    stats.hits += 1;
+    return entry.value;
+  }
+
+  /**
+   * Store a value computed from `files` (absolute paths).
+   * `stamps` are those taken before computing it; the other files are stamped
+   * now, and nothing is stored when one of them changed after `since`.
+   */
+  async function set(kind, key, files, value, { stamps = new Map(), since = Infinity } = {}) {
+    const id = entryKey(kind, key);
+    const stamped = new Map(stamps);
+    for (const [filepath, stamp] of await stampFiles(files.filter((f) => !stamped.has(f)))) {
+      // Saved while the value was computed: it may describe the old content
+      if (stamp && parseFloat(stamp) >= since) return;
+      stamped.set(filepath, stamp);
+    }
+    entries.delete(id);
+    entries.set(id, { kind, key, files: stamped, value, hits: 0, createdAt: Date.now() });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      stats.evictions += 1;
+    }
+  }
+
+  /**
+   * Return the cached value or compute and store it.
+   * `compute` resolves to the value; `filesOf(value)` lists the files it was
+   * computed from besides the requested file.
+   */
+  async function getOrCompute(kind, key, filepath, compute, filesOf = () => []) {
+    const cached = await get(kind, key);
+    if (cached !== undefined) return cached;
+
+    // Stamped before asking: a save during the LSP round-trip makes the answer stale
+    const since = Date.now();
+    const stamps = await stampFiles([filepath]);
+    const value = await compute();
+    // Empty answers usually mean the LSP was not attached yet: ask again next time
+    if (value == null || (Array.isArray(value) && value.length === 0)) return value;
+
+    await set(kind, key, [filepath, ...filesOf(value)], value, { stamps, since });
+    return value;
+  }
+
+  /**
+   * Drop the entries computed from a file (and those depending on any file).
+   * Returns the number of entries removed.
+   */
+  function invalidate(filepath) {
+    let removed = 0;
+    for (const [id, entry] of entries) {
+      if (entry.files.has(filepath) || dependsOnAnyFile.includes(entry.kind)) {
+        entries.delete(id);
+        removed += 1;
+      }
+    }
+    stats.invalidations += removed;
+    return removed;
+  }
+
+  /**
+   * Drop every entry, or only those of one kind. Returns the number removed.
+   */
+  function clear(kind) {
+    let removed = 0;
+    for (const [id, entry] of entries) {
+      if (!kind || entry.kind === kind) {
+        entries.delete(id);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  // Summary for /api/cache (most recently used first)
+  function inspect() {
+    const now = Date.now();
+    const kinds = {};
+    const list = [...entries.values()].reverse().map((entry) => {
+      kinds[entry.kind] = (kinds[entry.kind] || 0) + 1;
+      return {
+        kind: entry.kind,
+        key: entry.key,
+        files: [...entry.files.keys()],
+        hits: entry.hits,
+        ageMs: now - entry.createdAt,
+      };
+    });
+    return { size: entries.size, maxEntries, kinds, stats: { ...stats }, entries: list };
+  }
+
+  return { get, set, getOrCompute, invalidate, clear, inspect };
+}
@@ -0,0 +1,163 @@
+import { execFile } from "child_process";
+import { join } from "path";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
+
+// `git diff --name-status` letters
+const STATUSES = { A: "added", M: "modified", D: "deleted", R: "renamed", C: "added", T: "modified" };
+
+async function git(cwd, args) {
+  const { stdout } = await execFileAsync("git", ["-c", "core.quotePath=false", ...args], {
+    cwd,
+    maxBuffer: 64 * 1024 * 1024,
+    timeout: 15000,
+  });
+  return stdout;
+}
+
+// First line of git's complaint ("fatal: not a git repository ...")
+const gitError = (err) => (err.stderr || err.message).trim().split("\n")[0].replace(/^fatal: /, "");
+
+/**
+ * Commit the working tree is compared with: where HEAD forked from `ref`, so
+ * a branch only shows its own changes, or `ref` itself when they share no history.
+ */
+async function resolveBase(cwd, ref) {
+  let commit;
+  try {
+    commit = (await git(cwd, ["rev-parse", "--verify", "--end-of-options", `${ref}^{commit}`])).trim();
+  } catch (err) {
+    throw new Error(`Unknown git ref "${ref}": ${gitError(err)}`);
+  }
+  try {
+    return (await git(cwd, ["merge-base", commit, "HEAD"])).trim();
+  } catch {
+    return commit;
+  }
+}
+
+// Changed files from `git diff --name-status -z`: [{ path, status, old_path }]
+function parseNameStatus(output) {
+  const fields = output.split("\0").filter(Boolean);
+  const files = [];
+  for (let i = 0; i < fields.length; ) {
+    const letter = fields[i++][0];
+    const path = fields[i++];
+    if (letter === "R" || letter === "C") {
+      files.push({ path: fields[i++], status: STATUSES[letter], old_path: path });
+    } else {
+      files.push({ path, status: STATUSES[letter] || "modified", old_path: null });
+    }
+  }
+  return files;
+}
+
+/**
+ * Hunks of a `git diff -U0` patch by (new) file path, as line ranges of the
+ * working tree: { start, end, added } where `added` means no line was removed.
+ * Pure deletions are points between line `start` and the next (end = start).
+ */
+function parseHunks(patch) {
+  const hunks = new Map();
+  let current = null;
+  patch.split("\n").forEach((line) => {
+    if (line.startsWith("+++ ")) {
+      const path = line.slice(4).replace(/^"(.*)"$/, "$1");
+      current = path === "/dev/null" ? null : path.replace(/^b\//, "");
+      if (current) hunks.set(current, []);
+      return;
+    }
+    const match = current && line.match(/^@@ -\d+(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (!match) return;
+    const removed = match[1] === undefined ? 1 : Number(match[1]);
+    const start = Number(match[2]);
+    const count = match[3] === undefined ? 1 : Number(match[3]);
+    hunks.get(current).push(
+      count === 0
+        ? { start, end: start, added: false, deletion: true }
+        : { start, end: start + count - 1, added: removed === 0, deletion: false }
+    );
+  });
+  return hunks;
+}
+
+/**
+ * Files changed in the working tree of `cwd` since `ref` (default HEAD),
+ * untracked files included, with their hunks. Paths are relative to `cwd`.
+ * Resolves to { ref, base, files: [{ path, filepath, status, old_path, hunks }] }.
+ */
+export async function gitChanges(cwd, ref = "HEAD") {
+  if (!ref || ref.startsWith("-")) {
+    throw new Error(`Invalid git ref "${ref}"`);
+  }
+  const base = await resolveBase(cwd, ref);
+
+  const [nameStatus, patch, untracked] = await Promise.all([
+    git(cwd, ["diff", "--name-status", "-z", "-M", "--relative", base]),
+    git(cwd, ["diff", "-U0", "--no-color", "--no-ext-diff", "-M", "--relative", base]),
+    git(cwd, ["ls-files", "--others", "--exclude-standard", "-z"]),
+  ]);
+
+  const hunks = parseHunks(patch);
+  const files = [
+    ...parseNameStatus(nameStatus),
+    ...untracked
+      .split("\0")
+      .filter(Boolean)
+      .map((path) => ({ path, status: "added", old_path: null })),
+  ].map((file) => ({
+    ...file,
+    filepath: join(cwd, file.path),
+    hunks: hunks.get(file.path) || [],
+  }));
+
+  return { ref, base, files };
+}
+
+// How a symbol spanning `start`..`end` was touched by the hunks (null when it wasn't)
+function symbolStatus(start, end, hunks) {
+  const touching = hunks.filter((h) =>
+    h.deletion ? start <= h.start && h.start < end : h.start <= end && h.end >= start
+  );
+  if (touching.length === 0) return null;
+  // Every line of it is new
+  let covered = start;
+  touching
+    .filter((h) => h.added)
+    .sort((a, b) => a.start - b.start)
+    .forEach((h) => {
+      if (h.start <= covered) covered = Math.max(covered, h.end + 1);
+    });
+  return covered > end ? "added" : "modified";
+}
+
+/**
+ * Map git changes onto the file nodes of a graph (matched on `data.filepath`)
+ * and their symbols (`line`..`end_line`).
+ * Returns { ref, base, files: [{ path, filepath, status, old_path, node, symbols }], counts }
+ * where `node` is the file's node id (null when not in the graph) and
+ * `symbols` lists the changed ones as { name, line, status }.
+ */
+export function mapChanges(graph, changes) {
+  const nodes = new Map(
+    (graph?.nodes || []).filter((n) => n.data?.filepath).map((n) => [n.data.filepath, n])
+  );
+  const counts = { added: 0, modified: 0, deleted: 0, renamed: 0 };
+
+  const files = changes.files.map(({ hunks, ...file }) => {
+    counts[file.status] += 1;
+    const node = file.status === "deleted" ? null : nodes.get(file.filepath);
+    const symbols = (node?.data.symbols || [])
+      .map((sym) => ({
+        name: sym.name,
+        line: sym.line,
+        status:
+          file.status === "added" ? "added" : symbolStatus(sym.line, sym.end_line || sym.line, hunks),
+      }))
+      .filter((sym) => sym.status);
+    return { ...file, node: node?.id || null, symbols };
+  });
+
+  return { ref: changes.ref, base: changes.base, files, counts };
+}
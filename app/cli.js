@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+import { spawn } from "child_process";
+import { existsSync } from "fs";
+import { mkdir, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { dirname, extname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { attachNeovim } from "./neovim.js";
+import { EXPORT_FORMATS, serializeGraph } from "./shared/export.js";
+
+/**
+ * Headless graph generation (CI, docs): starts `nvim --headless` in the project,
+ * runs the same graph builders as the `:Terreno` commands (lua/terreno/headless.lua)
+ * and writes the graph as JSON, SVG, Mermaid or DOT. No server or browser involved.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PLUGIN_ROOT = resolve(__dirname, "..");
+
+const KINDS = ["project", "workspace", "buffer"];
+// PNG needs a browser to rasterize
+const FORMATS = Object.keys(EXPORT_FORMATS).filter((format) => format !== "png");
+
+const USAGE = `Usage: terreno [project|workspace|buffer] [options]
+
+Graphs:
+  project     Import graph of every file (tree-sitter, no LSP needed) [default]
+  workspace   Files reached from --entry through its imports (LSP)
+  buffer      Symbols of --entry (LSP)
+
+Options:
+  -o, --output <path>   File to write (default: stdout)
+  -f, --format <name>   ${FORMATS.join(", ")} (default: from --output's extension, else json)
+  -r, --root <dir>      Project root, Neovim's working directory (default: .)
+  -e, --entry <file>    File to start from, relative to the root (workspace, buffer)
+  -u, --config <file>   Neovim config to load, NONE for none (default: your init.lua, for the LSP setup)
+      --nvim <path>     Neovim executable (default: $TERRENO_NVIM or nvim)
+  -t, --timeout <ms>    Give up after this long (default: 120000)
+      --lsp-timeout <ms>  Wait this long for the LSP to attach to --entry (default: 20000)
+  -v, --verbose         Show Neovim's output
+  -h, --help            Show this help`;
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: "string", short: "o" },
+      format: { type: "string", short: "f" },
+      root: { type: "string", short: "r", default: "." },
+      entry: { type: "string", short: "e" },
+      config: { type: "string", short: "u" },
+      nvim: { type: "string", default: process.env.TERRENO_NVIM || "nvim" },
+      timeout: { type: "string", short: "t", default: "120000" },
+      "lsp-timeout": { type: "string", default: "20000" },
+      verbose: { type: "boolean", short: "v", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  const [kind = "project", ...extra] = positionals;
+  if (!KINDS.includes(kind) || extra.length > 0) {
+    throw new Error(`Unknown graph: ${[kind, ...extra].join(" ")}`);
+  }
+  if (kind !== "project" && !values.entry) {
+    throw new Error(`${kind} graphs need --entry`);
+  }
+
+  // Format from the output extension (".mmd" -> mermaid)
+  const ext = values.output ? extname(values.output).slice(1) : "";
+  const format =
+    values.format || FORMATS.find((f) => f === ext || EXPORT_FORMATS[f].ext === ext) || "json";
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unsupported format: ${format} (use ${FORMATS.join(", ")})`);
+  }
+
+  const timeout = Number(values.timeout);
+  const lspTimeout = Number(values["lsp-timeout"]);
+  if (!(timeout > 0) || !(lspTimeout > 0)) {
+    throw new Error("Timeouts must be positive numbers of milliseconds");
+  }
+
+  return { ...values, kind, format, timeout, lspTimeout, root: resolve(values.root) };
+}
+
+/**
+ * Start a headless Neovim listening on a private socket, with this checkout of
+ * the plugin first on the runtimepath.
+ */
+function startNeovim({ nvim, root, config, verbose }, address) {
+  // Escape the characters 'runtimepath' treats specially
+  const rtp = PLUGIN_ROOT.replace(/[ ,\\]/g, "\\$&");
+  const args = ["--headless", "--listen", address, "--cmd", `set rtp^=${rtp}`];
+  if (config) {
+    args.push("-u", config);
+  }
+
+  const child = spawn(nvim, args, {
+    cwd: root,
+    stdio: ["ignore", verbose ? "inherit" : "ignore", verbose ? "inherit" : "ignore"],
+  });
+  const exited = new Promise((resolve, reject) => {
+    child.once("error", (err) => reject(new Error(`Could not start ${nvim}: ${err.message}`)));
+    child.once("exit", (code) => reject(new Error(`Neovim exited early (code ${code})`)));
+  });
+  // Only raced while Neovim is expected to be running
+  exited.catch(() => {});
+
+  return { child, exited };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Attach once Neovim has created its socket
+async function connect(address, exited) {
+  for (;;) {
+    if (existsSync(address)) {
+      try {
+        return await attachNeovim(address);
+      } catch {
+        // Socket file exists but is not accepting connections yet
+      }
+    }
+    await Promise.race([sleep(100), exited]);
+  }
+}
+
+/**
+ * Run `require("terreno.headless").build(kind, opts)` and wait for the graph it
+ * reports through `rpc_request` (same protocol as the server, see server.js).
+ */
+function buildGraph(client, kind, opts) {
+  const requestId = `cli_${process.pid}`;
+  const { promise, resolve, reject } = Promise.withResolvers();
+
+  client.on("notification", (method, [id, payload] = []) => {
+    if (id !== requestId) return;
+    if (method === "terreno_result") {
+      if (payload?.error) reject(new Error(payload.error));
+      else resolve(payload);
+    } else if (method === "terreno_error") {
+      reject(new Error(payload));
+    }
+  });
+
+  client
+    .execLua('require("terreno").rpc_request(...)', [
+      client.channelId,
+      requestId,
+      "terreno.headless",
+      "build",
+      [kind, opts],
+      2,
+    ])
+    .catch(reject);
+
+  return promise;
+}
+
+// Stable node and edge order so regenerated files only change with the code
+const sortGraph = ({ nodes = [], edges = [] }) => {
+  const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  return { nodes: [...nodes].sort(byId), edges: [...edges].sort(byId) };
+};
+
+async function run(options) {
+  const address = join(tmpdir(), `terreno-cli-${process.pid}.sock`);
+  const { child, exited } = startNeovim(options, address);
+
+  const timeout = sleep(options.timeout).then(() => {
+    throw new Error(`Timed out after ${options.timeout}ms`);
+  });
+
+  try {
+    const client = await Promise.race([connect(address, exited), exited, timeout]);
+    const graph = await Promise.race([
+      buildGraph(client, options.kind, {
+        root: options.root,
+        entry: options.entry,
+        lsp_timeout: options.lspTimeout,
+      }),
+      exited,
+      timeout,
+    ]);
+    client.close();
+
+    (graph.unresolved || []).forEach((item) => {
+      console.error(`Unresolved import: ${item.import} (${item.filepath}:${item.line})`);
+    });
+
+    const { nodes, edges } = sortGraph(graph);
+    if (nodes.length === 0) {
+      throw new Error("Empty graph (no source files or symbols found)");
+    }
+
+    const content = serializeGraph(options.format, nodes, edges);
+    if (options.output) {
+      await mkdir(dirname(resolve(options.output)), { recursive: true });
+      await writeFile(options.output, content);
+      console.error(
+        `Terreno: wrote ${nodes.length} nodes and ${edges.length} edges to ${options.output}`
+      );
+    } else {
+      process.stdout.write(content);
+    }
+  } finally {
+    child.kill();
+    await rm(address, { force: true });
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (err) {
+    console.error(`terreno: ${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    await run(options);
+    // The timeout timer would keep the process alive
+    process.exit(0);
+  } catch (err) {
+    console.error(`terreno: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+main();
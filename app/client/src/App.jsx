@@ -1,4 +1,4 @@
-import { useEffect, useState, useCallback, useMemo } from "react";
+import { useState, useCallback, useMemo, useEffect } from "react";
 import {
   ReactFlow,
   Background,
@@ -7,17 +7,69 @@ import {
   useNodesState,
   useEdgesState,
   useReactFlow,
+  MarkerType,
 } from "@xyflow/react";
 import "@xyflow/react/dist/style.css";
 import "./App.css";
 
-import { FileNode, StatusBar } from "./components";
-import { useSocket, useGraphEvents, useGraphInteractions } from "./hooks";
-import { getLayoutedElements } from "./utils/layout";
+import {
+  FileNode,
+  SymbolNode,
+  DirectoryNode,
+  StatusBar,
+  ExportMenu,
+  ViewsMenu,
+  CommandPalette,
+  RulesPanel,
+  CyclesPanel,
+  ChangesPanel,
+  CompareDialog,
+  ComparePanel,
+  MetricsMenu,
+  MetricsTable,
+} from "./components";
+import {
+  useSocket,
+  useGraphEvents,
+  useCursorEvents,
+  useExportRequests,
+  useViewEvents,
+  useRulesEvents,
+  useChangesEvents,
+  useGraphInteractions,
+} from "./hooks";
+import { getLayoutedElements, getHierarchyLayout, estimateNodeSize } from "./utils/layout";
+import {
+  DIRECTORY_NODE_TYPE,
+  isDirectoryNode,
+  getGroupedLayout,
+  relayoutGroups,
+  expandAncestors,
+  aggregateEdges,
+} from "./utils/grouping";
+import { applyNodeDiff, applyEdgeDiff } from "./utils/graphDiff";
+import { matchSymbol } from "./utils/search";
+import { buildReferenceEdges, isReferenceEdge } from "./utils/references";
+import { findCycles, cycleColor, isImportEdge } from "../../shared/cycles";
+import { changesByNode, changedNeighbourhood } from "./utils/changes";
+import { computeMetrics, heatColor, maxMetric } from "./utils/metrics";
+import { EXPORT_FORMATS, serializeGraph, toTerrenoGraph } from "../../shared/export";
+import { exportGraph, rasterizeSvg } from "./utils/export";
+import {
+  setCurrentSession,
+  requestSessionGraph,
+  saveView,
+  loadView,
+  fetchFileNode,
+  fetchMetrics,
+  compareGraphs,
+} from "./utils/socket";
 
 // Node types for ReactFlow
 const nodeTypes = {
   file: FileNode,
+  symbol: SymbolNode,
+  [DIRECTORY_NODE_TYPE]: DirectoryNode,
 };
 
 // Initial placeholder node
@@ -36,19 +88,66 @@ const defaultNodes = [
 
 const defaultEdges = [];
 
+// Graphs larger than this start with file nodes collapsed
+const LARGE_GRAPH_NODES = 50;
+
+const edgeKey = (source, target) => `${source}\0${target}`;
+
 function App() {
   const [nodes, setNodes, onNodesChange] = useNodesState(defaultNodes);
   const [edges, setEdges, onEdgesChange] = useEdgesState(defaultEdges);
-  const { fitView } = useReactFlow();
+  const { fitView, setCenter, getNodes, getZoom, getViewport, setViewport } =
+    useReactFlow();
 
   // Socket connection state
-  const { connected, neovimConnected, cwd } = useSocket();
+  const { connected, unauthorized, neovimConnected, sessions } = useSocket();
+
+  // Neovim session owning the graph being viewed
+  const [activeSession, setActiveSession] = useState(null);
+  const viewedSession = activeSession
+    ? sessions.find((s) => s.id === activeSession)
+    : sessions[sessions.length - 1];
+  const cwd = viewedSession?.cwd || "";
+
+  // Architecture rule check of the viewed graph: { count, violations, error }
+  const [rules, setRules] = useState(null);
+
+  // Git diff overlay (`:Terreno diff`): changed files and symbols since a ref
+  const [changes, setChanges] = useState(null);
+  // Hide the files that neither changed nor import / are imported by a changed one
+  const [changedOnly, setChangedOnly] = useState(false);
+
+  // Comparison of two saved graphs: summary of the union graph being shown
+  const [comparison, setComparison] = useState(null);
+  const [compareOpen, setCompareOpen] = useState(false);
+
+  // Metrics overlay: badges in file headers, heatmap metric, table open
+  const [metricsView, setMetricsView] = useState({ badges: false, heatmap: null, table: false });
+  // Line counts and churn (once shown) from the server by file path: { [filepath]: { lines, churn } }
+  const [fileStats, setFileStats] = useState({});
 
   // Graph interactions (hover, expand, etc.)
-  const { highlightedFiles, refs } = useGraphInteractions(
-    nodes,
-    setNodes,
-    setEdges
+  const { highlightedFiles, setHighlightedFiles, hoveredReferences, nodeCallbacks } =
+    useGraphInteractions(nodes, edges, setNodes, setEdges);
+
+  // Temporary edges from the hovered symbol row to the rows referencing it
+  const hoverReferences = useMemo(
+    () => (hoveredReferences ? buildReferenceEdges(nodes, hoveredReferences) : null),
+    [nodes, hoveredReferences]
+  );
+
+  // Attach client-side callbacks to a node received from the server
+  const prepareNode = useCallback(
+    (node) => ({
+      ...node,
+      type: node.type || "file",
+      position: node.position || { x: 0, y: 0 },
+      data: {
+        ...node.data,
+        ...nodeCallbacks,
+      },
+    }),
+    [nodeCallbacks]
   );
 
   // Handle incoming graph data
@@ -56,70 +155,628 @@ function App() {
     (data) => {
       if (!data.nodes) return;
 
-      const typedNodes = data.nodes.map((node) => ({
-        ...node,
-        type: node.type || "file",
-        position: node.position || { x: 0, y: 0 },
-        data: {
-          ...node.data,
-          onExpandCalls: (...args) => refs.expandCallsRef.current?.(...args),
-          onSymbolHover: (...args) => refs.symbolHoverRef.current?.(...args),
-          onExpandFile: (...args) => refs.expandFileRef.current?.(...args),
-        },
-      }));
+      setActiveSession(data.session || null);
+      setCurrentSession(data.session);
+      setRules(data.rules || null);
+      setChanges(data.changes || null);
+      setComparison(data.compare || null);
+      // Line counts may have changed since they were fetched
+      setFileStats({});
+
+      const collapse = data.nodes.length > LARGE_GRAPH_NODES;
+      const typedNodes = data.nodes.map((node) =>
+        prepareNode(
+          collapse && node.data?.collapsed === undefined
+            ? { ...node, data: { ...node.data, collapsed: true } }
+            : node
+        )
+      );
 
-      const { nodes: layoutedNodes, edges: layoutedEdges } = getLayoutedElements(
+      // Whole-project graphs are grouped by directory, type hierarchies top-down
+      const layouts = {
+        clustered: getGroupedLayout,
+        hierarchy: getHierarchyLayout,
+      };
+      const layout = layouts[data.layout] || getLayoutedElements;
+      const { nodes: layoutedNodes, edges: layoutedEdges } = layout(
         typedNodes,
         data.edges || []
       );
 
-      setNodes(layoutedNodes);
+      setNodes(layoutedNodes.map(prepareNode));
       setEdges(layoutedEdges);
 
       // Auto-center after first load
       setTimeout(() => fitView({ padding: 0.1 }), 50);
     },
-    [setNodes, setEdges, refs, fitView]
+    [setNodes, setEdges, prepareNode, fitView]
+  );
+
+  // Merge incremental updates (watch mode) without re-running the layout
+  const handleGraphDiff = useCallback(
+    (diff) => {
+      if (diff.session !== activeSession) return;
+      setNodes((current) => applyNodeDiff(current, diff, prepareNode));
+      setEdges((current) => applyEdgeDiff(current, diff));
+    },
+    [activeSession, setNodes, setEdges, prepareNode]
   );
 
   // Subscribe to graph data events
-  useGraphEvents(handleGraphData);
+  useGraphEvents(handleGraphData, handleGraphDiff);
+
+  const handleRulesUpdate = useCallback(
+    (update) => {
+      if (update.session !== activeSession) return;
+      setRules(update);
+    },
+    [activeSession]
+  );
+
+  useRulesEvents(handleRulesUpdate);
+
+  const handleChangesUpdate = useCallback(
+    (update) => {
+      if (update.session !== activeSession) return;
+      setChanges(update.changes);
+    },
+    [activeSession]
+  );
+
+  useChangesEvents(handleChangesUpdate);
+
+  // Changed files by node id, and what "changed only" keeps visible
+  const changedFiles = useMemo(() => changesByNode(changes), [changes]);
+  const changedVisible = useMemo(
+    () => (changes && changedOnly ? changedNeighbourhood(changedFiles, nodes, edges) : null),
+    [changes, changedOnly, changedFiles, nodes, edges]
+  );
+
+  // Import edges breaking a rule, by source and target file
+  const violations = useMemo(
+    () => new Map((rules?.violations || []).map((v) => [edgeKey(v.source, v.target), v])),
+    [rules]
+  );
+
+  // Import cycles (strongly connected files) and the cycle of each file in one
+  const cycles = useMemo(() => findCycles(edges), [edges]);
+  const cycleOf = useMemo(
+    () => new Map(cycles.flatMap((cycle, i) => cycle.files.map((id) => [id, i]))),
+    [cycles]
+  );
+
+  // File metrics, only computed while the overlay is in use
+  const metricsEnabled = metricsView.badges || !!metricsView.heatmap || metricsView.table;
+  const metrics = useMemo(
+    () => (metricsEnabled ? computeMetrics(nodes, edges, fileStats) : null),
+    [metricsEnabled, nodes, edges, fileStats]
+  );
+  const heatmapMax = useMemo(
+    () => (metrics && metricsView.heatmap ? maxMetric(metrics, metricsView.heatmap) : 0),
+    [metrics, metricsView.heatmap]
+  );
+  // Churn runs `git log` over the whole repository: only fetched while it is shown
+  const churnShown = metricsView.table || metricsView.heatmap === "churn";
+  const churnAvailable = Object.values(fileStats).some((stats) => typeof stats?.churn === "number");
+
+  // Fetch line counts (and churn when shown) for the files that don't have them yet
+  const filepathsKey = useMemo(
+    () =>
+      nodes
+        .filter((n) => n.type === "file" && n.data?.filepath)
+        .map((n) => n.data.filepath)
+        .join("\n"),
+    [nodes]
+  );
+  const missingStats = metricsEnabled
+    ? filepathsKey
+        .split("\n")
+        .filter((f) => f && (!(f in fileStats) || (churnShown && fileStats[f].churn === undefined)))
+    : [];
+  const missingKey = missingStats.join("\n");
+
+  useEffect(() => {
+    if (!missingKey) return;
+    let cancelled = false;
+    fetchMetrics(missingKey.split("\n"), churnShown)
+      .then((result) => {
+        if (cancelled || result.status !== "ok") return;
+        // Without churn, leave it undefined so it is fetched once shown
+        const files = churnShown
+          ? result.files
+          : Object.fromEntries(Object.entries(result.files).map(([file, { lines }]) => [file, { lines }]));
+        setFileStats((current) => ({ ...current, ...files }));
+      })
+      .catch((err) => console.error("Metrics error:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [missingKey, churnShown]);
+
+  // Expand the directories hiding some nodes and fit them in the view
+  const revealNodes = useCallback(
+    (ids) => {
+      setNodes((current) => {
+        const revealed = ids.reduce(expandAncestors, current);
+        return revealed === current ? current : relayoutGroups(revealed, edges);
+      });
+      setTimeout(
+        () => fitView({ nodes: ids.map((id) => ({ id })), duration: 400, maxZoom: 1 }),
+        50
+      );
+    },
+    [setNodes, edges, fitView]
+  );
+
+  // The panels also jump to the import in Neovim
+  const handleViolationSelect = useCallback(
+    (violation) => revealNodes([violation.source, violation.target]),
+    [revealNodes]
+  );
+
+  const handleCycleSelect = useCallback((cycle) => revealNodes(cycle.files), [revealNodes]);
+
+  const handleChangeSelect = useCallback((file) => revealNodes([file.node]), [revealNodes]);
+
+  // Fit the changed files (and their neighbours) once the others are hidden
+  const toggleChangedOnly = useCallback(() => {
+    setChangedOnly((current) => !current);
+    setTimeout(() => fitView({ padding: 0.1, duration: 400 }), 50);
+  }, [fitView]);
+
+  const handleMetricsSelect = useCallback(
+    (nodeId) => {
+      setMetricsView((view) => ({ ...view, table: false }));
+      revealNodes([nodeId]);
+    },
+    [revealNodes]
+  );
+
+  const closeMetricsTable = useCallback(
+    () => setMetricsView((view) => ({ ...view, table: false })),
+    []
+  );
+
+  // Editor cursor (follow mode): file and enclosing symbol in Neovim
+  const [cursor, setCursor] = useState(null);
+
+  const handleCursor = useCallback(
+    (update) => {
+      if (update.session !== activeSession) return;
+      setCursor(update);
 
-  // Style edges based on highlighted files
+      // Show the symbol under the cursor even if its file node was collapsed
+      if (update.symbol) {
+        setNodes((current) =>
+          current.map((n) =>
+            n.data?.filepath === update.filepath && n.data.collapsed
+              ? { ...n, data: { ...n.data, collapsed: false } }
+              : n
+          )
+        );
+      }
+
+      // Pan to the file node under the cursor
+      const node = getNodes().find((n) => n.data?.filepath === update.filepath);
+      if (!node) return;
+      const width = node.measured?.width ?? estimateNodeSize(node).width;
+      const height = node.measured?.height ?? estimateNodeSize(node).height;
+      setCenter(node.position.x + width / 2, node.position.y + height / 2, {
+        zoom: getZoom(),
+        duration: 300,
+      });
+    },
+    [activeSession, getNodes, getZoom, setCenter, setNodes]
+  );
+
+  useCursorEvents(handleCursor);
+
+  // Download the current graph from the export menu
+  const handleExport = useCallback(
+    async (format) => {
+      const { ext, mime } = EXPORT_FORMATS[format];
+      const blob =
+        format === "png"
+          ? await rasterizeSvg(serializeGraph("svg", nodes, edges))
+          : new Blob([serializeGraph(format, nodes, edges)], { type: mime });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `terreno-graph.${ext}`;
+      link.click();
+      // Revoking right away can cancel the download in some browsers
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+    [nodes, edges]
+  );
+
+  // `:Terreno export` asks the browser viewing the session for its current graph
+  const handleExportRequest = useCallback(
+    ({ format, session }, callback) => {
+      if (session && session !== activeSession) {
+        callback(null);
+        return;
+      }
+      exportGraph(format, nodes, edges)
+        .then(callback)
+        .catch((err) => callback({ error: err.message }));
+    },
+    [activeSession, nodes, edges]
+  );
+
+  useExportRequests(handleExportRequest);
+
+  // Named views: graph with positions and collapsed state, viewport, highlights
+  const currentView = useCallback(
+    () => ({
+      graph: toTerrenoGraph(nodes, edges),
+      viewport: getViewport(),
+      highlightedFiles: [...highlightedFiles],
+    }),
+    [nodes, edges, getViewport, highlightedFiles]
+  );
+
+  const handleSaveView = useCallback(
+    async (name) => {
+      const result = await saveView(name, currentView());
+      if (result.status !== "ok") {
+        throw new Error(result.message);
+      }
+    },
+    [currentView]
+  );
+
+  const handleLoadView = useCallback(async (name) => {
+    const result = await loadView(name);
+    if (result.status !== "ok") {
+      throw new Error(result.message);
+    }
+  }, []);
+
+  // `:Terreno view save` asks the browser viewing the session for its view
+  const handleViewRequest = useCallback(
+    ({ session }, callback) => {
+      callback(session && session !== activeSession ? null : currentView());
+    },
+    [activeSession, currentView]
+  );
+
+  // A saved view was loaded (from the views menu or `:Terreno view load`)
+  const handleViewLoaded = useCallback(
+    (view) => {
+      if (!view.graph?.nodes) return;
+
+      setActiveSession(view.session || null);
+      setCurrentSession(view.session);
+
+      setNodes(view.graph.nodes.map(prepareNode));
+      setEdges(view.graph.edges || []);
+      setHighlightedFiles(new Set(view.highlightedFiles || []));
+
+      if (view.viewport) {
+        setTimeout(() => setViewport(view.viewport), 50);
+      } else {
+        setTimeout(() => fitView({ padding: 0.1 }), 50);
+      }
+    },
+    [setNodes, setEdges, setHighlightedFiles, prepareNode, setViewport, fitView]
+  );
+
+  useViewEvents(handleViewRequest, handleViewLoaded);
+
+  // Command palette (Ctrl+K / Cmd+K)
+  const [paletteOpen, setPaletteOpen] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setPaletteOpen((open) => !open);
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  // Jump to a palette hit: reveal its node, open the symbol and pan to it
+  const handlePaletteSelect = useCallback(
+    async (item) => {
+      let node = getNodes().find(
+        (n) => n.id === item.nodeId || (n.type === "file" && n.data?.filepath === item.filepath)
+      );
+      let newNode = null;
+
+      // LSP hit in a file that is not in the graph yet
+      if (!node) {
+        const result = await fetchFileNode(item.filepath);
+        if (result.status !== "ok") {
+          console.error("Could not load file:", result.message);
+          return;
+        }
+        const current = getNodes();
+        const right = Math.max(0, ...current.map((n) => n.position.x + estimateNodeSize(n).width));
+        const top = Math.min(...current.map((n) => n.position.y), 0);
+        newNode = node = prepareNode({ ...result.node, position: { x: right + 100, y: top } });
+      }
+
+      const symbol = item.symbol && matchSymbol(node.data?.symbols, item.symbol);
+      const focusSymbol = symbol && { name: symbol.name, line: symbol.line, key: Date.now() };
+
+      setNodes((current) => {
+        const updated = (newNode ? [...current, newNode] : current).map((n) =>
+          n.id === node.id && focusSymbol
+            ? { ...n, data: { ...n.data, collapsed: false, focusSymbol } }
+            : n
+        );
+        const revealed = expandAncestors(updated, node.id);
+        return revealed.some(isDirectoryNode) ? relayoutGroups(revealed, edges) : revealed;
+      });
+
+      setTimeout(() => fitView({ nodes: [{ id: node.id }], duration: 400, maxZoom: 1 }), 50);
+    },
+    [getNodes, setNodes, edges, prepareNode, fitView]
+  );
+
+  // Switch the view to another Neovim session's graph
+  const handleSelectSession = useCallback(
+    (sessionId) => {
+      requestSessionGraph(sessionId).then((graph) => {
+        if (graph) {
+          handleGraphData(graph);
+          return;
+        }
+        setActiveSession(sessionId);
+        setCurrentSession(sessionId);
+        setRules(null);
+        setChanges(null);
+        setComparison(null);
+        setNodes(defaultNodes);
+        setEdges(defaultEdges);
+      });
+    },
+    [handleGraphData, setNodes, setEdges]
+  );
+
+  // Show the union of two saved graphs (see app/compare.js)
+  const handleCompare = useCallback(
+    async (before, after) => {
+      const result = await compareGraphs(before, after);
+      if (result.status !== "ok") throw new Error(result.message);
+      setCompareOpen(false);
+      handleGraphData(result.graph);
+    },
+    [handleGraphData]
+  );
+
+  const closeCompareDialog = useCallback(() => setCompareOpen(false), []);
+
+  // Leave the comparison for the session's current graph
+  const exitComparison = useCallback(
+    () => handleSelectSession(activeSession),
+    [handleSelectSession, activeSession]
+  );
+
+  // Style edges based on highlighted files and rule violations
+  // (edges into collapsed directories are merged onto the directory node)
   const styledEdges = useMemo(() => {
-    return edges.map((edge) => {
+    const edgeIds = new Set(edges.map((e) => e.id));
+    const temporary = (hoverReferences?.edges || []).filter((e) => !edgeIds.has(e.id));
+    return aggregateEdges([...edges, ...temporary], nodes).map((edge) => {
+      // References: dashed while hovering, solid once pinned
+      if (isReferenceEdge(edge)) {
+        return {
+          ...edge,
+          style: {
+            stroke: "#ec4899",
+            strokeWidth: 2,
+            ...(!edge.data.pinned && { strokeDasharray: "4 4" }),
+          },
+          animated: !edge.data.pinned,
+        };
+      }
+
+      // Graph comparison: added edges green, removed ones dashed red
+      if (edge.data?.compare) {
+        const color = edge.data.compare === "added" ? "#22c55e" : "#ef4444";
+        return {
+          ...edge,
+          style: {
+            stroke: color,
+            strokeWidth: 3,
+            ...(edge.data.compare === "removed" && { strokeDasharray: "6 4" }),
+          },
+          markerEnd: { type: MarkerType.ArrowClosed, color },
+          zIndex: 1,
+        };
+      }
+
+      // Merged edges get thicker with the number of imports they stand for
+      const width = edge.data?.aggregated
+        ? Math.min(6, 2 + Math.log2(edge.data.count))
+        : 2;
+      // Imports breaking an architecture rule are always red
+      if (violations.has(edgeKey(edge.source, edge.target))) {
+        return {
+          ...edge,
+          style: { stroke: "#ef4444", strokeWidth: width + 1 },
+          markerEnd: { type: MarkerType.ArrowClosed, color: "#ef4444" },
+          zIndex: 1,
+        };
+      }
+
+      // Imports within a cycle take the cycle's color
+      const cycle = cycleOf.get(edge.source);
+      if (cycle !== undefined && cycleOf.get(edge.target) === cycle && isImportEdge(edge)) {
+        const color = cycleColor(cycle);
+        return {
+          ...edge,
+          style: { stroke: color, strokeWidth: width + 1 },
+          markerEnd: { type: MarkerType.ArrowClosed, color },
+          zIndex: 1,
+        };
+      }
+
       const isHighlighted =
         highlightedFiles.size > 0 &&
         (highlightedFiles.has(edge.source) || highlightedFiles.has(edge.target));
+      // Call graphs: edges from callers are dashed amber, to callees indigo
+      // Type hierarchies: "implements" edges are dashed, like in UML
+      const dashed =
+        edge.data?.direction === "incoming" || edge.data?.relation === "implements";
+      const baseStyle = {
+        stroke: edge.data?.direction === "incoming" ? "#f59e0b" : "#4f46e5",
+        strokeWidth: width,
+        ...(dashed && { strokeDasharray: "6 4" }),
+      };
       return {
         ...edge,
+        // Inheritance edges point at the supertype
+        ...(edge.data?.relation && {
+          markerEnd: { type: MarkerType.ArrowClosed, color: baseStyle.stroke },
+        }),
         style: isHighlighted
-          ? { stroke: "#22c55e", strokeWidth: 3 }
-          : { stroke: "#4f46e5", strokeWidth: 2 },
+          ? { stroke: "#22c55e", strokeWidth: width + 1 }
+          : baseStyle,
         animated: isHighlighted,
       };
     });
-  }, [edges, highlightedFiles]);
+  }, [edges, nodes, highlightedFiles, hoverReferences, violations, cycleOf]);
 
   // Style nodes based on highlighting
   const styledNodes = useMemo(() => {
-    if (highlightedFiles.size === 0) return nodes;
-    return nodes.map((node) => ({
-      ...node,
-      data: {
-        ...node.data,
-        highlighted: highlightedFiles.has(node.id),
-      },
-    }));
-  }, [nodes, highlightedFiles]);
+    if (
+      highlightedFiles.size === 0 &&
+      !cursor &&
+      !hoverReferences &&
+      cycleOf.size === 0 &&
+      !metrics &&
+      changedFiles.size === 0 &&
+      !changedVisible &&
+      !comparison
+    ) {
+      return nodes;
+    }
+    return nodes.map((node) => {
+      const hasCursor = !!cursor && node.data?.filepath === cursor.filepath;
+      // Reference count shown on the hovered symbol row
+      const referenceBadge =
+        hoverReferences && node.id === hoveredReferences.nodeId
+          ? { line: hoveredReferences.symbol.line, count: hoverReferences.count }
+          : null;
+      // Files in an import cycle get a ring in the cycle's color
+      const style = cycleOf.has(node.id)
+        ? {
+            ...node.style,
+            borderRadius: 8,
+            boxShadow: `0 0 0 3px ${cycleColor(cycleOf.get(node.id))}`,
+          }
+        : node.style;
+      // Metrics overlay
+      const nodeMetrics = metrics?.get(node.id);
+      return {
+        ...node,
+        hidden: node.hidden || (!!changedVisible && !changedVisible.has(node.id)),
+        // Graph comparison: added / removed / changed files (see App.css)
+        className: node.data?.compare ? `compare-${node.data.compare}` : node.className,
+        style,
+        data: {
+          ...node.data,
+          highlighted: highlightedFiles.has(node.id),
+          cursor: hasCursor,
+          cursorSymbol: hasCursor ? cursor.symbol || null : null,
+          referenceBadge,
+          metrics: metricsView.badges ? nodeMetrics || null : null,
+          heat:
+            nodeMetrics && metricsView.heatmap
+              ? heatColor(nodeMetrics[metricsView.heatmap], heatmapMax)
+              : null,
+          change: changedFiles.get(node.id) || null,
+        },
+      };
+    });
+  }, [
+    nodes,
+    highlightedFiles,
+    cursor,
+    hoverReferences,
+    hoveredReferences,
+    cycleOf,
+    metrics,
+    metricsView,
+    heatmapMax,
+    changedFiles,
+    changedVisible,
+    comparison,
+  ]);
 
   return (
     <div className="app">
       <StatusBar
         connected={connected}
+        unauthorized={unauthorized}
         neovimConnected={neovimConnected}
         cwd={cwd}
+        sessions={sessions}
+        activeSession={activeSession}
+        onSelectSession={handleSelectSession}
       />
+      <div className="toolbar">
+        <ExportMenu onExport={handleExport} />
+        <ViewsMenu onSave={handleSaveView} onLoad={handleLoadView} />
+        <MetricsMenu
+          badges={metricsView.badges}
+          heatmap={metricsView.heatmap}
+          onToggleBadges={() => setMetricsView((view) => ({ ...view, badges: !view.badges }))}
+          onHeatmap={(heatmap) => setMetricsView((view) => ({ ...view, heatmap }))}
+          onOpenTable={() => setMetricsView((view) => ({ ...view, table: true }))}
+        />
+        <button
+          className="toolbar-btn"
+          onClick={() => setCompareOpen(true)}
+          title="Compare two saved graphs"
+        >
+          Compare...
+        </button>
+        <button
+          className="toolbar-btn"
+          onClick={() => setPaletteOpen(true)}
+          title="Search files and symbols (Ctrl+K)"
+        >
+          Search
+        </button>
+      </div>
+      <div className="side-panels">
+        <RulesPanel rules={rules} onSelect={handleViolationSelect} />
+        <CyclesPanel cycles={cycles} cwd={cwd} onSelect={handleCycleSelect} />
+        <ComparePanel comparison={comparison} onSelect={revealNodes} onExit={exitComparison} />
+        <ChangesPanel
+          changes={changes}
+          changedOnly={changedOnly}
+          onToggleChangedOnly={toggleChangedOnly}
+          onSelect={handleChangeSelect}
+        />
+      </div>
+      {metricsView.table && (
+        <MetricsTable
+          nodes={nodes}
+          metrics={metrics}
+          loading={missingStats.length > 0}
+          churn={churnAvailable}
+          onSelect={handleMetricsSelect}
+          onClose={closeMetricsTable}
+        />
+      )}
+      {compareOpen && (
+        <CompareDialog onCompare={handleCompare} onClose={closeCompareDialog} />
+      )}
+      {paletteOpen && (
+        <CommandPalette
+          nodes={nodes}
+          onSelect={handlePaletteSelect}
+          onClose={() => setPaletteOpen(false)}
+        />
+      )}
       <ReactFlow
         nodes={styledNodes}
         edges={styledEdges}
@@ -127,6 +784,7 @@ function App() {
         onEdgesChange={onEdgesChange}
         nodeTypes={nodeTypes}
         fitView
+        onlyRenderVisibleElements={nodes.length > LARGE_GRAPH_NODES}
         minZoom={0.1}
         maxZoom={2}
         noPanClassName="no-wheel-zoom"
@@ -0,0 +1,74 @@
+import { useState } from "react";
+import { socket, getCurrentSession } from "../utils/socket";
+import { CHANGE_STATUSES } from "../utils/changes";
+
+/**
+ * Files changed since the git ref of `:Terreno diff` (see app/changes.js),
+ * with the "changed only" toggle. Clicking a file opens its first changed
+ * symbol in Neovim and shows the file in the graph.
+ */
+const ChangesPanel = ({ changes, changedOnly, onToggleChangedOnly, onSelect }) => {
+  const [open, setOpen] = useState(true);
+  if (!changes) return null;
+
+  const files = changes.files || [];
+
+  // Former path of renamed files, changed symbols, or why it can't be shown
+  const detail = (file) => {
+    if (file.old_path) return `from ${file.old_path}`;
+    if (file.symbols.length > 0) return file.symbols.map((sym) => sym.name).join(", ");
+    if (!file.node && file.status !== "deleted") return "not in the graph";
+    return null;
+  };
+
+  const handleSelect = (file) => {
+    if (file.status === "deleted") return;
+    socket.emit("navigate", {
+      filepath: file.filepath,
+      line: file.symbols[0]?.line || 1,
+      session: getCurrentSession(),
+    });
+    if (file.node) onSelect?.(file);
+  };
+
+  return (
+    <div className="side-panel changes-panel">
+      <button className="side-panel-header" onClick={() => setOpen((o) => !o)}>
+        <span>
+          {files.length} changed file{files.length === 1 ? "" : "s"} since {changes.ref}
+        </span>
+        <span>{open ? "▾" : "▸"}</span>
+      </button>
+      {open && (
+        <div className="side-panel-list">
+          {changes.error && <div className="side-panel-error">{changes.error}</div>}
+          <label className="changes-toggle">
+            <input type="checkbox" checked={changedOnly} onChange={onToggleChangedOnly} />
+            Changed files and their imports only
+          </label>
+          {files.map((file) => (
+            <div
+              key={file.path}
+              className={`side-panel-item changes-item ${file.status}`}
+              onClick={() => handleSelect(file)}
+              title={file.status === "deleted" ? "Deleted" : "Go to the first change in Neovim"}
+            >
+              <span
+                className="side-panel-icon"
+                style={{ color: CHANGE_STATUSES[file.status]?.color }}
+              >
+                {CHANGE_STATUSES[file.status]?.letter}
+              </span>
+              <div className="side-panel-body">
+                <div className="side-panel-location">{file.path}</div>
+                {detail(file) && <div className="side-panel-detail">{detail(file)}</div>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChangesPanel;
@@ -0,0 +1,93 @@
+import { memo } from "react";
+import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
+import { oneDark } from "react-syntax-highlighter/dist/esm/styles/prism";
+
+// Custom theme based on oneDark without line backgrounds
+const customTheme = {
+  ...oneDark,
+  'pre[class*="language-"]': {
+    ...oneDark['pre[class*="language-"]'],
+    background: "#0f172a",
+  },
+  'code[class*="language-"]': {
+    ...oneDark['code[class*="language-"]'],
+    background: "transparent",
+  },
+};
+
+// Map file extensions to Prism language identifiers
+const getLanguage = (filepath) => {
+  if (!filepath) return "text";
+  const ext = filepath.split(".").pop()?.toLowerCase();
+  const langMap = {
+    js: "javascript",
+    jsx: "jsx",
+    ts: "typescript",
+    tsx: "tsx",
+    py: "python",
+    rb: "ruby",
+    rs: "rust",
+    go: "go",
+    java: "java",
+    c: "c",
+    cpp: "cpp",
+    h: "c",
+    hpp: "cpp",
+    cs: "csharp",
+    php: "php",
+    lua: "lua",
+    sh: "bash",
+    bash: "bash",
+    zsh: "bash",
+    json: "json",
+    yaml: "yaml",
+    yml: "yaml",
+    md: "markdown",
+    sql: "sql",
+    html: "html",
+    css: "css",
+    scss: "scss",
+    vue: "vue",
+    svelte: "svelte",
+  };
+  return langMap[ext] || "text";
+};
+
+/**
+ * Syntax-highlighted snippet returned by `code:request`
+ * (lines are { num, text }, numbered from the first line)
+ */
+const CodePreview = memo(({ filepath, lines, loading }) => (
+  <div className="symbol-code-preview" onWheel={(e) => e.stopPropagation()}>
+    {loading ? (
+      <div className="code-loading">Loading...</div>
+    ) : (
+      <SyntaxHighlighter
+        language={getLanguage(filepath)}
+        style={customTheme}
+        showLineNumbers
+        startingLineNumber={lines[0]?.num || 1}
+        lineNumberStyle={{ minWidth: "2.5em", paddingRight: "1em", color: "#475569", background: "none" }}
+        lineNumberContainerStyle={{ background: "none" }}
+        customStyle={{
+          margin: 0,
+          padding: "8px",
+          background: "#0f172a",
+          fontSize: "11px",
+          borderRadius: "4px",
+        }}
+        lineProps={() => ({
+          style: {
+            display: "block",
+          },
+        })}
+      >
+        {lines.map((l) => l.text).join("\n")}
+      </SyntaxHighlighter>
+    )}
+  </div>
+));
+
+CodePreview.displayName = "CodePreview";
+
+export default CodePreview;
@@ -0,0 +1,131 @@
+import { useState, useMemo, useRef, useEffect } from "react";
+import { searchGraph } from "../utils/search";
+import { fetchWorkspaceSymbols } from "../utils/socket";
+
+const KIND_ICONS = {
+  file: "📄",
+  symbol: "ƒ",
+  lsp: "⌕",
+};
+
+/**
+ * Ctrl+K palette: fuzzy search over the loaded graph, with an LSP
+ * `workspace/symbol` fallback for files that are not in the graph yet.
+ */
+const CommandPalette = ({ nodes, onSelect, onClose }) => {
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState(0);
+  // LSP results belong to the query they were fetched for
+  const [lsp, setLsp] = useState({ query: null, results: [], loading: false });
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const results = useMemo(() => {
+    const local = searchGraph(nodes, query);
+    const lspResults = lsp.query === query ? lsp.results : [];
+    const items = [...local, ...lspResults];
+    if (query.trim() && lsp.query !== query) {
+      items.push({ kind: "lsp-search", label: `Search workspace symbols for “${query}”` });
+    }
+    return items;
+  }, [nodes, query, lsp]);
+
+  const handleQuery = (value) => {
+    setQuery(value);
+    setSelected(0);
+  };
+
+  const searchWorkspace = async () => {
+    const current = query;
+    setLsp({ query: current, results: [], loading: true });
+    try {
+      const response = await fetchWorkspaceSymbols(current);
+      const symbols = response.status === "ok" ? response.symbols : [];
+      setLsp({
+        query: current,
+        loading: false,
+        results: symbols.map((symbol) => ({
+          kind: "lsp",
+          filepath: symbol.filepath,
+          label: symbol.name,
+          detail: `${symbol.path || symbol.file}:${symbol.line}`,
+          symbol: { name: symbol.name, kind: symbol.kind_name, line: symbol.line },
+        })),
+      });
+    } catch (err) {
+      console.error("Workspace symbol search error:", err);
+      setLsp({ query: current, results: [], loading: false });
+    }
+  };
+
+  const choose = (item) => {
+    if (!item) return;
+    if (item.kind === "lsp-search") {
+      searchWorkspace();
+      return;
+    }
+    onSelect(item);
+    onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setSelected((i) => Math.min(i + 1, results.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setSelected((i) => Math.max(i - 1, 0));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      choose(results[selected]);
+    }
+  };
+
+  // Keep the selected row visible
+  useEffect(() => {
+    listRef.current?.children[selected]?.scrollIntoView({ block: "nearest" });
+  }, [selected]);
+
+  return (
+    <div className="palette-backdrop" onClick={onClose}>
+      <div className="palette" onClick={(e) => e.stopPropagation()}>
+        <input
+          ref={inputRef}
+          className="palette-input"
+          placeholder="Search files and symbols..."
+          value={query}
+          onChange={(e) => handleQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+        />
+        <div className="palette-results" ref={listRef}>
+          {results.map((item, i) => (
+            <div
+              key={`${item.kind}:${item.filepath}:${item.label}:${item.symbol?.line ?? ""}`}
+              className={`palette-item ${i === selected ? "selected" : ""}`}
+              onMouseEnter={() => setSelected(i)}
+              onClick={() => choose(item)}
+            >
+              <span className="palette-icon">{KIND_ICONS[item.kind] || "⌕"}</span>
+              <span className="palette-label">{item.label}</span>
+              {item.detail && <span className="palette-detail">{item.detail}</span>}
+              {item.kind === "lsp" && <span className="palette-badge">LSP</span>}
+            </div>
+          ))}
+          {lsp.loading && <div className="palette-empty">Searching workspace...</div>}
+          {query.trim() && results.length === 0 && !lsp.loading && (
+            <div className="palette-empty">No matches</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
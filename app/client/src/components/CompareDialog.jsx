@@ -0,0 +1,75 @@
+import { useState, useEffect } from "react";
+
+// Graph document read from a JSON file (as exported or posted to /api/graph)
+const readGraph = async (file) => {
+  const graph = JSON.parse(await file.text());
+  if (!Array.isArray(graph?.nodes)) {
+    throw new Error(`${file.name} is not a Terreno graph (no nodes)`);
+  }
+  return graph;
+};
+
+/**
+ * Pick two saved graphs (e.g. exported at two commits) and compare them.
+ */
+const CompareDialog = ({ onCompare, onClose }) => {
+  const [files, setFiles] = useState({ before: null, after: null });
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const pick = (which) => (e) => {
+    const [file] = e.target.files;
+    setFiles((current) => ({ ...current, [which]: file || null }));
+    setError(null);
+  };
+
+  const handleCompare = async () => {
+    setBusy(true);
+    try {
+      const [before, after] = await Promise.all([readGraph(files.before), readGraph(files.after)]);
+      await onCompare(before, after);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="palette-backdrop" onClick={onClose}>
+      <div className="compare-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="compare-dialog-title">Compare two graphs</div>
+        <label className="compare-dialog-file">
+          <span>Before</span>
+          <input type="file" accept=".json,application/json" onChange={pick("before")} />
+        </label>
+        <label className="compare-dialog-file">
+          <span>After</span>
+          <input type="file" accept=".json,application/json" onChange={pick("after")} />
+        </label>
+        {error && <div className="compare-dialog-error">{error}</div>}
+        <div className="compare-dialog-actions">
+          <button className="toolbar-btn" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className="toolbar-btn"
+            onClick={handleCompare}
+            disabled={!files.before || !files.after || busy}
+          >
+            {busy ? "Comparing..." : "Compare"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CompareDialog;
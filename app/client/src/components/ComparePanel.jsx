@@ -0,0 +1,75 @@
+import { useState } from "react";
+
+const SECTIONS = [
+  { key: "files", label: "Files", describe: (file) => file, nodes: (file) => [file] },
+  {
+    key: "symbols",
+    label: "Symbols",
+    describe: (sym) => `${sym.file} › ${sym.name}`,
+    nodes: (sym) => [sym.file],
+  },
+  {
+    key: "edges",
+    label: "Imports",
+    describe: (edge) => `${edge.source} → ${edge.target}`,
+    nodes: (edge) => [edge.source, edge.target],
+  },
+];
+
+/**
+ * What changed between the two graphs being compared (see app/compare.js).
+ * Clicking an entry shows its files in the graph.
+ */
+const ComparePanel = ({ comparison, onSelect, onExit }) => {
+  const [open, setOpen] = useState(true);
+  if (!comparison) return null;
+
+  const total = SECTIONS.reduce(
+    (sum, { key }) => sum + comparison[key].added.length + comparison[key].removed.length,
+    0
+  );
+
+  return (
+    <div className="side-panel compare-panel">
+      <button className="side-panel-header" onClick={() => setOpen((o) => !o)}>
+        <span>
+          Comparison: {total} change{total === 1 ? "" : "s"}
+        </span>
+        <span>{open ? "▾" : "▸"}</span>
+      </button>
+      {open && (
+        <div className="side-panel-list">
+          <button className="compare-exit" onClick={onExit}>
+            Back to the live graph
+          </button>
+          {SECTIONS.flatMap((section) =>
+            ["added", "removed"].flatMap((status) => {
+              const entries = comparison[section.key][status];
+              if (entries.length === 0) return [];
+              return [
+                <div key={`${section.key}:${status}`} className="compare-section">
+                  {section.label} {status} ({entries.length})
+                </div>,
+                ...entries.map((entry, i) => (
+                  <div
+                    key={`${section.key}:${status}:${i}`}
+                    className={`side-panel-item compare-item ${status}`}
+                    onClick={() => onSelect(section.nodes(entry))}
+                  >
+                    <span className="side-panel-icon">{status === "added" ? "+" : "−"}</span>
+                    <div className="side-panel-body">
+                      <div className="side-panel-location">{section.describe(entry)}</div>
+                    </div>
+                  </div>
+                )),
+              ];
+            })
+          )}
+          {total === 0 && <div className="palette-empty">The graphs are the same</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparePanel;
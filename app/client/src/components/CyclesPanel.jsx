@@ -0,0 +1,70 @@
+import { useState } from "react";
+import { socket, getCurrentSession } from "../utils/socket";
+import { cycleColor } from "../../../shared/cycles";
+
+/**
+ * Import cycles of the graph (see shared/cycles.js), each as a path of files
+ * and the import that closes it. Clicking a cycle jumps to that import in
+ * Neovim and fits the cycle's files in the view.
+ */
+const CyclesPanel = ({ cycles, cwd, onSelect }) => {
+  const [open, setOpen] = useState(true);
+  if (cycles.length === 0) return null;
+
+  const root = cwd ? cwd.replace(/\/$/, "") + "/" : "";
+  const relative = (filepath) =>
+    root && filepath.startsWith(root) ? filepath.slice(root.length) : filepath;
+  const filename = (filepath) => filepath.split("/").pop();
+
+  const handleSelect = (cycle) => {
+    socket.emit("navigate", {
+      filepath: cycle.closing.source,
+      line: cycle.closing.line || 1,
+      session: getCurrentSession(),
+    });
+    onSelect?.(cycle);
+  };
+
+  return (
+    <div className="side-panel cycles-panel">
+      <button className="side-panel-header" onClick={() => setOpen((o) => !o)}>
+        <span>
+          {cycles.length} import cycle{cycles.length === 1 ? "" : "s"}
+        </span>
+        <span>{open ? "▾" : "▸"}</span>
+      </button>
+      {open && (
+        <div className="side-panel-list">
+          {cycles.map((cycle, i) => (
+            <div
+              key={cycle.id}
+              className="side-panel-item"
+              onClick={() => handleSelect(cycle)}
+              title={cycle.files.map(relative).join("\n")}
+            >
+              <span className="cycle-swatch" style={{ background: cycleColor(i) }} />
+              <div className="side-panel-body">
+                <div className="side-panel-location">
+                  {cycle.path.map((file, j) => (
+                    <span key={j}>
+                      {j > 0 && <span className="cycle-arrow"> → </span>}
+                      {filename(file)}
+                    </span>
+                  ))}
+                </div>
+                <div className="side-panel-detail">
+                  Closed by {relative(cycle.closing.source)}
+                  {cycle.closing.line ? `:${cycle.closing.line}` : ""}
+                  {cycle.files.length > cycle.path.length - 1 &&
+                    ` • ${cycle.files.length} files involved`}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CyclesPanel;
@@ -0,0 +1,46 @@
+import { memo, useCallback } from "react";
+import { Handle, Position } from "@xyflow/react";
+
+/**
+ * Directory / package group. Contains its files (and subdirectories) as
+ * child nodes; collapsed, it stands in for all of them and edges to its
+ * files are aggregated onto it.
+ */
+const DirectoryNode = memo(({ data, id }) => {
+  const collapsed = !!data.collapsed;
+
+  const handleToggle = useCallback(
+    (e) => {
+      e.stopPropagation();
+      data.onToggleCollapse?.(id);
+    },
+    [data, id]
+  );
+
+  return (
+    <div
+      className={`directory-node ${collapsed ? "collapsed" : ""} ${
+        data.highlighted ? "highlighted" : ""
+      }`}
+    >
+      <Handle type="target" position={Position.Left} />
+
+      <div className="directory-header" onClick={handleToggle}>
+        <span className="file-icon">{collapsed ? "📁" : "📂"}</span>
+        <span className="directory-name" title={data.path}>
+          {data.label}
+        </span>
+        <span className="directory-count">
+          {data.fileCount} file{data.fileCount === 1 ? "" : "s"}
+        </span>
+        <span className="file-toggle">{collapsed ? "▶" : "▼"}</span>
+      </div>
+
+      <Handle type="source" position={Position.Right} />
+    </div>
+  );
+});
+
+DirectoryNode.displayName = "DirectoryNode";
+
+export default DirectoryNode;
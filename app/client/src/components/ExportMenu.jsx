@@ -0,0 +1,55 @@
+import { useState } from "react";
+import { EXPORT_FORMATS } from "../../../shared/export";
+
+const FORMAT_LABELS = {
+  svg: "SVG image",
+  png: "PNG image",
+  mermaid: "Mermaid flowchart",
+  dot: "Graphviz DOT",
+  json: "Terreno JSON",
+};
+
+const ExportMenu = ({ onExport }) => {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const handleSelect = async (format) => {
+    setOpen(false);
+    setExporting(true);
+    try {
+      await onExport(format);
+    } catch (err) {
+      console.error("Export error:", err);
+    }
+    setExporting(false);
+  };
+
+  return (
+    <div className="toolbar-menu">
+      <button
+        className="toolbar-btn"
+        onClick={() => setOpen(!open)}
+        disabled={exporting}
+        title="Export graph"
+      >
+        {exporting ? "Exporting..." : "Export ▾"}
+      </button>
+      {open && (
+        <div className="toolbar-options">
+          {Object.keys(EXPORT_FORMATS).map((format) => (
+            <button
+              key={format}
+              className="toolbar-option"
+              onClick={() => handleSelect(format)}
+            >
+              {FORMAT_LABELS[format]}
+              <span className="export-ext">.{EXPORT_FORMATS[format].ext}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -1,59 +1,9 @@
-import { memo, useState, useCallback, useMemo } from "react";
+import { memo, useState, useCallback, useMemo, useRef, useEffect } from "react";
 import { Handle, Position } from "@xyflow/react";
-import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
-import { oneDark } from "react-syntax-highlighter/dist/esm/styles/prism";
-
-// Custom theme based on oneDark without line backgrounds
-const customTheme = {
-  ...oneDark,
-  'pre[class*="language-"]': {
-    ...oneDark['pre[class*="language-"]'],
-    background: "#0f172a",
-  },
-  'code[class*="language-"]': {
-    ...oneDark['code[class*="language-"]'],
-    background: "transparent",
-  },
-};
-import { socket } from "../utils/socket";
-
-// Map file extensions to Prism language identifiers
-const getLanguage = (filepath) => {
-  if (!filepath) return "text";
-  const ext = filepath.split(".").pop()?.toLowerCase();
-  const langMap = {
-    js: "javascript",
-    jsx: "jsx",
-    ts: "typescript",
-    tsx: "tsx",
-    py: "python",
-    rb: "ruby",
-    rs: "rust",
-    go: "go",
-    java: "java",
-    c: "c",
-    cpp: "cpp",
-    h: "c",
-    hpp: "cpp",
-    cs: "csharp",
-    php: "php",
-    lua: "lua",
-    sh: "bash",
-    bash: "bash",
-    zsh: "bash",
-    json: "json",
-    yaml: "yaml",
-    yml: "yaml",
-    md: "markdown",
-    sql: "sql",
-    html: "html",
-    css: "css",
-    scss: "scss",
-    vue: "vue",
-    svelte: "svelte",
-  };
-  return langMap[ext] || "text";
-};
+import { socket, getCurrentSession } from "../utils/socket";
+import { symbolSourceHandle, symbolTargetHandle } from "../utils/references";
+import { CHANGE_STATUSES } from "../utils/changes";
+import CodePreview from "./CodePreview";
 
 const KIND_ORDER = [
   "Class",
@@ -64,23 +14,87 @@ const KIND_ORDER = [
   "Property",
 ];
 
+// Symbol kinds with a type hierarchy (supertypes / subtypes)
+const TYPE_KINDS = ["Class", "Interface"];
+
+// Metrics overlay: fan-in / fan-out, symbols, and lines and churn once loaded
+const MetricsBadge = ({ metrics }) => {
+  const { fanIn, fanOut, symbols, lines, churn } = metrics;
+  const title = [
+    `Imported by ${fanIn} file${fanIn === 1 ? "" : "s"}`,
+    `imports ${fanOut}`,
+    `${symbols} symbol${symbols === 1 ? "" : "s"}`,
+    lines !== null && `${lines} lines`,
+    churn !== null && `${churn} commit${churn === 1 ? "" : "s"}`,
+  ]
+    .filter(Boolean)
+    .join(" • ");
+
+  return (
+    <span className="file-metrics" title={title}>
+      ↓{fanIn} ↑{fanOut} · {symbols}ƒ{lines !== null && ` · ${lines}L`}
+      {churn !== null && ` · ${churn}✎`}
+    </span>
+  );
+};
+
 const FileNode = memo(({ data, id }) => {
-  const [expanded, setExpanded] = useState(true);
-  const [expandedSymbol, setExpandedSymbol] = useState(null);
+  // Collapsed state lives in node data so saved views can restore it
+  const expanded = !data.collapsed;
+  // Nodes added from the command palette start with the picked symbol open
+  const [expandedSymbol, setExpandedSymbol] = useState(data.focusSymbol?.name ?? null);
   const [codeLines, setCodeLines] = useState([]);
-  const [loadingCode, setLoadingCode] = useState(false);
+  const [loadingCode, setLoadingCode] = useState(!!data.focusSymbol);
   const [expandingFile, setExpandingFile] = useState(false);
+  // Class / interface whose type hierarchy is being fetched
+  const [loadingTypes, setLoadingTypes] = useState(null);
+
+  // Follow mode: symbol under the editor cursor
+  const cursorSymbol = data.cursorSymbol;
+  const cursorKey = cursorSymbol ? `${cursorSymbol.name}:${cursorSymbol.line}` : null;
+
+  // Command palette: symbol picked by the user (key changes on every pick)
+  const focusSymbol = data.focusSymbol;
+  const focusKey = focusSymbol?.key ?? null;
+
+  const symbolsRef = useRef(null);
+  const targetRowRef = useRef(null);
+
+  // Open the picked symbol's code preview
+  const [prevFocusKey, setPrevFocusKey] = useState(focusKey);
+  if (focusKey !== prevFocusKey) {
+    setPrevFocusKey(focusKey);
+    if (focusSymbol) {
+      setExpandedSymbol(focusSymbol.name);
+      setLoadingCode(true);
+    }
+  }
+
+  // Scroll the symbol list (not the canvas) so the picked / cursor row is visible
+  useEffect(() => {
+    const list = symbolsRef.current;
+    const row = targetRowRef.current;
+    if (!(focusKey || cursorKey) || !list || !row) return;
+    const top = row.offsetTop - list.offsetTop;
+    if (top < list.scrollTop || top + row.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = top - list.clientHeight / 2;
+    }
+  }, [focusKey, cursorKey, expanded]);
 
   const handleNavigate = useCallback((filepath, line) => {
-    socket.emit("navigate", { filepath, line: line || 1 });
+    socket.emit("navigate", {
+      filepath,
+      line: line || 1,
+      session: getCurrentSession(),
+    });
   }, []);
 
   const handleToggle = useCallback(
     (e) => {
       e.stopPropagation();
-      setExpanded(!expanded);
+      data.onToggleCollapse?.(id);
     },
-    [expanded]
+    [data, id]
   );
 
   const handleExpandFile = useCallback(
@@ -99,19 +113,24 @@ const FileNode = memo(({ data, id }) => {
     [data, id, expandingFile]
   );
 
-  const handleSymbolClick = useCallback(
-    (sym, e) => {
+  const handleShowTypes = useCallback(
+    async (sym, e) => {
       e.stopPropagation();
+      if (loadingTypes || !data.onShowTypes) return;
 
-      if (expandedSymbol === sym.name) {
-        setExpandedSymbol(null);
-        setCodeLines([]);
-        return;
+      setLoadingTypes(sym.name);
+      try {
+        await data.onShowTypes(id, sym);
+      } catch (err) {
+        console.error("Type hierarchy error:", err);
       }
+      setLoadingTypes(null);
+    },
+    [data, id, loadingTypes]
+  );
 
-      setLoadingCode(true);
-      setExpandedSymbol(sym.name);
-
+  const requestCode = useCallback(
+    (sym) => {
       socket.emit(
         "code:request",
         {
@@ -120,6 +139,7 @@ const FileNode = memo(({ data, id }) => {
           end_line: sym.end_line,
           name: sym.name,
           context: 2,
+          session: getCurrentSession(),
         },
         (response) => {
           setLoadingCode(false);
@@ -129,7 +149,31 @@ const FileNode = memo(({ data, id }) => {
         }
       );
     },
-    [data.filepath, expandedSymbol]
+    [data.filepath]
+  );
+
+  // Load the picked symbol's code (focusSymbol only changes on a new pick)
+  useEffect(() => {
+    if (focusSymbol) {
+      requestCode(focusSymbol);
+    }
+  }, [focusKey, focusSymbol, requestCode]);
+
+  const handleSymbolClick = useCallback(
+    (sym, e) => {
+      e.stopPropagation();
+
+      if (expandedSymbol === sym.name) {
+        setExpandedSymbol(null);
+        setCodeLines([]);
+        return;
+      }
+
+      setLoadingCode(true);
+      setExpandedSymbol(sym.name);
+      requestCode(sym);
+    },
+    [expandedSymbol, requestCode]
   );
 
   const handleSymbolDoubleClick = useCallback(
@@ -159,10 +203,44 @@ const FileNode = memo(({ data, id }) => {
     return groups;
   }, [data.symbols]);
 
+  const isCursorSymbol = (sym) =>
+    !!cursorSymbol && sym.name === cursorSymbol.name && sym.line === cursorSymbol.line;
+
+  const isFocusSymbol = (sym) =>
+    !!focusSymbol && sym.name === focusSymbol.name && sym.line === focusSymbol.line;
+
+  // Row to keep in view: the palette pick wins over the editor cursor
+  const isScrollTarget = (sym) => (focusSymbol ? isFocusSymbol(sym) : isCursorSymbol(sym));
+
+  const referenceBadge = data.referenceBadge;
+
+  // Git diff overlay: "added" / "modified" when the row's range changed
+  const symbolChange = (sym) => data.change?.symbols.get(sym.line) || null;
+
   const renderSymbol = (sym, i) => (
     <div key={i} className="symbol-item-wrapper">
+      {/* Ends of reference edges (see utils/references.js) */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        id={symbolTargetHandle(sym.line)}
+        className="symbol-handle"
+        isConnectable={false}
+      />
+      <Handle
+        type="source"
+        position={Position.Right}
+        id={symbolSourceHandle(sym.line)}
+        className="symbol-handle"
+        isConnectable={false}
+      />
       <div
-        className={`symbol-item ${expandedSymbol === sym.name ? "active" : ""}`}
+        ref={isScrollTarget(sym) ? targetRowRef : undefined}
+        className={`symbol-item ${expandedSymbol === sym.name ? "active" : ""} ${
+          isCursorSymbol(sym) ? "cursor" : ""
+        } ${symbolChange(sym) ? `change-${symbolChange(sym)}` : ""} ${
+          sym.compare ? `compare-${sym.compare}` : ""
+        }`}
         onClick={(e) => handleSymbolClick(sym, e)}
         onDoubleClick={(e) => handleSymbolDoubleClick(sym, e)}
         onMouseEnter={() => handleSymbolHover(sym, true)}
@@ -172,51 +250,72 @@ const FileNode = memo(({ data, id }) => {
         <span className="symbol-bullet">•</span>
         <span className="symbol-name">{sym.name}</span>
         <span className="symbol-line">:{sym.line}</span>
+        {referenceBadge?.line === sym.line && (
+          <>
+            <span className="symbol-ref-badge" title="References">
+              {referenceBadge.count}
+            </span>
+            <button
+              className="symbol-pin-btn"
+              onClick={(e) => {
+                e.stopPropagation();
+                data.onPinReferences?.(id, sym);
+              }}
+              onDoubleClick={(e) => e.stopPropagation()}
+              title="Pin reference edges"
+            >
+              📌
+            </button>
+          </>
+        )}
+        {TYPE_KINDS.includes(sym.kind) && data.onShowTypes && (
+          <button
+            className="symbol-types-btn"
+            onClick={(e) => handleShowTypes(sym, e)}
+            onDoubleClick={(e) => e.stopPropagation()}
+            title="Show type hierarchy"
+            disabled={!!loadingTypes}
+          >
+            {loadingTypes === sym.name ? "..." : "⇅"}
+          </button>
+        )}
         <span className="symbol-expand-icon">
           {expandedSymbol === sym.name ? "−" : "+"}
         </span>
       </div>
 
       {expandedSymbol === sym.name && (
-        <div className="symbol-code-preview" onWheel={(e) => e.stopPropagation()}>
-          {loadingCode ? (
-            <div className="code-loading">Loading...</div>
-          ) : (
-            <SyntaxHighlighter
-              language={getLanguage(data.filepath)}
-              style={customTheme}
-              showLineNumbers
-              startingLineNumber={codeLines[0]?.num || 1}
-              lineNumberStyle={{ minWidth: "2.5em", paddingRight: "1em", color: "#475569", background: "none" }}
-              lineNumberContainerStyle={{ background: "none" }}
-              customStyle={{
-                margin: 0,
-                padding: "8px",
-                background: "#0f172a",
-                fontSize: "11px",
-                borderRadius: "4px",
-              }}
-              lineProps={() => ({
-                style: {
-                  display: "block",
-                },
-              })}
-            >
-              {codeLines.map((l) => l.text).join("\n")}
-            </SyntaxHighlighter>
-          )}
-        </div>
+        <CodePreview filepath={data.filepath} lines={codeLines} loading={loadingCode} />
       )}
     </div>
   );
 
   return (
-    <div className={`file-node no-wheel-zoom ${data.highlighted ? "highlighted" : ""}`}>
+    <div
+      className={`file-node no-wheel-zoom ${data.highlighted ? "highlighted" : ""} ${
+        data.cursor ? "cursor" : ""
+      } ${data.change ? `change-${data.change.status}` : ""}`}
+    >
+      {/* Node-level handles come first: edges without a handle id use the first one */}
       <Handle type="target" position={Position.Left} />
+      <Handle type="source" position={Position.Right} />
 
-      <div className="file-header" onClick={handleToggle}>
+      <div
+        className="file-header"
+        onClick={handleToggle}
+        style={data.heat ? { background: data.heat } : undefined}
+      >
         <span className="file-icon">📄</span>
         <span className="file-name">{data.filename}</span>
+        {data.metrics && <MetricsBadge metrics={data.metrics} />}
+        {data.change && (
+          <span
+            className="file-change"
+            title={data.change.old_path ? `Renamed from ${data.change.old_path}` : data.change.status}
+          >
+            {CHANGE_STATUSES[data.change.status]?.letter}
+          </span>
+        )}
         <span className="file-toggle">{expanded ? "▼" : "▶"}</span>
         <div className="file-actions">
           {!data.isExpanded && (
@@ -245,7 +344,11 @@ const FileNode = memo(({ data, id }) => {
       <div className="file-path">{data.path}</div>
 
       {expanded && (
-        <div className="file-symbols" onWheel={(e) => e.stopPropagation()}>
+        <div
+          className="file-symbols"
+          ref={symbolsRef}
+          onWheel={(e) => e.stopPropagation()}
+        >
           {KIND_ORDER.map((kind) =>
             groupedSymbols[kind] ? (
               <div key={kind} className="symbol-group">
@@ -269,7 +372,6 @@ const FileNode = memo(({ data, id }) => {
         </div>
       )}
 
-      <Handle type="source" position={Position.Right} />
     </div>
   );
 });
@@ -0,0 +1,53 @@
+import { useState } from "react";
+import { METRICS } from "../utils/metrics";
+
+/**
+ * Toolbar menu of the metrics overlay: badges in file headers, a heatmap
+ * coloring by one metric, and the metrics table.
+ */
+const MetricsMenu = ({ badges, heatmap, onToggleBadges, onHeatmap, onOpenTable }) => {
+  const [open, setOpen] = useState(false);
+
+  const choose = (action) => {
+    setOpen(false);
+    action();
+  };
+
+  return (
+    <div className="toolbar-menu">
+      <button
+        className={`toolbar-btn ${badges || heatmap ? "active" : ""}`}
+        onClick={() => setOpen(!open)}
+        title="File metrics"
+      >
+        Metrics ▾
+      </button>
+      {open && (
+        <div className="toolbar-options">
+          <button className="toolbar-option" onClick={() => choose(onToggleBadges)}>
+            Badges
+            <span className="toolbar-check">{badges ? "✓" : ""}</span>
+          </button>
+          <button className="toolbar-option" onClick={() => choose(onOpenTable)}>
+            Table...
+          </button>
+          <div className="toolbar-separator" />
+          <div className="toolbar-section">Heatmap</div>
+          {[{ key: null, label: "Off" }, ...METRICS].map((metric) => (
+            <button
+              key={metric.key ?? "off"}
+              className="toolbar-option"
+              onClick={() => choose(() => onHeatmap(metric.key))}
+              title={metric.title}
+            >
+              {metric.label}
+              <span className="toolbar-check">{heatmap === metric.key ? "✓" : ""}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MetricsMenu;
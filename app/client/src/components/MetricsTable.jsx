@@ -0,0 +1,85 @@
+import { useState, useMemo, useEffect } from "react";
+import { METRICS } from "../utils/metrics";
+
+/**
+ * Sortable table of the file metrics. Clicking a row closes the table and
+ * shows that file in the graph.
+ */
+const MetricsTable = ({ nodes, metrics, loading, churn, onSelect, onClose }) => {
+  const [sort, setSort] = useState({ key: "fanIn", descending: true });
+  const columns = churn ? METRICS : METRICS.filter((m) => m.key !== "churn");
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const rows = useMemo(() => {
+    const list = nodes
+      .filter((node) => metrics.has(node.id))
+      .map((node) => ({
+        id: node.id,
+        file: node.data.path || node.data.filename,
+        ...metrics.get(node.id),
+      }));
+    const direction = sort.descending ? -1 : 1;
+    // Unknown values (null) always go last
+    return list.sort((a, b) => {
+      if (sort.key === "file") return direction * a.file.localeCompare(b.file);
+      if (a[sort.key] === null) return b[sort.key] === null ? 0 : 1;
+      if (b[sort.key] === null) return -1;
+      return direction * (a[sort.key] - b[sort.key]) || a.file.localeCompare(b.file);
+    });
+  }, [nodes, metrics, sort]);
+
+  const sortBy = (key) =>
+    setSort((current) =>
+      current.key === key
+        ? { key, descending: !current.descending }
+        : { key, descending: key !== "file" }
+    );
+
+  const header = (key, label, title) => (
+    <th key={key} onClick={() => sortBy(key)} title={title}>
+      {label}
+      {sort.key === key && (sort.descending ? " ▾" : " ▴")}
+    </th>
+  );
+
+  return (
+    <div className="palette-backdrop" onClick={onClose}>
+      <div className="metrics-table" onClick={(e) => e.stopPropagation()}>
+        <div className="metrics-table-title">
+          File metrics
+          {loading && <span className="metrics-table-loading">loading line counts...</span>}
+        </div>
+        <div className="metrics-table-scroll">
+          <table>
+            <thead>
+              <tr>
+                {header("file", "File")}
+                {columns.map((m) => header(m.key, m.label, m.title))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.id} onClick={() => onSelect(row.id)}>
+                  <td className="metrics-table-file">{row.file}</td>
+                  {columns.map((m) => (
+                    <td key={m.key}>{row[m.key] ?? "–"}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows.length === 0 && <div className="palette-empty">No files in the graph</div>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MetricsTable;
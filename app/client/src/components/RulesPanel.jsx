@@ -0,0 +1,66 @@
+import { useState } from "react";
+import { socket, getCurrentSession } from "../utils/socket";
+
+const SEVERITY_ICONS = {
+  error: "✕",
+  warning: "⚠",
+  info: "ℹ",
+  hint: "·",
+};
+
+/**
+ * Imports breaking the architecture rules of `.terreno.json` (checked by the
+ * server, see app/rules.js). Clicking a violation jumps to the import in
+ * Neovim and shows both files in the graph.
+ */
+const RulesPanel = ({ rules, onSelect }) => {
+  const [open, setOpen] = useState(true);
+  const violations = rules?.violations || [];
+  if (violations.length === 0 && !rules?.error) return null;
+
+  const handleSelect = (violation) => {
+    socket.emit("navigate", {
+      filepath: violation.source,
+      line: violation.line || 1,
+      session: getCurrentSession(),
+    });
+    onSelect?.(violation);
+  };
+
+  return (
+    <div className="side-panel rules-panel">
+      <button className="side-panel-header" onClick={() => setOpen((o) => !o)}>
+        <span>
+          {violations.length} rule violation{violations.length === 1 ? "" : "s"}
+        </span>
+        <span>{open ? "▾" : "▸"}</span>
+      </button>
+      {open && (
+        <div className="side-panel-list">
+          {rules.error && <div className="side-panel-error">{rules.error}</div>}
+          {violations.map((violation) => (
+            <div
+              key={`${violation.source}:${violation.target}`}
+              className={`side-panel-item rules-item ${violation.severity}`}
+              onClick={() => handleSelect(violation)}
+              title="Go to the import in Neovim"
+            >
+              <span className="side-panel-icon">{SEVERITY_ICONS[violation.severity]}</span>
+              <div className="side-panel-body">
+                <div className="side-panel-location">
+                  {violation.from}
+                  {violation.line ? `:${violation.line}` : ""}
+                  <span className="rules-item-arrow"> → </span>
+                  {violation.to}
+                </div>
+                <div className="side-panel-detail">{violation.message}</div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RulesPanel;
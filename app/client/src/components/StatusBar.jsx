@@ -1,12 +1,37 @@
-const StatusBar = ({ connected, neovimConnected, cwd }) => {
+const StatusBar = ({
+  connected,
+  unauthorized,
+  neovimConnected,
+  cwd,
+  sessions = [],
+  activeSession,
+  onSelectSession,
+}) => {
   return (
     <div className="status-bar">
       <div className={`status ${connected ? "connected" : "disconnected"}`}>
         Server: {connected ? "Connected" : "Disconnected"}
+        {unauthorized && " (invalid token, open the page from Neovim)"}
       </div>
       <div className={`status ${neovimConnected ? "connected" : "disconnected"}`}>
         Neovim: {neovimConnected ? "Connected" : "Waiting..."}
       </div>
+      {sessions.length > 1 && (
+        <select
+          className="session-select"
+          value={activeSession || ""}
+          onChange={(e) => onSelectSession?.(e.target.value)}
+          title="Neovim session"
+        >
+          {!activeSession && <option value="">Select session...</option>}
+          {sessions.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.name}
+              {s.hasGraph ? "" : " (no graph)"}
+            </option>
+          ))}
+        </select>
+      )}
       {cwd && <div className="cwd">{cwd}</div>}
     </div>
   );
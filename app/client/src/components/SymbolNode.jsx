@@ -0,0 +1,136 @@
+import { memo, useState, useCallback } from "react";
+import { Handle, Position } from "@xyflow/react";
+import { socket, getCurrentSession } from "../utils/socket";
+import CodePreview from "./CodePreview";
+
+// Short icon per symbol kind
+const KIND_ICONS = {
+  Class: "C",
+  Interface: "I",
+  Method: "m",
+};
+
+/**
+ * Function / method in a call graph (`:Terreno calls`), or class / interface
+ * in a type hierarchy (`:Terreno types`, laid out vertically).
+ * Click to preview its code, double-click to jump to it in Neovim,
+ * and expand its callers (to the left) or callees (to the right) one
+ * level at a time.
+ */
+const SymbolNode = memo(({ data, id }) => {
+  const [previewOpen, setPreviewOpen] = useState(false);
+  const [codeLines, setCodeLines] = useState([]);
+  const [loadingCode, setLoadingCode] = useState(false);
+  // Direction being expanded ("incoming" / "outgoing"), null when idle
+  const [expanding, setExpanding] = useState(null);
+
+  const handleClick = useCallback(() => {
+    if (previewOpen) {
+      setPreviewOpen(false);
+      setCodeLines([]);
+      return;
+    }
+
+    setPreviewOpen(true);
+    setLoadingCode(true);
+    socket.emit(
+      "code:request",
+      {
+        filepath: data.filepath,
+        line: data.line,
+        end_line: data.end_line,
+        name: data.label,
+        context: 2,
+        session: getCurrentSession(),
+      },
+      (response) => {
+        setLoadingCode(false);
+        if (response.status === "ok") {
+          setCodeLines(response.lines);
+        }
+      }
+    );
+  }, [data, previewOpen]);
+
+  const handleDoubleClick = useCallback(
+    (e) => {
+      e.stopPropagation();
+      socket.emit("navigate", {
+        filepath: data.filepath,
+        line: data.line || 1,
+        session: getCurrentSession(),
+      });
+    },
+    [data]
+  );
+
+  const handleExpand = useCallback(
+    async (direction, e) => {
+      e.stopPropagation();
+      if (expanding || !data.onExpandCalls) return;
+
+      setExpanding(direction);
+      try {
+        await data.onExpandCalls(id, direction);
+      } catch (err) {
+        console.error("Expand calls error:", err);
+      }
+      setExpanding(null);
+    },
+    [data, id, expanding]
+  );
+
+  const renderExpandButton = (direction, title, icon) => (
+    <button
+      className={`file-expand-btn symbol-node-expand-${direction}`}
+      onClick={(e) => handleExpand(direction, e)}
+      onDoubleClick={(e) => e.stopPropagation()}
+      title={title}
+      disabled={!!expanding}
+    >
+      {expanding === direction ? "..." : icon}
+    </button>
+  );
+
+  return (
+    <div
+      className={`symbol-node no-wheel-zoom ${data.highlighted ? "highlighted" : ""} ${
+        data.cursor ? "cursor" : ""
+      }`}
+    >
+      <Handle type="target" position={data.vertical ? Position.Bottom : Position.Left} />
+
+      <div
+        className="symbol-node-header"
+        onClick={handleClick}
+        onDoubleClick={handleDoubleClick}
+        title={`Click to preview • Double-click to go to line ${data.line}`}
+      >
+        {data.expandable &&
+          !data.callers_expanded &&
+          renderExpandButton("incoming", "Expand callers", "←")}
+        <span className="symbol-node-kind">{KIND_ICONS[data.kind] || "ƒ"}</span>
+        <span className="symbol-node-name">{data.label}</span>
+        {data.expandable &&
+          !data.callees_expanded &&
+          renderExpandButton("outgoing", "Expand callees", "→")}
+      </div>
+
+      <div className="file-path">
+        {data.path || data.file}:{data.line}
+      </div>
+
+      {previewOpen && (
+        <div className="symbol-node-preview">
+          <CodePreview filepath={data.filepath} lines={codeLines} loading={loadingCode} />
+        </div>
+      )}
+
+      <Handle type="source" position={data.vertical ? Position.Top : Position.Right} />
+    </div>
+  );
+});
+
+SymbolNode.displayName = "SymbolNode";
+
+export default SymbolNode;
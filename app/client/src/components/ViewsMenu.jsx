@@ -0,0 +1,75 @@
+import { useState } from "react";
+import { fetchViews } from "../utils/socket";
+
+const ViewsMenu = ({ onSave, onLoad }) => {
+  const [open, setOpen] = useState(false);
+  const [views, setViews] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const handleOpen = async () => {
+    if (open) {
+      setOpen(false);
+      return;
+    }
+    setOpen(true);
+    try {
+      const result = await fetchViews();
+      setViews(result.views || []);
+    } catch (err) {
+      console.error("Error listing views:", err);
+      setViews([]);
+    }
+  };
+
+  const run = async (action) => {
+    setOpen(false);
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error("View error:", err);
+    }
+    setBusy(false);
+  };
+
+  const handleSave = () => {
+    const name = window.prompt("Save view as:");
+    if (!name) {
+      setOpen(false);
+      return;
+    }
+    run(() => onSave(name.trim()));
+  };
+
+  return (
+    <div className="toolbar-menu">
+      <button
+        className="toolbar-btn"
+        onClick={handleOpen}
+        disabled={busy}
+        title="Save and restore named views"
+      >
+        Views ▾
+      </button>
+      {open && (
+        <div className="toolbar-options">
+          <button className="toolbar-option" onClick={handleSave}>
+            Save current view...
+          </button>
+          {views.length > 0 && <div className="toolbar-separator" />}
+          {views.map((name) => (
+            <button
+              key={name}
+              className="toolbar-option"
+              onClick={() => run(() => onLoad(name))}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ViewsMenu;
@@ -1,2 +1,14 @@
 export { default as FileNode } from "./FileNode";
 export { default as StatusBar } from "./StatusBar";
+export { default as ExportMenu } from "./ExportMenu";
+export { default as ViewsMenu } from "./ViewsMenu";
+export { default as DirectoryNode } from "./DirectoryNode";
+export { default as CommandPalette } from "./CommandPalette";
+export { default as SymbolNode } from "./SymbolNode";
+export { default as RulesPanel } from "./RulesPanel";
+export { default as CyclesPanel } from "./CyclesPanel";
+export { default as MetricsMenu } from "./MetricsMenu";
+export { default as MetricsTable } from "./MetricsTable";
+export { default as ChangesPanel } from "./ChangesPanel";
+export { default as CompareDialog } from "./CompareDialog";
+export { default as ComparePanel } from "./ComparePanel";
@@ -1,2 +1,10 @@
-export { useSocket, useGraphEvents } from "./useSocket";
+export {
+  useSocket,
+  useGraphEvents,
+  useCursorEvents,
+  useExportRequests,
+  useViewEvents,
+  useRulesEvents,
+  useChangesEvents,
+} from "./useSocket";
 export { useGraphInteractions } from "./useGraphInteractions";
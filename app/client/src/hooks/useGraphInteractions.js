@@ -1,5 +1,13 @@
-import { useState, useCallback, useRef } from "react";
-import { fetchReferences, fetchExpandFile } from "../utils/socket";
+import { useState, useCallback, useRef, useMemo, useEffect } from "react";
+import {
+  fetchReferences,
+  fetchExpandFile,
+  fetchExpandCalls,
+  fetchTypeHierarchy,
+} from "../utils/socket";
+import { estimateNodeSize, getHierarchyLayout } from "../utils/layout";
+import { buildReferenceEdges } from "../utils/references";
+import { isDirectoryNode, relayoutGroups } from "../utils/grouping";
 
 /**
  * Estimate node height based on symbol count
@@ -31,37 +39,101 @@ const estimateNodeWidth = (node) => {
   return baseWidth + codePreviewBuffer;
 };
 
-export const useGraphInteractions = (nodes, setNodes, setEdges) => {
+// Wait this long on a symbol before asking for its references
+const HOVER_DELAY_MS = 150;
+
+export const useGraphInteractions = (nodes, edges, setNodes, setEdges) => {
   const [highlightedFiles, setHighlightedFiles] = useState(new Set());
+  // References of the hovered symbol: { nodeId, symbol, references } | null
+  const [hoveredReferences, setHoveredReferences] = useState(null);
+  const hoverTimerRef = useRef(null);
+  const hoverAbortRef = useRef(null);
 
   const expandCallsRef = useRef(null);
   const symbolHoverRef = useRef(null);
   const expandFileRef = useRef(null);
+  const toggleCollapseRef = useRef(null);
+  const showTypesRef = useRef(null);
+  const pinReferencesRef = useRef(null);
+
+  // Callbacks injected into node data (stable; they call the latest handlers)
+  const nodeCallbacks = useMemo(
+    () => ({
+      onExpandCalls: (...args) => expandCallsRef.current?.(...args),
+      onSymbolHover: (...args) => symbolHoverRef.current?.(...args),
+      onExpandFile: (...args) => expandFileRef.current?.(...args),
+      onToggleCollapse: (...args) => toggleCollapseRef.current?.(...args),
+      onShowTypes: (...args) => showTypesRef.current?.(...args),
+      onPinReferences: (...args) => pinReferencesRef.current?.(...args),
+    }),
+    []
+  );
 
   // Handle symbol hover - find references via LSP
+  // Debounced, and the previous request is aborted: sweeping the pointer over
+  // a symbol list only asks for the symbol it stops on.
   const handleSymbolHover = useCallback(
     (nodeId, sym, entering) => {
+      clearTimeout(hoverTimerRef.current);
+      hoverAbortRef.current?.abort();
+      hoverAbortRef.current = null;
+
       if (!entering || !sym) {
         setHighlightedFiles(new Set());
+        setHoveredReferences(null);
         return;
       }
 
       const node = nodes.find((n) => n.id === nodeId);
       if (!node?.data?.filepath) return;
 
-      fetchReferences(node.data.filepath, sym.line, sym.name)
-        .then((result) => {
-          if (result.status === "ok" && result.files) {
-            setHighlightedFiles(new Set(result.files));
-          }
-        })
-        .catch((err) => {
-          console.error("References error:", err);
-        });
+      hoverTimerRef.current = setTimeout(() => {
+        const controller = new AbortController();
+        hoverAbortRef.current = controller;
+
+        fetchReferences(node.data.filepath, sym.line, sym.name, controller.signal)
+          .then((result) => {
+            if (result.status === "ok" && result.files) {
+              setHighlightedFiles(new Set(result.files));
+              setHoveredReferences({ nodeId, symbol: sym, references: result.references || [] });
+            }
+          })
+          .catch((err) => {
+            if (err.name === "AbortError") return;
+            console.error("References error:", err);
+          });
+      }, HOVER_DELAY_MS);
     },
     [nodes]
   );
 
+  // Cancel a pending hover when the graph goes away
+  useEffect(
+    () => () => {
+      clearTimeout(hoverTimerRef.current);
+      hoverAbortRef.current?.abort();
+    },
+    []
+  );
+
+  // Keep the hovered symbol's reference edges in the graph
+  const handlePinReferences = useCallback(
+    (nodeId, sym) => {
+      if (hoveredReferences?.nodeId !== nodeId || hoveredReferences.symbol.line !== sym.line) {
+        return;
+      }
+      const { edges: referenceEdges } = buildReferenceEdges(nodes, hoveredReferences);
+      setEdges((currentEdges) => {
+        const existingEdgeIds = new Set(currentEdges.map((e) => e.id));
+        const pinned = referenceEdges
+          .filter((e) => !existingEdgeIds.has(e.id))
+          .map((e) => ({ ...e, data: { ...e.data, pinned: true } }));
+        return [...currentEdges, ...pinned];
+      });
+    },
+    [nodes, hoveredReferences, setEdges]
+  );
+
   // Handle expanding a file's imports
   const handleExpandFile = useCallback(
     (sourceId, filepath) => {
@@ -103,9 +175,7 @@ export const useGraphInteractions = (nodes, setNodes, setEdges) => {
                   },
                   data: {
                     ...node.data,
-                    onExpandCalls: (...args) => expandCallsRef.current?.(...args),
-                    onSymbolHover: (...args) => symbolHoverRef.current?.(...args),
-                    onExpandFile: (...args) => expandFileRef.current?.(...args),
+                    ...nodeCallbacks,
                   },
                 };
                 currentY += nodeHeight + verticalGap;
@@ -137,74 +207,109 @@ export const useGraphInteractions = (nodes, setNodes, setEdges) => {
           console.error("Expand file error:", err);
         });
     },
-    [setNodes, setEdges]
+    [setNodes, setEdges, nodeCallbacks]
   );
 
-  // Handle expanding a node's outgoing calls (legacy)
+  // Handle expanding a symbol node's callers and / or callees (call graphs)
+  // Callers are placed to the left of the symbol, callees to the right.
   const handleExpandCalls = useCallback(
-    (sourceId, newNodes, newEdges) => {
-      console.log("Expanding calls:", sourceId, newNodes.length, "nodes");
+    async (sourceId, direction = "outgoing") => {
+      const source = nodes.find((n) => n.id === sourceId);
+      if (!source?.data?.filepath) return;
+
+      const { filepath, line, col } = source.data;
+      const result = await fetchExpandCalls(filepath, line, col, direction);
+      const newNodes = result.nodes || [];
+      const newEdges = result.edges || [];
+
+      // Nodes that call the source (the rest are called by it)
+      const callerIds = new Set(
+        newEdges
+          .filter((e) => e.target === sourceId && e.data?.direction === "incoming")
+          .map((e) => e.source)
+      );
 
       setNodes((currentNodes) => {
         const sourceNode = currentNodes.find((n) => n.id === sourceId);
         const sourceX = sourceNode?.position?.x || 0;
         const sourceY = sourceNode?.position?.y || 0;
 
+        const expandedFlags = {
+          ...(direction !== "outgoing" && { callers_expanded: true }),
+          ...(direction !== "incoming" && { callees_expanded: true }),
+        };
+        const updatedNodes = currentNodes.map((n) =>
+          n.id === sourceId ? { ...n, data: { ...n.data, ...expandedFlags } } : n
+        );
+
+        // A function can be both a caller and a callee: add it once
         const existingIds = new Set(currentNodes.map((n) => n.id));
-        const uniqueNewNodes = newNodes.filter((n) => !existingIds.has(n.id));
+        const uniqueNewNodes = [];
+        newNodes.forEach((n) => {
+          if (existingIds.has(n.id)) return;
+          existingIds.add(n.id);
+          uniqueNewNodes.push(n);
+        });
 
-        if (uniqueNewNodes.length === 0) return currentNodes;
+        if (uniqueNewNodes.length === 0) return updatedNodes;
 
-        const sourceWidth = estimateNodeWidth(sourceNode);
+        const sourceWidth = sourceNode ? estimateNodeSize(sourceNode).width : 0;
         const horizontalGap = 60;
-        const targetX = sourceX + sourceWidth + horizontalGap;
-
-        // Calculate occupied ranges based on actual node heights
-        const occupiedRanges = currentNodes
-          .filter((n) => Math.abs(n.position.x - targetX) < sourceWidth)
-          .map((n) => {
-            const h = estimateNodeHeight(n.data?.symbols);
-            return { top: n.position.y, bottom: n.position.y + h };
-          });
-
-        // For symbol nodes, use a simpler height estimate
         const symbolNodeHeight = 80;
         const verticalGap = 20;
 
-        const findFreeY = (startY, count) => {
-          let y = startY;
-          const neededHeight = count * (symbolNodeHeight + verticalGap);
+        // Stack a column of nodes at x, below anything already there
+        const placeColumn = (column, x, width) => {
+          const occupiedRanges = currentNodes
+            .filter((n) => Math.abs(n.position.x - x) < width)
+            .map((n) => {
+              const h = estimateNodeSize(n).height;
+              return { top: n.position.y, bottom: n.position.y + h };
+            });
 
-          for (let attempts = 0; attempts < 50; attempts++) {
-            const proposedTop = y;
-            const proposedBottom = y + neededHeight;
+          const findFreeY = (startY, count) => {
+            let y = startY;
+            const neededHeight = count * (symbolNodeHeight + verticalGap);
 
-            const hasCollision = occupiedRanges.some(
-              (r) => !(proposedBottom < r.top || proposedTop > r.bottom)
-            );
+            for (let attempts = 0; attempts < 50; attempts++) {
+              const proposedTop = y;
+              const proposedBottom = y + neededHeight;
 
-            if (!hasCollision) return y;
-            y += symbolNodeHeight + verticalGap;
-          }
-          return y;
+              const hasCollision = occupiedRanges.some(
+                (r) => !(proposedBottom < r.top || proposedTop > r.bottom)
+              );
+
+              if (!hasCollision) return y;
+              y += symbolNodeHeight + verticalGap;
+            }
+            return y;
+          };
+
+          const startY = findFreeY(sourceY, column.length);
+
+          return column.map((node, index) => ({
+            ...node,
+            type: node.type || "symbol",
+            position: {
+              x,
+              y: startY + index * (symbolNodeHeight + verticalGap),
+            },
+            data: {
+              ...node.data,
+              ...nodeCallbacks,
+            },
+          }));
         };
 
-        const startY = findFreeY(sourceY, uniqueNewNodes.length);
-
-        const typedNewNodes = uniqueNewNodes.map((node, index) => ({
-          ...node,
-          type: node.type || "symbol",
-          position: {
-            x: targetX,
-            y: startY + index * (symbolNodeHeight + verticalGap),
-          },
-          data: {
-            ...node.data,
-            onExpandCalls: (...args) => expandCallsRef.current?.(...args),
-          },
-        }));
-
-        return [...currentNodes, ...typedNewNodes];
+        const callers = uniqueNewNodes.filter((n) => callerIds.has(n.id));
+        const callees = uniqueNewNodes.filter((n) => !callerIds.has(n.id));
+        const callerWidth = Math.max(0, ...callers.map((n) => estimateNodeSize(n).width));
+
+        return [
+          ...updatedNodes,
+          ...placeColumn(callers, sourceX - callerWidth - horizontalGap, callerWidth),
+          ...placeColumn(callees, sourceX + sourceWidth + horizontalGap, sourceWidth),
+        ];
       });
 
       setEdges((currentEdges) => {
@@ -217,19 +322,86 @@ export const useGraphInteractions = (nodes, setNodes, setEdges) => {
         return [...currentEdges, ...uniqueNewEdges];
       });
     },
-    [setNodes, setEdges]
+    [nodes, setNodes, setEdges, nodeCallbacks]
+  );
+
+  // Handle showing the type hierarchy of a class / interface row of a file node
+  // (laid out top-down to the right of the file)
+  const handleShowTypes = useCallback(
+    async (nodeId, sym) => {
+      const fileNode = nodes.find((n) => n.id === nodeId);
+      if (!fileNode?.data?.filepath) return;
+
+      const result = await fetchTypeHierarchy(fileNode.data.filepath, sym.line, sym.name);
+      if (result.status !== "ok") {
+        console.error("Type hierarchy error:", result.message);
+        return;
+      }
+
+      const { nodes: layouted, edges: newEdges } = getHierarchyLayout(
+        result.nodes.map((n) => ({ ...n, type: n.type || "symbol" })),
+        result.edges || []
+      );
+      const offsetX =
+        fileNode.position.x + estimateNodeSize(fileNode).width + 80;
+      const offsetY = fileNode.position.y;
+
+      setNodes((currentNodes) => {
+        const existingIds = new Set(currentNodes.map((n) => n.id));
+        const added = layouted
+          .filter((n) => !existingIds.has(n.id))
+          .map((n) => ({
+            ...n,
+            position: { x: n.position.x + offsetX, y: n.position.y + offsetY },
+            data: { ...n.data, ...nodeCallbacks },
+          }));
+        return [...currentNodes, ...added];
+      });
+
+      setEdges((currentEdges) => {
+        const existingEdgeIds = new Set(currentEdges.map((e) => e.id));
+        return [...currentEdges, ...newEdges.filter((e) => !existingEdgeIds.has(e.id))];
+      });
+    },
+    [nodes, setNodes, setEdges, nodeCallbacks]
+  );
+
+  // Handle collapsing / expanding a file node's symbols or a directory group
+  const handleToggleCollapse = useCallback(
+    (nodeId) => {
+      setNodes((currentNodes) => {
+        const toggled = currentNodes.map((n) =>
+          n.id === nodeId
+            ? { ...n, data: { ...n.data, collapsed: !n.data?.collapsed } }
+            : n
+        );
+        // Directory sizes depend on their children: lay the groups out again
+        return toggled.some(isDirectoryNode) ? relayoutGroups(toggled, edges) : toggled;
+      });
+    },
+    [setNodes, edges]
   );
 
   // Update refs
-  expandCallsRef.current = handleExpandCalls;
-  symbolHoverRef.current = handleSymbolHover;
-  expandFileRef.current = handleExpandFile;
+  useEffect(() => {
+    expandCallsRef.current = handleExpandCalls;
+    symbolHoverRef.current = handleSymbolHover;
+    expandFileRef.current = handleExpandFile;
+    toggleCollapseRef.current = handleToggleCollapse;
+    showTypesRef.current = handleShowTypes;
+    pinReferencesRef.current = handlePinReferences;
+  });
 
   return {
     highlightedFiles,
+    setHighlightedFiles,
+    hoveredReferences,
     handleSymbolHover,
+    handlePinReferences,
     handleExpandFile,
     handleExpandCalls,
-    refs: { expandCallsRef, symbolHoverRef, expandFileRef },
+    handleToggleCollapse,
+    handleShowTypes,
+    nodeCallbacks,
   };
 };
@@ -1,19 +1,23 @@
-import { useEffect, useState, useCallback } from "react";
+import { useEffect, useState } from "react";
 import { socket } from "../utils/socket";
 
 export const useSocket = () => {
-  const [connected, setConnected] = useState(false);
-  const [neovimConnected, setNeovimConnected] = useState(false);
-  const [cwd, setCwd] = useState("");
+  const [connected, setConnected] = useState(socket.connected);
+  const [sessions, setSessions] = useState([]);
+  // The server turned us away: the page was not opened from Neovim (no token)
+  const [unauthorized, setUnauthorized] = useState(false);
 
   useEffect(() => {
-    if (socket.connected) {
-      setConnected(true);
-    }
-
     const handleConnect = () => {
       console.log("Connected to server");
       setConnected(true);
+      setUnauthorized(false);
+    };
+
+    const handleConnectError = (err) => {
+      console.error("Connection refused:", err.message);
+      // Not retried by socket.io: the token won't change without a reload
+      setUnauthorized(!socket.active);
     };
 
     const handleDisconnect = () => {
@@ -21,37 +25,99 @@ export const useSocket = () => {
       setConnected(false);
     };
 
-    const handleNeovimConnected = ({ cwd }) => {
-      console.log("Neovim connected:", cwd);
-      setNeovimConnected(true);
-      setCwd(cwd);
+    const handleSessions = (list) => {
+      console.log("Neovim sessions:", list);
+      setSessions(list || []);
     };
 
     socket.on("connect", handleConnect);
     socket.on("disconnect", handleDisconnect);
-    socket.on("neovim:connected", handleNeovimConnected);
+    socket.on("connect_error", handleConnectError);
+    socket.on("sessions:update", handleSessions);
 
     return () => {
       socket.off("connect", handleConnect);
       socket.off("disconnect", handleDisconnect);
-      socket.off("neovim:connected", handleNeovimConnected);
+      socket.off("connect_error", handleConnectError);
+      socket.off("sessions:update", handleSessions);
     };
   }, []);
 
-  return { connected, neovimConnected, cwd };
+  return { connected, unauthorized, neovimConnected: sessions.length > 0, sessions };
 };
 
-export const useGraphEvents = (onGraphData) => {
+export const useGraphEvents = (onGraphData, onGraphDiff) => {
   useEffect(() => {
     const handleGraphData = (data) => {
       console.log("Received graph data:", data);
       onGraphData(data);
     };
 
+    const handleGraphDiff = (diff) => {
+      console.log("Received graph diff:", diff);
+      onGraphDiff?.(diff);
+    };
+
     socket.on("graph:data", handleGraphData);
+    socket.on("graph:diff", handleGraphDiff);
 
     return () => {
       socket.off("graph:data", handleGraphData);
+      socket.off("graph:diff", handleGraphDiff);
+    };
+  }, [onGraphData, onGraphDiff]);
+};
+
+export const useCursorEvents = (onCursor) => {
+  useEffect(() => {
+    socket.on("cursor:update", onCursor);
+
+    return () => {
+      socket.off("cursor:update", onCursor);
+    };
+  }, [onCursor]);
+};
+
+export const useExportRequests = (onExportRequest) => {
+  useEffect(() => {
+    socket.on("export:request", onExportRequest);
+
+    return () => {
+      socket.off("export:request", onExportRequest);
+    };
+  }, [onExportRequest]);
+};
+
+export const useViewEvents = (onViewRequest, onViewLoad) => {
+  useEffect(() => {
+    socket.on("view:request", onViewRequest);
+    socket.on("view:load", onViewLoad);
+
+    return () => {
+      socket.off("view:request", onViewRequest);
+      socket.off("view:load", onViewLoad);
+    };
+  }, [onViewRequest, onViewLoad]);
+};
+
+// Architecture rule check results (after a graph diff or a `.terreno.json` save)
+export const useRulesEvents = (onRulesUpdate) => {
+  useEffect(() => {
+    socket.on("rules:update", onRulesUpdate);
+
+    return () => {
+      socket.off("rules:update", onRulesUpdate);
+    };
+  }, [onRulesUpdate]);
+};
+
+// Git diff overlay results (`:Terreno diff`, then again on every save)
+export const useChangesEvents = (onChangesUpdate) => {
+  useEffect(() => {
+    socket.on("changes:update", onChangesUpdate);
+
+    return () => {
+      socket.off("changes:update", onChangesUpdate);
     };
-  }, [onGraphData]);
+  }, [onChangesUpdate]);
 };
@@ -0,0 +1,55 @@
+import { isImportEdge } from "../../../shared/cycles";
+
+/**
+ * Git diff overlay (`:Terreno diff [ref]`): the server maps the changed
+ * hunks onto the file nodes and their symbols (app/changes.js), these
+ * helpers turn that into per-node lookups for the graph.
+ */
+
+export const CHANGE_STATUSES = {
+  added: { letter: "A", color: "#22c55e" },
+  modified: { letter: "M", color: "#f59e0b" },
+  renamed: { letter: "R", color: "#38bdf8" },
+  deleted: { letter: "D", color: "#ef4444" },
+};
+
+/**
+ * Changed files in the graph: Map(node id -> { status, old_path, symbols })
+ * where `symbols` maps symbol lines to their status.
+ */
+export const changesByNode = (changes) =>
+  new Map(
+    (changes?.files || [])
+      .filter((file) => file.node)
+      .map((file) => [
+        file.node,
+        {
+          status: file.status,
+          old_path: file.old_path,
+          symbols: new Map(file.symbols.map((sym) => [sym.line, sym.status])),
+        },
+      ])
+  );
+
+/**
+ * Changed files (ids in `changed`) and the files they import or are imported by, plus the
+ * directories holding any of them: what "changed only" keeps on screen.
+ */
+export const changedNeighbourhood = (changed, nodes, edges) => {
+  const kept = new Set(changed.keys());
+  edges.forEach((edge) => {
+    if (!isImportEdge(edge)) return;
+    if (changed.has(edge.source)) kept.add(edge.target);
+    if (changed.has(edge.target)) kept.add(edge.source);
+  });
+
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  [...kept].forEach((id) => {
+    let parentId = byId.get(id)?.parentId;
+    while (parentId && !kept.has(parentId)) {
+      kept.add(parentId);
+      parentId = byId.get(parentId)?.parentId;
+    }
+  });
+  return kept;
+};
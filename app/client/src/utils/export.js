@@ -0,0 +1,47 @@
+import { EXPORT_FORMATS, serializeGraph } from "../../../shared/export";
+
+/**
+ * Browser-only steps of the graph export: PNG rasterizing, and answering the
+ * server's export requests (serializers in shared/export.js).
+ */
+
+/**
+ * Rasterize an SVG document to a PNG Blob (browser only)
+ */
+export const rasterizeSvg = (svg, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([svg], { type: EXPORT_FORMATS.svg.mime }));
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = image.width * scale;
+      canvas.height = image.height * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))));
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render SVG"));
+    };
+    image.src = url;
+  });
+
+/**
+ * Produce an export as { content, encoding } where PNG content is base64
+ * (browser only, used to answer the server's export requests)
+ */
+export const exportGraph = async (format, nodes, edges) => {
+  if (format !== "png") {
+    return { content: serializeGraph(format, nodes, edges), encoding: "utf8" };
+  }
+  const blob = await rasterizeSvg(serializeGraph("svg", nodes, edges));
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = "";
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return { content: btoa(binary), encoding: "base64" };
+};
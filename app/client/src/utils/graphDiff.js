@@ -0,0 +1,60 @@
+import { estimateNodeSize } from "./layout";
+import { mergeSymbols } from "../../../shared/symbols";
+
+/**
+ * Merge a diff into the current nodes.
+ * Existing nodes keep their position and state; new nodes are stacked to the
+ * right of the changed file. `prepareNode` adds client-side data (callbacks).
+ */
+export const applyNodeDiff = (nodes, diff, prepareNode) => {
+  const sourceNode = nodes.find((n) => n.id === diff.file);
+
+  const updatedNodes = nodes.map((n) =>
+    n.id === diff.file
+      ? {
+          ...n,
+          data: {
+            ...n.data,
+            symbols: mergeSymbols(n.data?.symbols, diff.symbols),
+          },
+        }
+      : n
+  );
+
+  const existingIds = new Set(nodes.map((n) => n.id));
+  const newNodes = (diff.nodes?.added || []).filter((n) => !existingIds.has(n.id));
+  if (newNodes.length === 0) return updatedNodes;
+
+  const horizontalGap = 60;
+  const verticalGap = 30;
+  const startX = sourceNode
+    ? sourceNode.position.x + estimateNodeSize(sourceNode).width + horizontalGap
+    : 0;
+  let currentY = sourceNode?.position?.y || 0;
+
+  const positionedNodes = newNodes.map((node) => {
+    const typed = { ...node, type: node.type || "file" };
+    const positioned = prepareNode({
+      ...typed,
+      position: { x: startX, y: currentY },
+    });
+    currentY += estimateNodeSize(typed).height + verticalGap;
+    return positioned;
+  });
+
+  return [...updatedNodes, ...positionedNodes];
+};
+
+/**
+ * Merge a diff into the current edges (matched on source/target)
+ */
+export const applyEdgeDiff = (edges, diff) => {
+  const removed = diff.edges?.removed || [];
+  const kept = edges.filter(
+    (e) => !removed.some((r) => r.source === e.source && r.target === e.target)
+  );
+  const added = (diff.edges?.added || []).filter(
+    (a) => !kept.some((e) => e.source === a.source && e.target === a.target)
+  );
+  return [...kept, ...added];
+};
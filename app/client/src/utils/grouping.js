@@ -0,0 +1,264 @@
+import { estimateNodeSize, runDagre } from "./layout";
+
+/**
+ * Directory grouping for whole-project graphs.
+ * File nodes become children (React Flow sub-flows) of `directory` nodes,
+ * directories nest like the file tree, and collapsed directories stand in
+ * for everything inside them.
+ */
+
+export const DIRECTORY_NODE_TYPE = "directory";
+
+const DIRECTORY_ID_PREFIX = "dir:";
+
+// Space around a directory's children; the header holds the directory name
+const GROUP_PADDING = 20;
+const GROUP_HEADER_HEIGHT = 36;
+const COLLAPSED_GROUP_SIZE = { width: 240, height: 56 };
+
+// Start with directories collapsed past this many files
+const COLLAPSE_GROUPS_ABOVE = 150;
+
+export const isDirectoryNode = (node) => node.type === DIRECTORY_NODE_TYPE;
+
+// Directory of a file node relative to the project root ("" for the root)
+const getNodeDirectory = (node) => {
+  const path = node.data?.path || "";
+  const slash = path.lastIndexOf("/");
+  return slash === -1 ? "" : path.slice(0, slash);
+};
+
+/**
+ * Build the directory tree of the file nodes. Directories holding a single
+ * subdirectory and no files are merged into it ("src/components").
+ */
+const buildDirectoryTree = (fileNodes) => {
+  const root = { path: "", label: "", dirs: new Map(), files: [] };
+
+  fileNodes.forEach((node) => {
+    const dir = getNodeDirectory(node);
+    let current = root;
+    if (dir) {
+      dir.split("/").forEach((segment) => {
+        if (!current.dirs.has(segment)) {
+          const path = current.path ? `${current.path}/${segment}` : segment;
+          current.dirs.set(segment, { path, label: segment, dirs: new Map(), files: [] });
+        }
+        current = current.dirs.get(segment);
+      });
+    }
+    current.files.push(node);
+  });
+
+  const compress = (dir) => {
+    dir.dirs.forEach((child, key) => {
+      let merged = child;
+      while (merged.files.length === 0 && merged.dirs.size === 1) {
+        const [only] = merged.dirs.values();
+        merged = { ...only, label: `${merged.label}/${only.label}` };
+      }
+      dir.dirs.set(key, merged);
+      compress(merged);
+    });
+  };
+  compress(root);
+
+  return root;
+};
+
+const countFiles = (dir) =>
+  dir.files.length + [...dir.dirs.values()].reduce((sum, d) => sum + countFiles(d), 0);
+
+/**
+ * Lay out file nodes grouped by directory.
+ * Every directory is laid out on its own (children relative to it) and then
+ * sized to fit, bottom-up, so each level of the tree reads as one dagre graph.
+ * `collapsed` maps directory node ids to their collapsed state; directories
+ * not in it keep the default (collapsed for very large projects).
+ */
+export const getGroupedLayout = (nodes, edges, collapsed = new Map(), direction = "LR") => {
+  const fileNodes = nodes.filter((n) => !isDirectoryNode(n));
+  const tree = buildDirectoryTree(fileNodes);
+  const collapseByDefault = fileNodes.length > COLLAPSE_GROUPS_ABOVE;
+
+  // Node id -> id of the directory node containing it (null at top level)
+  const parentOf = new Map();
+  const assignParents = (dir, parentId) => {
+    dir.files.forEach((file) => parentOf.set(file.id, parentId));
+    dir.dirs.forEach((child) => {
+      const id = DIRECTORY_ID_PREFIX + child.path;
+      parentOf.set(id, parentId);
+      assignParents(child, id);
+    });
+  };
+  assignParents(tree, null);
+
+  // The child of `parentId` that contains `id` (itself or an ancestor directory)
+  const childWithin = (id, parentId) => {
+    let current = id;
+    while (parentOf.has(current) && parentOf.get(current) !== parentId) {
+      current = parentOf.get(current);
+    }
+    return parentOf.has(current) ? current : null;
+  };
+
+  const output = [];
+
+  const layoutDir = (dir, parentId, hidden) => {
+    const groups = [...dir.dirs.values()].map((child) => {
+      const id = DIRECTORY_ID_PREFIX + child.path;
+      const isCollapsed = collapsed.has(id) ? collapsed.get(id) : collapseByDefault;
+      const node = {
+        id,
+        type: DIRECTORY_NODE_TYPE,
+        parentId: parentId || undefined,
+        hidden,
+        position: { x: 0, y: 0 },
+        data: {
+          label: child.label,
+          path: child.path,
+          fileCount: countFiles(child),
+          collapsed: isCollapsed,
+        },
+      };
+      // Parents must come before their children in React Flow
+      output.push(node);
+      const size = layoutDir(child, id, hidden || isCollapsed);
+      const { width, height } = isCollapsed ? COLLAPSED_GROUP_SIZE : size;
+      node.width = width;
+      node.height = height;
+      return node;
+    });
+
+    const files = dir.files.map((file) => {
+      const node = { ...file, parentId: parentId || undefined, hidden };
+      output.push(node);
+      return node;
+    });
+
+    const children = [...groups, ...files];
+    if (children.length === 0) {
+      return COLLAPSED_GROUP_SIZE;
+    }
+
+    const items = children.map((child) =>
+      isDirectoryNode(child)
+        ? { id: child.id, width: child.width, height: child.height }
+        : { id: child.id, ...estimateNodeSize(child) }
+    );
+    const links = new Map();
+    edges.forEach((edge) => {
+      const source = childWithin(edge.source, parentId);
+      const target = childWithin(edge.target, parentId);
+      if (source && target && source !== target) {
+        links.set(`${source}\0${target}`, { source, target });
+      }
+    });
+
+    const margin = parentId ? GROUP_PADDING : 0;
+    const { positions, width, height } = runDagre(items, [...links.values()], {
+      rankdir: direction,
+      nodesep: parentId ? 20 : 60,
+      ranksep: parentId ? 80 : 160,
+      marginx: margin,
+      marginy: margin,
+    });
+
+    // Shift children below the directory header
+    const headerOffset = parentId ? GROUP_HEADER_HEIGHT : 0;
+    children.forEach((child) => {
+      const { x, y } = positions.get(child.id);
+      child.position = { x, y: y + headerOffset };
+    });
+
+    return { width, height: height + headerOffset };
+  };
+
+  layoutDir(tree, null, false);
+
+  return { nodes: output, edges };
+};
+
+/**
+ * Re-run the grouped layout after a directory or file was collapsed/expanded,
+ * keeping every directory's current collapsed state.
+ */
+export const relayoutGroups = (nodes, edges) => {
+  const directories = new Map(nodes.filter(isDirectoryNode).map((n) => [n.id, n]));
+  const collapsed = new Map(
+    [...directories.values()].map((n) => [n.id, !!n.data?.collapsed])
+  );
+  // Directory nodes are rebuilt: keep their client-side data (callbacks)
+  return getGroupedLayout(nodes, edges, collapsed).nodes.map((node) =>
+    directories.has(node.id)
+      ? { ...node, data: { ...directories.get(node.id).data, ...node.data } }
+      : node
+  );
+};
+
+/**
+ * Route edges whose ends are inside collapsed directories to the closest
+ * visible directory, merging parallel edges into one labelled with a count.
+ */
+export const aggregateEdges = (edges, nodes) => {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const visible = (id) => {
+    let node = byId.get(id);
+    while (node?.hidden && node.parentId) {
+      node = byId.get(node.parentId);
+    }
+    return node && !node.hidden ? node.id : null;
+  };
+
+  const result = [];
+  const aggregated = new Map();
+  edges.forEach((edge) => {
+    const source = visible(edge.source);
+    const target = visible(edge.target);
+    if (!source || !target || source === target) return;
+
+    if (source === edge.source && target === edge.target) {
+      result.push(edge);
+      return;
+    }
+
+    const key = `${source}\0${target}`;
+    if (!aggregated.has(key)) {
+      aggregated.set(key, {
+        id: `agg_${source}_${target}`,
+        source,
+        target,
+        data: { aggregated: true, count: 0 },
+      });
+    }
+    aggregated.get(key).data.count += 1;
+  });
+
+  aggregated.forEach((edge) => {
+    const { count } = edge.data;
+    result.push({ ...edge, label: `${count} import${count === 1 ? "" : "s"}` });
+  });
+
+  return result;
+};
+
+/**
+ * Expand every collapsed directory containing a node so it becomes visible
+ * (returns the same array when nothing had to change)
+ */
+export const expandAncestors = (nodes, nodeId) => {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const ancestors = new Set();
+  let parentId = byId.get(nodeId)?.parentId;
+  while (parentId) {
+    ancestors.add(parentId);
+    parentId = byId.get(parentId)?.parentId;
+  }
+
+  if (![...ancestors].some((id) => byId.get(id)?.data?.collapsed)) return nodes;
+  return nodes.map((n) =>
+    ancestors.has(n.id) && n.data?.collapsed
+      ? { ...n, data: { ...n.data, collapsed: false } }
+      : n
+  );
+};
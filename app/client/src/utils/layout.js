@@ -4,12 +4,13 @@ import Dagre from "@dagrejs/dagre";
  * Estimate node dimensions based on content.
  * These match the CSS styles in App.css for .file-node
  */
-const estimateNodeSize = (node) => {
+export const estimateNodeSize = (node) => {
   if (node.type !== "file") {
-    // Legacy symbol nodes
+    // Symbol nodes (call graphs): name + "path:line", matches .symbol-node
     const labelLength = node.data?.label?.length || 10;
+    const pathLength = (node.data?.path || node.data?.file || "").length + 6;
     return {
-      width: Math.max(180, labelLength * 8 + 80),
+      width: Math.max(180, labelLength * 8 + 80, pathLength * 6 + 24),
       height: 70,
     };
   }
@@ -26,6 +27,12 @@ const estimateNodeSize = (node) => {
   const maxTextLength = Math.max(filename.length, longestSymbol);
   // Base width from text + extra space for potential code preview (avg 80 chars)
   const baseWidth = Math.max(280, maxTextLength * 8 + 120);
+
+  // Collapsed: header and path only
+  if (node.data?.collapsed) {
+    return { width: Math.max(280, filename.length * 8 + 120), height: 66 };
+  }
+
   const codePreviewBuffer = 300; // space for expanded code
   const width = baseWidth + codePreviewBuffer;
 
@@ -41,22 +48,29 @@ const estimateNodeSize = (node) => {
   return { width, height };
 };
 
+// Wrap edge-less graphs into rows past this many columns
+const GRID_COLUMNS = 8;
+
 /**
  * Grid layout for initial view with no edges
  */
 export const getGridLayout = (nodes) => {
-  const fileNodes = nodes.filter((n) => n.type === "file");
+  const fileNodes = nodes.filter((n) => n.type === "file" || n.type === "symbol");
 
   if (fileNodes.length === 0) return nodes;
 
   // Calculate max width to use as column spacing
   const sizes = fileNodes.map((n) => estimateNodeSize(n));
   const maxWidth = Math.max(...sizes.map((s) => s.width));
+  const maxHeight = Math.max(...sizes.map((s) => s.height));
   const gap = 40;
 
   return fileNodes.map((node, index) => ({
     ...node,
-    position: { x: index * (maxWidth + gap), y: 0 },
+    position: {
+      x: (index % GRID_COLUMNS) * (maxWidth + gap),
+      y: Math.floor(index / GRID_COLUMNS) * (maxHeight + gap),
+    },
   }));
 };
 
@@ -80,10 +94,12 @@ export const getLayoutedElements = (nodes, edges, direction = "LR") => {
   const maxWidth = Math.max(...allSizes.map((s) => s.width));
 
   const g = new Dagre.graphlib.Graph().setDefaultEdgeLabel(() => ({}));
+  const vertical = direction === "TB" || direction === "BT";
   g.setGraph({
     rankdir: direction,
-    nodesep: Math.max(30, maxHeight * 0.1), // vertical gap proportional to node height
-    ranksep: maxWidth + 80, // horizontal gap = node width + margin
+    // Gap between nodes of a rank proportional to node size, ranks a node apart
+    nodesep: vertical ? 40 : Math.max(30, maxHeight * 0.1),
+    ranksep: vertical ? maxHeight + 40 : maxWidth + 80,
   });
 
   nodes.forEach((node) => {
@@ -110,3 +126,31 @@ export const getLayoutedElements = (nodes, edges, direction = "LR") => {
 
   return { nodes: layoutedNodes, edges };
 };
+
+/**
+ * Inheritance graphs: edges go from subtype to supertype, so laying them out
+ * bottom-to-top puts supertypes above their subtypes. Nodes are marked
+ * vertical so their handles sit on the top and bottom.
+ */
+export const getHierarchyLayout = (nodes, edges) => {
+  const vertical = nodes.map((node) => ({ ...node, data: { ...node.data, vertical: true } }));
+  return getLayoutedElements(vertical, edges, "BT");
+};
+
+// Lay out nodes with dagre; returns top-left positions and the bounding box
+export const runDagre = (items, links, graphOptions) => {
+  const g = new Dagre.graphlib.Graph().setDefaultEdgeLabel(() => ({}));
+  g.setGraph(graphOptions);
+  items.forEach(({ id, width, height }) => g.setNode(id, { width, height }));
+  links.forEach(({ source, target }) => g.setEdge(source, target));
+  Dagre.layout(g);
+
+  const positions = new Map(
+    items.map(({ id }) => {
+      const { x, y, width, height } = g.node(id);
+      return [id, { x: x - width / 2, y: y - height / 2 }];
+    })
+  );
+  const { width, height } = g.graph();
+  return { positions, width, height };
+};
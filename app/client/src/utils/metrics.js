@@ -0,0 +1,68 @@
+import { isImportEdge } from "../../../shared/cycles";
+
+/**
+ * Per-file metrics for the metrics overlay: import fan-in / fan-out from the
+ * edges, symbol counts from `data.symbols`, and line counts and git churn
+ * fetched from the server (/api/metrics).
+ */
+
+export const METRICS = [
+  { key: "fanIn", label: "Fan-in", title: "Files importing it" },
+  { key: "fanOut", label: "Fan-out", title: "Files it imports" },
+  { key: "symbols", label: "Symbols", title: "Symbols declared in it" },
+  { key: "lines", label: "Lines", title: "Lines of code" },
+  { key: "churn", label: "Churn", title: "Commits touching it (git log)" },
+];
+
+/**
+ * Metrics of every file node: Map(node id -> { fanIn, fanOut, symbols, lines, churn }).
+ * `fileStats` maps file paths to { lines, churn } from the server; values
+ * missing there are null.
+ */
+export const computeMetrics = (nodes, edges, fileStats = {}) => {
+  const files = nodes.filter((n) => n.type === "file" && n.data?.filepath);
+  const ids = new Set(files.map((n) => n.id));
+
+  const importers = new Map();
+  const imported = new Map();
+  const add = (map, key, value) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(value);
+  };
+  edges.forEach((edge) => {
+    if (!isImportEdge(edge) || !ids.has(edge.source) || !ids.has(edge.target)) return;
+    if (edge.source === edge.target) return;
+    add(imported, edge.source, edge.target);
+    add(importers, edge.target, edge.source);
+  });
+
+  return new Map(
+    files.map((node) => {
+      const stats = fileStats[node.data.filepath] || {};
+      return [
+        node.id,
+        {
+          fanIn: importers.get(node.id)?.size || 0,
+          fanOut: imported.get(node.id)?.size || 0,
+          symbols: (node.data.symbols || []).length,
+          lines: stats.lines ?? null,
+          churn: stats.churn ?? null,
+        },
+      ];
+    })
+  );
+};
+
+/**
+ * Heatmap color of a value (green for the lowest, red for the highest).
+ * Log scale: a few huge files shouldn't wash out everything else.
+ */
+export const heatColor = (value, max) => {
+  if (value === null || value === undefined || !max) return null;
+  const t = Math.log1p(value) / Math.log1p(max);
+  return `hsl(${Math.round((1 - t) * 120)}, 70%, 40%)`;
+};
+
+// Highest value of a metric over all files (0 when unknown everywhere)
+export const maxMetric = (metrics, key) =>
+  Math.max(0, ...[...metrics.values()].map((m) => m[key] ?? 0));
@@ -0,0 +1,69 @@
+import { matchSymbol } from "./search";
+
+/**
+ * Symbol-level reference edges: from a hovered symbol row of a file node to
+ * the rows of the symbols that reference it.
+ */
+
+// Handle ids of the symbol rows in FileNode
+export const symbolSourceHandle = (line) => `sym-out-${line}`;
+export const symbolTargetHandle = (line) => `sym-in-${line}`;
+
+export const isReferenceEdge = (edge) => !!edge.data?.reference;
+
+// Rows are only rendered (and usable as edge ends) in expanded file nodes
+const hasRows = (node) => node.type === "file" && !node.data?.collapsed;
+
+/**
+ * Build the edges for a hovered symbol's references, one per referencing
+ * symbol (or per file when the reference is outside any symbol) with the
+ * number of references it stands for.
+ * `hovered` is { nodeId, symbol, references } where each reference is
+ * { filepath, line, col, symbol? } as returned by /api/references.
+ * Returns { edges, count } where count excludes the declaration itself.
+ */
+export const buildReferenceEdges = (nodes, { nodeId, symbol, references }) => {
+  const source = nodes.find((n) => n.id === nodeId);
+  if (!source) return { edges: [], count: 0 };
+
+  // Visible file nodes by path
+  const byFile = new Map(
+    nodes
+      .filter((n) => n.type === "file" && !n.hidden && n.data?.filepath)
+      .map((n) => [n.data.filepath, n])
+  );
+
+  const isDeclaration = (ref) =>
+    ref.filepath === source.data.filepath && ref.symbol?.name === symbol.name;
+
+  const sourceHandle = hasRows(source) ? symbolSourceHandle(symbol.line) : undefined;
+  const grouped = new Map();
+  let count = 0;
+
+  references.forEach((ref) => {
+    if (isDeclaration(ref)) return;
+    count += 1;
+
+    const target = byFile.get(ref.filepath);
+    if (!target) return;
+    const row = ref.symbol && hasRows(target) ? matchSymbol(target.data.symbols, ref.symbol) : null;
+
+    const targetEnd = `${target.id}:${row ? row.line : ""}`;
+    if (!grouped.has(targetEnd)) {
+      grouped.set(targetEnd, {
+        id: `ref_${nodeId}:${symbol.line}_${targetEnd}`,
+        source: nodeId,
+        target: target.id,
+        ...(sourceHandle && { sourceHandle }),
+        ...(row && { targetHandle: symbolTargetHandle(row.line) }),
+        data: { reference: true, count: 0 },
+      });
+    }
+    grouped.get(targetEnd).data.count += 1;
+  });
+
+  const edges = [...grouped.values()].map((edge) =>
+    edge.data.count > 1 ? { ...edge, label: `×${edge.data.count}` } : edge
+  );
+  return { edges, count };
+};
@@ -0,0 +1,105 @@
+/**
+ * Fuzzy search over the nodes loaded in the graph (command palette).
+ */
+
+const WORD_BOUNDARY = /[\s/._-]/;
+
+/**
+ * Score `text` against `query` as an in-order subsequence match
+ * (null when not all query characters are found). Consecutive characters,
+ * word starts and camelCase humps score higher; shorter texts win ties.
+ */
+export const fuzzyScore = (query, text) => {
+  if (!text) return null;
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  for (const ch of q) {
+    const index = t.indexOf(ch, from);
+    if (index === -1) return null;
+
+    score += 1;
+    if (index === previous + 1) score += 5;
+    const isWordStart =
+      index === 0 ||
+      WORD_BOUNDARY.test(t[index - 1]) ||
+      (text[index] !== t[index] && text[index - 1] === t[index - 1]);
+    if (isWordStart) score += 3;
+
+    previous = index;
+    from = index + 1;
+  }
+
+  if (t === q) score += 20;
+  else if (t.startsWith(q)) score += 10;
+  return score - (t.length - q.length) * 0.05;
+};
+
+// Best score over several fields, each with a weight
+const bestScore = (query, fields) =>
+  fields.reduce((best, [text, weight]) => {
+    const score = fuzzyScore(query, text);
+    return score === null ? best : Math.max(best ?? -Infinity, score * weight);
+  }, null);
+
+/**
+ * Search file nodes by filename / path and their symbols by name.
+ * Returns { kind: "file" | "symbol", nodeId, filepath, label, detail, symbol? }
+ * sorted by score.
+ */
+export const searchGraph = (nodes, query, limit = 50) => {
+  if (!query.trim()) return [];
+  const results = [];
+
+  nodes.forEach((node) => {
+    const data = node.data || {};
+    if (node.type !== "file" || !data.filepath) return;
+
+    const fileScore = bestScore(query, [
+      [data.filename, 1],
+      [data.path, 0.8],
+    ]);
+    if (fileScore !== null) {
+      results.push({
+        kind: "file",
+        nodeId: node.id,
+        filepath: data.filepath,
+        label: data.filename,
+        detail: data.path,
+        score: fileScore,
+      });
+    }
+
+    (data.symbols || []).forEach((symbol) => {
+      const score = bestScore(query, [
+        [symbol.name, 1],
+        [symbol.full_name, 0.9],
+      ]);
+      if (score === null) return;
+      results.push({
+        kind: "symbol",
+        nodeId: node.id,
+        filepath: data.filepath,
+        label: symbol.full_name || symbol.name,
+        detail: `${data.path || data.filename}:${symbol.line}`,
+        symbol,
+        score,
+      });
+    });
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+/**
+ * The symbol of a node matching a symbol reported elsewhere (search hit,
+ * reference): same name, closest line. LSP and tree-sitter lines may differ
+ * (name vs. definition start) so the line is not compared exactly.
+ */
+export const matchSymbol = (symbols = [], hit) =>
+  symbols
+    .filter((s) => s.name === hit.name)
+    .sort((a, b) => Math.abs(a.line - hit.line) - Math.abs(b.line - hit.line))[0];
@@ -6,13 +6,34 @@ const SERVER_URL = import.meta.env.DEV
   ? "http://localhost:3000"
   : window.location.origin;
 
-export const socket = io(SERVER_URL);
+// Token required by the server: Neovim opens the page with ?token=<token>.
+// Kept for the tab's lifetime so reloads work once it is gone from the address bar.
+const TOKEN_KEY = "terreno-token";
+const urlToken = new URLSearchParams(window.location.search).get("token");
+if (urlToken) {
+  sessionStorage.setItem(TOKEN_KEY, urlToken);
+  window.history.replaceState(null, "", window.location.pathname + window.location.hash);
+}
+const token = urlToken || sessionStorage.getItem(TOKEN_KEY) || "";
 
-export const fetchReferences = async (filepath, line, name) => {
+export const socket = io(SERVER_URL, { auth: { token } });
+
+// Neovim session owning the graph being viewed; requests are routed to it
+let currentSession = null;
+
+export const setCurrentSession = (session) => {
+  currentSession = session || null;
+};
+
+export const getCurrentSession = () => currentSession;
+
+// `signal` (AbortSignal) cancels the request, e.g. when the pointer moves on
+export const fetchReferences = async (filepath, line, name, signal) => {
   const response = await fetch(`${SERVER_URL}/api/references`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ filepath, line, name }),
+    headers: { "Content-Type": "application/json", "X-Terreno-Token": token },
+    body: JSON.stringify({ filepath, line, name, session: currentSession }),
+    signal,
   });
   return response.json();
 };
@@ -20,8 +41,104 @@ export const fetchReferences = async (filepath, line, name) => {
 export const fetchExpandFile = async (filepath) => {
   const response = await fetch(`${SERVER_URL}/api/expand-file`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ filepath }),
+    headers: { "Content-Type": "application/json", "X-Terreno-Token": token },
+    body: JSON.stringify({ filepath, session: currentSession }),
+  });
+  return response.json();
+};
+
+// Call hierarchy of the symbol at filepath:line
+// direction: "outgoing" (callees), "incoming" (callers) or "both"
+export const fetchExpandCalls = async (filepath, line, col, direction = "outgoing") => {
+  const response = await fetch(`${SERVER_URL}/api/expand`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Terreno-Token": token },
+    body: JSON.stringify({ filepath, line, col, direction, session: currentSession }),
+  });
+  return response.json();
+};
+
+// Type hierarchy (supertypes / subtypes) of the class or interface at filepath:line
+export const fetchTypeHierarchy = async (filepath, line, name) => {
+  const response = await fetch(`${SERVER_URL}/api/types`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Terreno-Token": token },
+    body: JSON.stringify({ filepath, line, name, session: currentSession }),
+  });
+  return response.json();
+};
+
+// Ask the server for the latest graph of a session (null if it has none yet)
+export const requestSessionGraph = (session) =>
+  new Promise((resolve) => {
+    socket.emit("session:graph", { session }, resolve);
+  });
+
+// Saved views (stored by the server under <cwd>/.terreno/views)
+export const fetchViews = async () => {
+  const query = currentSession ? `?session=${encodeURIComponent(currentSession)}` : "";
+  const response = await fetch(`${SERVER_URL}/api/views${query}`, {
+    headers: { "X-Terreno-Token": token },
+  });
+  return response.json();
+};
+
+export const saveView = async (name, view) => {
+  const query = currentSession ? `?session=${encodeURIComponent(currentSession)}` : "";
+  const response = await fetch(`${SERVER_URL}/api/views${query}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Terreno-Token": token },
+    body: JSON.stringify({ name, view }),
+  });
+  return response.json();
+};
+
+export const loadView = async (name) => {
+  const query = currentSession ? `?session=${encodeURIComponent(currentSession)}` : "";
+  const response = await fetch(`${SERVER_URL}/api/views/load${query}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Terreno-Token": token },
+    body: JSON.stringify({ name }),
+  });
+  return response.json();
+};
+
+// LSP workspace/symbol search (command palette fallback)
+export const fetchWorkspaceSymbols = async (query) => {
+  const response = await fetch(`${SERVER_URL}/api/workspace-symbols`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Terreno-Token": token },
+    body: JSON.stringify({ query, session: currentSession }),
+  });
+  return response.json();
+};
+
+// Build a `file` node for a file that is not in the graph yet
+export const fetchFileNode = async (filepath) => {
+  const response = await fetch(`${SERVER_URL}/api/file-node`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Terreno-Token": token },
+    body: JSON.stringify({ filepath, session: currentSession }),
+  });
+  return response.json();
+};
+
+// Line counts (and git churn when `churn` is set) of files, keyed by path
+export const fetchMetrics = async (files, churn = false) => {
+  const response = await fetch(`${SERVER_URL}/api/metrics`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Terreno-Token": token },
+    body: JSON.stringify({ files, churn, session: currentSession }),
+  });
+  return response.json();
+};
+
+// Union graph of two saved graphs with what was added and removed tagged
+export const compareGraphs = async (before, after) => {
+  const response = await fetch(`${SERVER_URL}/api/compare`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Terreno-Token": token },
+    body: JSON.stringify({ before, after, session: currentSession }),
   });
   return response.json();
 };
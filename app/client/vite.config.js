@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Modules shared with the server live next to the client (app/shared)
+    fs: { allow: ['.', '../shared'] },
+  },
 })
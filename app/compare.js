@@ -0,0 +1,128 @@
+/**
+ * Structural diff of two Terreno graphs (the JSON posted to /api/graph or
+ * exported, e.g. at two commits). Files are matched on their path relative
+ * to the project (`data.path`, else `data.filepath`), symbols on `full_name`.
+ */
+
+// Identity of a node across both graphs
+function nodeKey(node) {
+  const data = node.data || {};
+  const file = data.path || data.filepath || node.id;
+  // Call / type hierarchy nodes are symbols, several per file
+  if (node.type && node.type !== "file" && data.name) {
+    return `${file}#${data.full_name || data.name}`;
+  }
+  return file;
+}
+
+const symbolKey = (symbol) => symbol.full_name || symbol.name;
+
+// Edges differ by kind too (calls in both directions, extends vs implements)
+const edgeKind = (edge) => edge.data?.relation || edge.data?.direction || "";
+
+/**
+ * Index a graph: nodes by key (directory groups and positions dropped, the
+ * layout is redone on the union) and edges by "source key, target key, kind".
+ */
+function indexGraph(graph) {
+  const keys = new Map();
+  const nodes = new Map();
+  (graph?.nodes || [])
+    .filter((node) => node.type !== "directory")
+    .forEach((node) => {
+      const key = nodeKey(node);
+      keys.set(node.id, key);
+      if (!nodes.has(key)) {
+        const { position: _position, parentId: _parentId, hidden: _hidden, ...rest } = node;
+        nodes.set(key, rest);
+      }
+    });
+
+  const edges = new Map();
+  (graph?.edges || [])
+    .filter((edge) => !edge.data?.aggregated && keys.has(edge.source) && keys.has(edge.target))
+    .forEach((edge) => {
+      const source = keys.get(edge.source);
+      const target = keys.get(edge.target);
+      const key = `${source}\0${target}\0${edgeKind(edge)}`;
+      if (!edges.has(key)) edges.set(key, { ...edge, source, target });
+    });
+
+  return { nodes, edges };
+}
+
+// Symbols of the union node, each tagged `compare: "added" | "removed"` when only in one graph
+function compareSymbols(before = [], after = []) {
+  const beforeKeys = new Set(before.map(symbolKey));
+  const afterKeys = new Set(after.map(symbolKey));
+  const added = after.filter((s) => !beforeKeys.has(symbolKey(s)));
+  const removed = before.filter((s) => !afterKeys.has(symbolKey(s)));
+
+  const symbols = [
+    ...after.map((s) => (beforeKeys.has(symbolKey(s)) ? s : { ...s, compare: "added" })),
+    ...removed.map((s) => ({ ...s, compare: "removed" })),
+  ].sort((a, b) => (a.line || 0) - (b.line || 0));
+  return { symbols, added, removed };
+}
+
+/**
+ * Union of two graphs where every node, symbol and edge only in `after` is
+ * tagged `compare: "added"` and every one only in `before` `compare: "removed"`
+ * (nodes whose symbols changed are "changed"). Node ids become the match keys.
+ * Returns { nodes, edges, layout, compare: summary } with the summary listing
+ * { files, symbols, edges } as { added, removed } arrays.
+ */
+export function compareGraphs(before, after) {
+  const old = indexGraph(before);
+  const current = indexGraph(after);
+  const summary = {
+    files: { added: [], removed: [] },
+    symbols: { added: [], removed: [] },
+    edges: { added: [], removed: [] },
+  };
+
+  const nodes = [];
+  new Set([...current.nodes.keys(), ...old.nodes.keys()]).forEach((key) => {
+    const afterNode = current.nodes.get(key);
+    const beforeNode = old.nodes.get(key);
+    const node = afterNode || beforeNode;
+    let status = null;
+    let symbols = node.data?.symbols;
+
+    if (!beforeNode) {
+      status = "added";
+      summary.files.added.push(key);
+    } else if (!afterNode) {
+      status = "removed";
+      summary.files.removed.push(key);
+    } else {
+      const diff = compareSymbols(beforeNode.data?.symbols, afterNode.data?.symbols);
+      symbols = diff.symbols;
+      const describe = (s) => ({ file: key, name: symbolKey(s), line: s.line });
+      summary.symbols.added.push(...diff.added.map(describe));
+      summary.symbols.removed.push(...diff.removed.map(describe));
+      if (diff.added.length || diff.removed.length) status = "changed";
+    }
+
+    nodes.push({
+      ...node,
+      id: key,
+      data: { ...node.data, ...(symbols && { symbols }), compare: status },
+    });
+  });
+
+  const edges = [];
+  new Set([...current.edges.keys(), ...old.edges.keys()]).forEach((key) => {
+    const edge = current.edges.get(key) || old.edges.get(key);
+    const kind = edgeKind(edge);
+    const status = !old.edges.has(key) ? "added" : !current.edges.has(key) ? "removed" : null;
+    if (status) summary.edges[status].push({ source: edge.source, target: edge.target });
+    edges.push({
+      ...edge,
+      id: kind ? `e_${edge.source}_${edge.target}_${kind}` : `e_${edge.source}_${edge.target}`,
+      data: { ...edge.data, compare: status },
+    });
+  });
+
+  return { nodes, edges, layout: after?.layout || before?.layout, compare: summary };
+}
@@ -0,0 +1,71 @@
+import { execFile } from "child_process";
+import { readFile } from "fs/promises";
+import { join } from "path";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
+
+// Files read at the same time when counting lines
+const READ_BATCH = 32;
+
+/**
+ * Number of lines in a file (null when it can't be read)
+ */
+async function countLines(filepath) {
+  try {
+    const text = await readFile(filepath, "utf8");
+    if (!text) return 0;
+    return text.split("\n").length - (text.endsWith("\n") ? 1 : 0);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Commits touching each file under `cwd` since a date `git log` understands
+ * ("6 months ago"), as Map(absolute path -> count). Null outside a git repository.
+ */
+async function gitChurn(cwd, since) {
+  try {
+    const { stdout } = await execFileAsync(
+      "git",
+      ["log", `--since=${since}`, "--format=", "--name-only", "--relative"],
+      { cwd, maxBuffer: 64 * 1024 * 1024, timeout: 15000 }
+    );
+    const counts = new Map();
+    stdout
+      .split("\n")
+      .filter(Boolean)
+      .forEach((file) => {
+        const filepath = join(cwd, file);
+        counts.set(filepath, (counts.get(filepath) || 0) + 1);
+      });
+    return counts;
+  } catch (err) {
+    console.error("Git churn error:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Line counts, and git churn when asked, of absolute file paths.
+ * Resolves to { files: { [filepath]: { lines, churn } }, churn: boolean }
+ * where `churn` says whether git history was available.
+ */
+export async function fileMetrics(filepaths, { cwd, churn = false, since = "6 months ago" } = {}) {
+  const churnCounts = churn && cwd ? await gitChurn(cwd, since) : null;
+
+  const files = {};
+  for (let i = 0; i < filepaths.length; i += READ_BATCH) {
+    await Promise.all(
+      filepaths.slice(i, i + READ_BATCH).map(async (filepath) => {
+        files[filepath] = {
+          lines: await countLines(filepath),
+          churn: churnCounts ? churnCounts.get(filepath) || 0 : null,
+        };
+      })
+    );
+  }
+
+  return { files, churn: !!churnCounts };
+}
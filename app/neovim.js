@@ -0,0 +1,133 @@
+import { EventEmitter } from "events";
+import { createConnection } from "net";
+import { encode, decodeMultiStream } from "@msgpack/msgpack";
+
+// msgpack-RPC message types
+const REQUEST = 0;
+const RESPONSE = 1;
+const NOTIFICATION = 2;
+
+/**
+ * Open a socket to a Neovim server address.
+ * Accepts both named pipes / unix sockets and "host:port" TCP addresses,
+ * matching what `vim.v.servername` can hold.
+ */
+function openSocket(address) {
+  const tcp = address.match(/^([^/\\]+):(\d+)$/);
+  if (tcp) {
+    return createConnection({ host: tcp[1], port: Number(tcp[2]) });
+  }
+  return createConnection({ path: address });
+}
+
+/**
+ * Attach to a running Neovim instance over msgpack-RPC.
+ * Resolves with a client once the socket is connected and the channel id is known.
+ *
+ * The client emits:
+ *   - "notification" (method, args) for rpcnotify() calls from Neovim
+ *   - "close" when the connection is lost
+ */
+export async function attachNeovim(address) {
+  const socket = openSocket(address);
+  const events = new EventEmitter();
+  const pending = new Map();
+  let nextId = 1;
+  let closed = false;
+
+  await new Promise((resolve, reject) => {
+    socket.once("connect", resolve);
+    socket.once("error", reject);
+  });
+
+  const failPending = (err) => {
+    for (const { reject } of pending.values()) {
+      reject(err);
+    }
+    pending.clear();
+  };
+
+  socket.on("error", (err) => {
+    console.error("Neovim RPC error:", err.message);
+  });
+
+  socket.on("close", () => {
+    closed = true;
+    failPending(new Error("Neovim connection closed"));
+    events.emit("close");
+  });
+
+  const write = (message) => {
+    if (closed) {
+      throw new Error("Neovim connection closed");
+    }
+    socket.write(encode(message));
+  };
+
+  // Read incoming messages in the background
+  (async () => {
+    try {
+      for await (const message of decodeMultiStream(socket)) {
+        const [type] = message;
+
+        if (type === RESPONSE) {
+          const [, msgid, error, result] = message;
+          const request = pending.get(msgid);
+          if (!request) continue;
+          pending.delete(msgid);
+          if (error) {
+            const text = Array.isArray(error) ? error[1] : String(error);
+            request.reject(new Error(text));
+          } else {
+            request.resolve(result);
+          }
+        } else if (type === NOTIFICATION) {
+          const [, method, args] = message;
+          events.emit("notification", method, args);
+        } else if (type === REQUEST) {
+          // Terreno does not expose any methods to Neovim
+          const [, msgid, method] = message;
+          write([RESPONSE, msgid, `Unknown method: ${method}`, null]);
+        }
+      }
+    } catch (err) {
+      if (!closed) {
+        console.error("Neovim RPC decode error:", err.message);
+        socket.destroy();
+      }
+    }
+  })();
+
+  /**
+   * Call a Neovim API method and wait for its result
+   */
+  const request = (method, params = []) => {
+    const { promise, resolve, reject } = Promise.withResolvers();
+    const msgid = nextId++;
+    pending.set(msgid, { resolve, reject });
+    try {
+      write([REQUEST, msgid, method, params]);
+    } catch (err) {
+      pending.delete(msgid);
+      reject(err);
+    }
+    return promise;
+  };
+
+  const [channelId] = await request("nvim_get_api_info");
+
+  return {
+    address,
+    channelId,
+    request,
+    /**
+     * Execute Lua code in Neovim. Arguments are available as `...` in the chunk.
+     */
+    execLua: (code, args = []) => request("nvim_exec_lua", [code, args]),
+    on: (event, listener) => events.on(event, listener),
+    close: () => socket.end(),
+    get closed() {
+      return closed;
+    },
+  };
+}
@@ -0,0 +1,159 @@
+import { readFile } from "fs/promises";
+import { join, relative, isAbsolute } from "path";
+
+/**
+ * Architecture rules: which parts of the project may import which.
+ * Read from `<project>/.terreno.json`:
+ *
+ *   {
+ *     "rules": [
+ *       { "from": "src/ui/**", "deny": ["src/db/**"], "message": "UI goes through src/api" },
+ *       { "from": "src/core/**", "allow": ["src/core/**", "src/utils/**"], "severity": "error" }
+ *     ]
+ *   }
+ *
+ * Globs are relative to the project root: `**` spans directories, `*` and `?`
+ * stay within one path segment. An import edge whose source matches `from`
+ * violates the rule when its target matches one of `deny`, or none of `allow`.
+ */
+
+export const RULES_FILE = ".terreno.json";
+
+const SEVERITIES = ["error", "warning", "info", "hint"];
+
+/**
+ * Compile a path glob to an anchored RegExp
+ */
+export function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i += 1) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      // "**/" matches zero or more directories, a trailing "**" anything below
+      const slash = glob[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+const toList = (value) => (Array.isArray(value) ? value : value === undefined ? [] : [value]);
+
+// Validate one rule from the config and compile its globs
+function compileRule(rule, index) {
+  const where = `rule ${index + 1}`;
+  const globs = (key) => {
+    const list = toList(rule[key]);
+    if (!list.every((glob) => typeof glob === "string" && glob)) {
+      throw new Error(`${where}: "${key}" must be a glob or a list of globs`);
+    }
+    return list;
+  };
+
+  const from = globs("from");
+  const deny = globs("deny");
+  const allow = rule.allow === undefined ? null : globs("allow");
+  if (from.length === 0) {
+    throw new Error(`${where}: missing "from"`);
+  }
+  if (deny.length === 0 && !allow) {
+    throw new Error(`${where}: needs "deny" or "allow"`);
+  }
+  const severity = rule.severity || "warning";
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`${where}: "severity" must be one of ${SEVERITIES.join(", ")}`);
+  }
+
+  const compile = (list) => list.map(globToRegExp);
+  return {
+    index,
+    from,
+    deny,
+    allow,
+    severity,
+    message: typeof rule.message === "string" ? rule.message : null,
+    matchers: { from: compile(from), deny: compile(deny), allow: allow && compile(allow) },
+  };
+}
+
+/**
+ * Read the project's rules. Resolves to { rules, error }: no file means no
+ * rules, an invalid file means no rules and an error to show.
+ */
+export async function loadRules(cwd) {
+  if (!cwd) return { rules: [], error: null };
+
+  let text;
+  try {
+    text = await readFile(join(cwd, RULES_FILE), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return { rules: [], error: null };
+    return { rules: [], error: `${RULES_FILE}: ${err.message}` };
+  }
+
+  try {
+    const config = JSON.parse(text);
+    return { rules: toList(config.rules).map(compileRule), error: null };
+  } catch (err) {
+    return { rules: [], error: `${RULES_FILE}: ${err.message}` };
+  }
+}
+
+// Path relative to the project root, null for files outside it
+function projectPath(cwd, filepath) {
+  const rel = relative(cwd, filepath);
+  return rel && !rel.startsWith("..") && !isAbsolute(rel) ? rel.split("\\").join("/") : null;
+}
+
+const matchesAny = (matchers, path) => matchers.some((re) => re.test(path));
+
+/**
+ * Import edges of a graph that break a rule. Only `file` graphs are checked
+ * (node ids are file paths). Each violation:
+ *   { edge, source, target, from, to, line, rule, severity, message }
+ * where `from` / `to` are project-relative and `line` is the import's line
+ * when Neovim reported it.
+ */
+export function checkRules(rules, graph, cwd) {
+  if (!rules.length || !graph || !cwd) return [];
+
+  const files = new Set((graph.nodes || []).filter((n) => n.type === "file").map((n) => n.id));
+  const violations = [];
+
+  (graph.edges || []).forEach((edge) => {
+    if (!files.has(edge.source) || !files.has(edge.target)) return;
+    const from = projectPath(cwd, edge.source);
+    const to = projectPath(cwd, edge.target);
+    if (!from || !to) return;
+
+    const rule = rules.find(
+      ({ matchers }) =>
+        matchesAny(matchers.from, from) &&
+        (matchesAny(matchers.deny, to) || (matchers.allow && !matchesAny(matchers.allow, to)))
+    );
+    if (!rule) return;
+
+    violations.push({
+      edge: edge.id,
+      source: edge.source,
+      target: edge.target,
+      from,
+      to,
+      line: edge.data?.line || null,
+      rule: rule.index,
+      severity: rule.severity,
+      message: rule.message
+        ? `${rule.message} (imports ${to})`
+        : `${from} must not import ${to} (rule ${rule.index + 1}: ${rule.from.join(", ")})`,
+    });
+  });
+
+  return violations;
+}
@@ -0,0 +1,72 @@
+import { randomBytes, timingSafeEqual } from "crypto";
+import { lstat, realpath } from "fs/promises";
+import { basename, dirname, join, sep } from "path";
+
+// Header carrying the token on HTTP requests (socket.io sends it in `auth.token`)
+export const TOKEN_HEADER = "x-terreno-token";
+
+// Pages allowed to call the server: ours, and the Vite dev server
+export const LOCAL_ORIGIN = /^http:\/\/(localhost|127\.0\.0\.1):\d+$/;
+
+/**
+ * Token required by every API request and socket.io connection.
+ * Random per server start unless TERRENO_TOKEN sets one (dev server, tests).
+ */
+export function createToken() {
+  return process.env.TERRENO_TOKEN || randomBytes(24).toString("hex");
+}
+
+// Constant-time comparison of a received token with ours
+export function tokenMatches(token, candidate) {
+  if (typeof candidate !== "string") return false;
+  const expected = Buffer.from(token);
+  const received = Buffer.from(candidate);
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/**
+ * Express middleware rejecting requests without the token (401)
+ */
+export function requireToken(token) {
+  return (req, res, next) => {
+    if (tokenMatches(token, req.get(TOKEN_HEADER))) {
+      next();
+      return;
+    }
+    res.status(401).json({ status: "error", message: "Missing or invalid token" });
+  };
+}
+
+/**
+ * Resolve symlinks in `filepath` and check it is inside one of `roots`
+ * (the registered Neovim working directories). Resolves to the real path,
+ * rejects for anything else so the server never reads outside a workspace.
+ */
+export async function workspacePath(filepath, roots) {
+  const real = await realpath(filepath);
+  for (const root of roots) {
+    const realRoot = await realpath(root).catch(() => null);
+    if (!realRoot) continue;
+    const prefix = realRoot.endsWith(sep) ? realRoot : realRoot + sep;
+    if (real === realRoot || real.startsWith(prefix)) return real;
+  }
+  throw new Error(`Outside the workspace: ${filepath}`);
+}
+
+/**
+ * Like workspacePath, for a file about to be written: it may not exist yet,
+ * so its directory is checked instead. Existing files (and symlinks) must
+ * themselves resolve inside the workspace.
+ */
+export async function workspaceTarget(filepath, roots) {
+  try {
+    return await workspacePath(filepath, roots);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  // A dangling symlink would be followed by the write
+  if (await lstat(filepath).catch(() => null)) {
+    throw new Error(`Outside the workspace: ${filepath}`);
+  }
+  return join(await workspacePath(dirname(filepath), roots), basename(filepath));
+}
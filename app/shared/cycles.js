@@ -0,0 +1,152 @@
+/**
+ * Import cycles: strongly connected components of the import graph
+ * (the cycles panel and `:Terreno cycles`).
+ */
+
+// One color per cycle, repeated when there are more cycles than colors
+export const CYCLE_COLORS = [
+  "#f97316",
+  "#a855f7",
+  "#14b8a6",
+  "#eab308",
+  "#06b6d4",
+  "#f43f5e",
+  "#84cc16",
+  "#8b5cf6",
+];
+
+export const cycleColor = (index) => CYCLE_COLORS[index % CYCLE_COLORS.length];
+
+// Imports only: not calls, type relations, references or merged edges
+export const isImportEdge = (edge) =>
+  !edge.data?.direction && !edge.data?.relation && !edge.data?.reference && !edge.data?.aggregated;
+
+/**
+ * Tarjan's algorithm, iterative so long import chains can't overflow the stack.
+ * `successors` maps every node to the nodes it points to.
+ */
+const stronglyConnected = (successors) => {
+  let counter = 0;
+  const index = new Map();
+  const lowlink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const visit = (node) => {
+    index.set(node, counter);
+    lowlink.set(node, counter);
+    counter += 1;
+    stack.push(node);
+    onStack.add(node);
+  };
+
+  for (const root of successors.keys()) {
+    if (index.has(root)) continue;
+    visit(root);
+    // [node, index of the next successor to look at]
+    const work = [[root, 0]];
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const [node, i] = frame;
+      const next = successors.get(node)[i];
+
+      if (next !== undefined) {
+        frame[1] += 1;
+        if (!index.has(next)) {
+          visit(next);
+          work.push([next, 0]);
+        } else if (onStack.has(next)) {
+          lowlink.set(node, Math.min(lowlink.get(node), index.get(next)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1][0];
+        lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(node)));
+      }
+      if (lowlink.get(node) === index.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        components.push(component);
+      }
+    }
+  }
+
+  return components;
+};
+
+// Shortest path from `start` back to itself within a component (breadth-first)
+const shortestCycle = (start, members, successors) => {
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const next of successors.get(node)) {
+      if (next === start) {
+        const path = [];
+        for (let at = node; at !== start; at = previous.get(at)) {
+          path.push(at);
+        }
+        return [start, ...path.reverse(), start];
+      }
+      if (members.has(next) && !previous.has(next)) {
+        previous.set(next, node);
+        queue.push(next);
+      }
+    }
+  }
+  return [start];
+};
+
+/**
+ * Find the import cycles among `edges` (edges between file ids).
+ * Each cycle:
+ *   { id, files, path, imports, closing }
+ * where `files` are the members of the component (sorted), `path` a shortest
+ * cycle through the first of them as a closed list of files, `imports` its
+ * edges as { source, target, line } and `closing` the last of those, the
+ * import that closes the cycle. `line` is the import's line when known.
+ */
+export const findCycles = (edges) => {
+  const successors = new Map();
+  const lines = new Map();
+  const link = (source, target) => {
+    if (!successors.has(source)) successors.set(source, []);
+    if (!successors.has(target)) successors.set(target, []);
+    if (!successors.get(source).includes(target)) successors.get(source).push(target);
+  };
+
+  edges.filter(isImportEdge).forEach((edge) => {
+    link(edge.source, edge.target);
+    if (edge.data?.line) lines.set(`${edge.source}\0${edge.target}`, edge.data.line);
+  });
+
+  // A single file is only a cycle when it imports itself
+  const isCycle = (component) =>
+    component.length > 1 || successors.get(component[0]).includes(component[0]);
+
+  return stronglyConnected(successors)
+    .filter(isCycle)
+    .map((component) => {
+      const files = [...component].sort();
+      const path = shortestCycle(files[0], new Set(files), successors);
+      const imports = path.slice(1).map((target, i) => ({
+        source: path[i],
+        target,
+        line: lines.get(`${path[i]}\0${target}`) || null,
+      }));
+      const closing = imports[imports.length - 1];
+      return { id: `cycle:${files[0]}`, files, path, imports, closing };
+    })
+    .sort((a, b) => b.files.length - a.files.length || (a.id < b.id ? -1 : 1));
+};
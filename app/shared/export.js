@@ -0,0 +1,323 @@
+/**
+ * Graph serializers for the export menu, `:Terreno export` and the CLI.
+ * PNG is rasterized in the browser (client/src/utils/export.js).
+ */
+
+export const EXPORT_FORMATS = {
+  svg: { ext: "svg", mime: "image/svg+xml" },
+  png: { ext: "png", mime: "image/png" },
+  mermaid: { ext: "mmd", mime: "text/plain" },
+  dot: { ext: "dot", mime: "text/vnd.graphviz" },
+  json: { ext: "json", mime: "application/json" },
+};
+
+// Client-only node data (callbacks are dropped separately)
+const UI_DATA_KEYS = [
+  "highlighted",
+  "cursor",
+  "cursorSymbol",
+  "focusSymbol",
+  "referenceBadge",
+  "metrics",
+  "heat",
+  "change",
+];
+
+/**
+ * Strip React Flow / UI state and return the raw Terreno graph format
+ * (the same shape Neovim posts to /api/graph).
+ */
+export const toTerrenoGraph = (nodes, edges) => ({
+  nodes: nodes.map((node) => ({
+    id: node.id,
+    type: node.type,
+    position: node.position,
+    // Directory grouping (see client/src/utils/grouping.js)
+    ...(node.parentId && { parentId: node.parentId }),
+    ...(node.hidden && { hidden: true }),
+    ...(node.width && { width: node.width, height: node.height }),
+    data: Object.fromEntries(
+      Object.entries(node.data || {}).filter(
+        ([key, value]) => typeof value !== "function" && !UI_DATA_KEYS.includes(key)
+      )
+    ),
+  })),
+  edges: edges.map(({ id, source, target, sourceHandle, targetHandle, label, data }) => ({
+    id,
+    source,
+    target,
+    // Pinned reference edges end on symbol rows
+    ...(sourceHandle && { sourceHandle }),
+    ...(targetHandle && { targetHandle }),
+    ...(label && { label }),
+    // e.g. call direction, which sets the edge style
+    ...(data && { data }),
+  })),
+});
+
+// Title and body lines shown for a node in every format
+const describeNode = (node) => {
+  const data = node.data || {};
+  if (node.type === "file" || data.filename) {
+    return {
+      title: data.filename || node.id,
+      lines: (data.symbols || []).map((s) => `${s.name}${s.kind ? ` (${s.kind})` : ""}`),
+    };
+  }
+  return {
+    title: data.label || node.id,
+    lines: data.file ? [`${data.file}${data.line ? `:${data.line}` : ""}`] : [],
+  };
+};
+
+export const toJson = (nodes, edges) =>
+  JSON.stringify(toTerrenoGraph(nodes, edges), null, 2) + "\n";
+
+const escapeMermaid = (text) =>
+  String(text).replace(/"/g, "#quot;").replace(/</g, "#lt;").replace(/>/g, "#gt;");
+
+export const toMermaid = (nodes, edges) => {
+  const ids = new Map(nodes.map((node, i) => [node.id, `n${i}`]));
+  const lines = ["flowchart LR"];
+
+  nodes.forEach((node) => {
+    const { title, lines: body } = describeNode(node);
+    const label = [`<b>${escapeMermaid(title)}</b>`, ...body.map(escapeMermaid)].join("<br/>");
+    lines.push(`  ${ids.get(node.id)}["${label}"]`);
+  });
+
+  edges.forEach((edge) => {
+    const source = ids.get(edge.source);
+    const target = ids.get(edge.target);
+    if (!source || !target) return;
+    lines.push(
+      edge.label
+        ? `  ${source} -->|"${escapeMermaid(edge.label)}"| ${target}`
+        : `  ${source} --> ${target}`
+    );
+  });
+
+  return lines.join("\n") + "\n";
+};
+
+const escapeDot = (text) => String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+
+export const toDot = (nodes, edges) => {
+  const nodeIds = new Set(nodes.map((n) => n.id));
+  const lines = [
+    "digraph terreno {",
+    "  rankdir=LR;",
+    '  node [shape=box, style="rounded", fontname="Helvetica", fontsize=10];',
+  ];
+
+  nodes.forEach((node) => {
+    const { title, lines: body } = describeNode(node);
+    // \l left-aligns each symbol line
+    const label = body.length
+      ? `${escapeDot(title)}\\n\\n${body.map(escapeDot).join("\\l")}\\l`
+      : escapeDot(title);
+    lines.push(`  "${escapeDot(node.id)}" [label="${label}"];`);
+  });
+
+  edges.forEach((edge) => {
+    if (!nodeIds.has(edge.source) || !nodeIds.has(edge.target)) return;
+    const attrs = edge.label ? ` [label="${escapeDot(edge.label)}"]` : "";
+    lines.push(`  "${escapeDot(edge.source)}" -> "${escapeDot(edge.target)}"${attrs};`);
+  });
+
+  lines.push("}");
+  return lines.join("\n") + "\n";
+};
+
+// SVG box metrics (match the FileNode look, without the code preview space)
+const SVG_CHAR_WIDTH = 7;
+const SVG_HEADER_HEIGHT = 30;
+const SVG_LINE_HEIGHT = 18;
+const SVG_PADDING = 12;
+
+const svgNodeSize = (node) => {
+  const { title, lines } = describeNode(node);
+  const longest = Math.max(title.length, ...lines.map((l) => l.length));
+  return {
+    width: Math.max(160, longest * SVG_CHAR_WIDTH + SVG_PADDING * 2),
+    height: SVG_HEADER_HEIGHT + lines.length * SVG_LINE_HEIGHT + (lines.length ? SVG_PADDING : 0),
+  };
+};
+
+// Gaps between and within the columns of exportLayout
+const RANK_GAP = 80;
+const NODE_GAP = 30;
+
+/**
+ * Column of each node: the longest chain of edges leading to it.
+ * Edges closing a cycle are ignored (the cycle is entered at its first node).
+ */
+const rankNodes = (nodes, edges) => {
+  const successors = new Map(nodes.map((node) => [node.id, []]));
+  const indegree = new Map(nodes.map((node) => [node.id, 0]));
+  edges.forEach((edge) => {
+    if (!successors.has(edge.source) || !successors.has(edge.target)) return;
+    successors.get(edge.source).push(edge.target);
+    indegree.set(edge.target, indegree.get(edge.target) + 1);
+  });
+
+  const ranks = new Map();
+  const remaining = new Set(successors.keys());
+  const queue = [...remaining].filter((id) => indegree.get(id) === 0);
+  while (remaining.size > 0) {
+    if (queue.length === 0) queue.push(remaining.values().next().value);
+    const id = queue.shift();
+    if (!remaining.delete(id)) continue;
+    if (!ranks.has(id)) ranks.set(id, 0);
+
+    successors.get(id).forEach((next) => {
+      if (!remaining.has(next)) return;
+      ranks.set(next, Math.max(ranks.get(next) ?? 0, ranks.get(id) + 1));
+      indegree.set(next, indegree.get(next) - 1);
+      if (indegree.get(next) === 0) queue.push(next);
+    });
+  }
+  return ranks;
+};
+
+// Compact left-to-right layout for graphs that were never laid out (server side)
+const exportLayout = (nodes, edges, sizes) => {
+  const ranks = rankNodes(nodes, edges);
+  const columns = [];
+  nodes.forEach((node) => {
+    const rank = ranks.get(node.id);
+    (columns[rank] = columns[rank] || []).push(node.id);
+  });
+
+  const columnHeight = (ids) =>
+    ids.reduce((sum, id) => sum + sizes.get(id).height, 0) + NODE_GAP * (ids.length - 1);
+  const tallest = Math.max(0, ...columns.map(columnHeight));
+
+  const positions = new Map();
+  let x = 0;
+  columns.forEach((ids) => {
+    // Columns are centered on the tallest one
+    let y = (tallest - columnHeight(ids)) / 2;
+    ids.forEach((id) => {
+      positions.set(id, { x, y });
+      y += sizes.get(id).height + NODE_GAP;
+    });
+    x += Math.max(...ids.map((id) => sizes.get(id).width)) + RANK_GAP;
+  });
+  return positions;
+};
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Render the graph as a standalone SVG document.
+ * Uses the nodes' current positions when they have them.
+ */
+export const toSvg = (nodes, edges) => {
+  const sizes = new Map(nodes.map((node) => [node.id, svgNodeSize(node)]));
+  const hasPositions = nodes.some((n) => n.position && (n.position.x || n.position.y));
+  const positions = hasPositions
+    ? new Map(nodes.map((n) => [n.id, n.position || { x: 0, y: 0 }]))
+    : exportLayout(nodes, edges, sizes);
+
+  const margin = 20;
+  const minX = Math.min(0, ...nodes.map((n) => positions.get(n.id).x));
+  const minY = Math.min(0, ...nodes.map((n) => positions.get(n.id).y));
+  const box = (id) => {
+    const { x, y } = positions.get(id);
+    const { width, height } = sizes.get(id);
+    return { x: x - minX + margin, y: y - minY + margin, width, height };
+  };
+
+  const width = Math.max(0, ...nodes.map((n) => box(n.id).x + box(n.id).width)) + margin;
+  const height = Math.max(0, ...nodes.map((n) => box(n.id).y + box(n.id).height)) + margin;
+
+  const edgePaths = edges
+    .filter((e) => sizes.has(e.source) && sizes.has(e.target))
+    .map((edge) => {
+      const s = box(edge.source);
+      const t = box(edge.target);
+      const x1 = s.x + s.width;
+      const y1 = s.y + SVG_HEADER_HEIGHT / 2;
+      const x2 = t.x;
+      const y2 = t.y + SVG_HEADER_HEIGHT / 2;
+      const dx = Math.max(40, Math.abs(x2 - x1) / 2);
+      return `  <path d="M${x1},${y1} C${x1 + dx},${y1} ${x2 - dx},${y2} ${x2},${y2}" fill="none" stroke="#4f46e5" stroke-width="2" marker-end="url(#arrow)"/>`;
+    });
+
+  const nodeGroups = nodes.map((node) => {
+    const { x, y, width: w, height: h } = box(node.id);
+    const { title, lines } = describeNode(node);
+    const body = lines.map(
+      (line, i) =>
+        `    <text x="${x + SVG_PADDING}" y="${y + SVG_HEADER_HEIGHT + SVG_LINE_HEIGHT * (i + 1) - 4}" fill="#cbd5e1" font-size="11">${escapeXml(line)}</text>`
+    );
+    return [
+      `  <g>`,
+      `    <rect x="${x}" y="${y}" width="${w}" height="${h}" rx="8" fill="#1e293b" stroke="#334155"/>`,
+      `    <text x="${x + SVG_PADDING}" y="${y + 20}" fill="#f1f5f9" font-size="13" font-weight="600">${escapeXml(title)}</text>`,
+      lines.length
+        ? `    <line x1="${x}" y1="${y + SVG_HEADER_HEIGHT}" x2="${x + w}" y2="${y + SVG_HEADER_HEIGHT}" stroke="#334155"/>`
+        : null,
+      ...body,
+      `  </g>`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="system-ui, -apple-system, sans-serif">`,
+    `  <defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="#4f46e5"/></marker></defs>`,
+    `  <rect width="100%" height="100%" fill="#1a1a2e"/>`,
+    ...edgePaths,
+    ...nodeGroups,
+    `</svg>`,
+    "",
+  ].join("\n");
+};
+
+/**
+ * Drop directory group nodes and turn their children's relative positions
+ * into absolute ones, so exports only contain files
+ */
+const flattenGroups = (nodes) => {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const absolute = (node) => {
+    const parent = node.parentId && byId.get(node.parentId);
+    if (!parent) return node.position;
+    const origin = absolute(parent);
+    return { x: origin.x + node.position.x, y: origin.y + node.position.y };
+  };
+
+  return nodes
+    .filter((node) => node.type !== "directory")
+    .map((node) => {
+      const { parentId: _parentId, hidden: _hidden, ...rest } = node;
+      return node.position ? { ...rest, position: absolute(node) } : rest;
+    });
+};
+
+/**
+ * Serialize the graph in a text format (everything but PNG)
+ */
+export const serializeGraph = (format, allNodes, edges) => {
+  const nodes = flattenGroups(allNodes);
+  switch (format) {
+    case "svg":
+      return toSvg(nodes, edges);
+    case "mermaid":
+      return toMermaid(nodes, edges);
+    case "dot":
+      return toDot(nodes, edges);
+    case "json":
+      return toJson(nodes, edges);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+};
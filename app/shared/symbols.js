@@ -0,0 +1,27 @@
+/**
+ * Symbol lists of file nodes: watch mode diffs applied to the graph in the
+ * browser and to the one the server stores.
+ */
+
+// Same symbol as reported before (symbols have no stable ID)
+const sameSymbol = (a, b, line = b.line) =>
+  a.name === b.name && a.kind === b.kind && a.line === line;
+
+/**
+ * Apply a symbol diff from watch mode: drop removed symbols, move changed ones
+ * (matched on their `previous_line`) and append added ones, keeping line order.
+ */
+export const mergeSymbols = (
+  symbols = [],
+  { added = [], removed = [], changed = [] } = {}
+) => {
+  const kept = symbols
+    .filter((s) => !removed.some((r) => sameSymbol(s, r)))
+    .map((s) => {
+      const update = changed.find((c) => sameSymbol(s, c, c.previous_line));
+      if (!update) return s;
+      const { previous_line: _previousLine, ...symbol } = update;
+      return symbol;
+    });
+  return [...kept, ...added].sort((a, b) => a.line - b.line);
+};
@@ -0,0 +1,135 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, utimesSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createLspCache } from "../cache.js";
+
+let dir;
+let mainFile;
+let otherFile;
+
+// Content written a minute ago, so stamps taken now are settled
+function write(filepath, content, mtime = new Date(Date.now() - 60000)) {
+  writeFileSync(filepath, content);
+  utimesSync(filepath, mtime, mtime);
+}
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "terreno-cache-"));
+  mainFile = join(dir, "main.js");
+  otherFile = join(dir, "other.js");
+  write(mainFile, "main\n");
+  write(otherFile, "other\n");
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// compute() that counts its calls and answers `value`
+function counter(value) {
+  const compute = async () => {
+    compute.calls += 1;
+    return typeof value === "function" ? value() : value;
+  };
+  compute.calls = 0;
+  return compute;
+}
+
+test("serves a stored value until the file changes", async () => {
+  const cache = createLspCache();
+  const compute = counter(["symbol"]);
+
+  assert.deepEqual(await cache.getOrCompute("symbols", "main", mainFile, compute), ["symbol"]);
+  assert.deepEqual(await cache.getOrCompute("symbols", "main", mainFile, compute), ["symbol"]);
+  assert.equal(compute.calls, 1);
+  assert.deepEqual(cache.inspect().stats, { hits: 1, misses: 1, evictions: 0, invalidations: 0 });
+
+  // Same size, newer mtime
+  write(mainFile, "MAIN\n", new Date());
+  await cache.getOrCompute("symbols", "main", mainFile, compute);
+  assert.equal(compute.calls, 2);
+
+  // Same mtime, other size
+  const mtime = new Date(Date.now() - 30000);
+  write(mainFile, "main();\n", mtime);
+  await cache.getOrCompute("symbols", "main", mainFile, compute);
+  write(mainFile, "main(1);\n", mtime);
+  await cache.getOrCompute("symbols", "main", mainFile, compute);
+  assert.equal(compute.calls, 4);
+});
+
+test("watches the files the value was computed from", async () => {
+  const cache = createLspCache();
+  const compute = counter([{ filepath: otherFile }]);
+  const filesOf = (refs) => refs.map((ref) => ref.filepath);
+
+  await cache.getOrCompute("references", "main:1", mainFile, compute, filesOf);
+  await cache.getOrCompute("references", "main:1", mainFile, compute, filesOf);
+  assert.equal(compute.calls, 1);
+
+  write(otherFile, "other changed\n", new Date());
+  await cache.getOrCompute("references", "main:1", mainFile, compute, filesOf);
+  assert.equal(compute.calls, 2);
+});
+
+test("doesn't keep answers computed while the file was saved", async () => {
+  const cache = createLspCache();
+  // The file is saved during the LSP round-trip
+  const compute = counter(() => {
+    write(mainFile, "main saved\n", new Date());
+    return ["old symbol"];
+  });
+
+  assert.deepEqual(await cache.getOrCompute("symbols", "main", mainFile, compute), ["old symbol"]);
+  assert.equal(await cache.get("symbols", "main"), undefined);
+
+  // Same for the other files of the answer
+  const saving = counter(() => {
+    write(otherFile, "other saved\n", new Date(Date.now() + 1000));
+    return [{ filepath: otherFile }];
+  });
+  await cache.getOrCompute("references", "main:1", mainFile, saving, (refs) => refs.map((r) => r.filepath));
+  assert.equal(await cache.get("references", "main:1"), undefined);
+});
+
+test("skips empty answers", async () => {
+  const cache = createLspCache();
+  for (const empty of [[], null, undefined]) {
+    const compute = counter(empty);
+    await cache.getOrCompute("symbols", "main", mainFile, compute);
+    await cache.getOrCompute("symbols", "main", mainFile, compute);
+    assert.equal(compute.calls, 2);
+  }
+  assert.equal(cache.inspect().size, 0);
+});
+
+test("evicts the least recently used entries", async () => {
+  const cache = createLspCache({ maxEntries: 2 });
+  await cache.getOrCompute("symbols", "a", mainFile, counter(["a"]));
+  await cache.getOrCompute("symbols", "b", mainFile, counter(["b"]));
+  // Reading "a" makes "b" the least recently used
+  await cache.get("symbols", "a");
+  await cache.getOrCompute("symbols", "c", mainFile, counter(["c"]));
+
+  const { entries, stats } = cache.inspect();
+  assert.deepEqual(
+    entries.map((e) => e.key),
+    ["c", "a"]
+  );
+  assert.equal(stats.evictions, 1);
+});
+
+test("drops entries on save, and references on any save", async () => {
+  const cache = createLspCache({ dependsOnAnyFile: ["references"] });
+  await cache.getOrCompute("symbols", "main", mainFile, counter(["main"]));
+  await cache.getOrCompute("symbols", "other", otherFile, counter(["other"]));
+  await cache.getOrCompute("references", "main:1", mainFile, counter([{ filepath: mainFile }]));
+
+  assert.equal(cache.invalidate(otherFile), 2);
+  assert.deepEqual(
+    cache.inspect().entries.map((e) => e.key),
+    ["main"]
+  );
+});
@@ -0,0 +1,121 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import { mkdtempSync, rmSync, unlinkSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { gitChanges, mapChanges } from "../changes.js";
+
+let repo;
+
+const git = (...args) =>
+  execFileSync("git", ["-c", "user.name=Terreno", "-c", "user.email=terreno@example.com", ...args], {
+    cwd: repo,
+    stdio: "pipe",
+  }).toString();
+
+const write = (path, lines) => writeFileSync(join(repo, path), lines.join("\n") + "\n");
+
+// "line 1" ... "line <count>"
+const numbered = (count, prefix = "line") => Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}`);
+
+// A repository with one commit: keep.js, edit.js, gone.js and old.js
+beforeEach(() => {
+  repo = mkdtempSync(join(tmpdir(), "terreno-changes-"));
+  git("init", "-q", "-b", "main");
+  write("keep.js", numbered(5));
+  write("edit.js", numbered(10));
+  write("gone.js", numbered(3));
+  write("old.js", numbered(20, "moved"));
+  git("add", "-A");
+  git("commit", "-q", "-m", "initial");
+});
+
+afterEach(() => {
+  rmSync(repo, { recursive: true, force: true });
+});
+
+test("lists added, modified, deleted and renamed files since HEAD", async () => {
+  write("new.js", numbered(2));
+  write("edit.js", [...numbered(3), "changed 4", ...numbered(10).slice(4), "line 11"]);
+  unlinkSync(join(repo, "gone.js"));
+  git("mv", "old.js", "new name.js");
+
+  const changes = await gitChanges(repo);
+  assert.equal(changes.ref, "HEAD");
+  assert.equal(changes.base, git("rev-parse", "HEAD").trim());
+
+  const byPath = Object.fromEntries(changes.files.map((f) => [f.path, f]));
+  assert.deepEqual(Object.keys(byPath).sort(), ["edit.js", "gone.js", "new name.js", "new.js"]);
+
+  assert.equal(byPath["new.js"].status, "added");
+  assert.equal(byPath["new.js"].filepath, join(repo, "new.js"));
+  assert.equal(byPath["gone.js"].status, "deleted");
+  assert.equal(byPath["new name.js"].status, "renamed");
+  assert.equal(byPath["new name.js"].old_path, "old.js");
+  assert.equal(byPath["edit.js"].status, "modified");
+  assert.deepEqual(byPath["edit.js"].hunks, [
+    { start: 4, end: 4, added: false, deletion: false },
+    { start: 11, end: 11, added: true, deletion: false },
+  ]);
+});
+
+test("compares with where the branch forked from the ref", async () => {
+  git("checkout", "-q", "-b", "feature");
+  write("feature.js", numbered(1));
+  git("add", "-A");
+  git("commit", "-q", "-m", "feature");
+  const fork = git("rev-parse", "main").trim();
+
+  // Commits on main after the fork don't show up
+  git("checkout", "-q", "main");
+  write("keep.js", numbered(6));
+  git("commit", "-q", "-am", "main moves on");
+  git("checkout", "-q", "feature");
+
+  const changes = await gitChanges(repo, "main");
+  assert.equal(changes.base, fork);
+  assert.deepEqual(
+    changes.files.map((f) => [f.path, f.status]),
+    [["feature.js", "added"]]
+  );
+});
+
+test("rejects unknown refs and refs that look like options", async () => {
+  await assert.rejects(gitChanges(repo, "no-such-branch"), /Unknown git ref "no-such-branch"/);
+  await assert.rejects(gitChanges(repo, "--output=/tmp/x"), /Invalid git ref "--output=\/tmp\/x"/);
+  await assert.rejects(gitChanges(repo, ""), /Invalid git ref/);
+});
+
+test("maps changes onto file nodes and their symbols", async () => {
+  write("new.js", numbered(2));
+  write("edit.js", [...numbered(3), "changed 4", ...numbered(10).slice(4), "line 11", "line 12"]);
+  unlinkSync(join(repo, "gone.js"));
+
+  const node = (path, symbols) => ({ id: `file:${path}`, data: { filepath: join(repo, path), symbols } });
+  const graph = {
+    nodes: [
+      node("edit.js", [
+        { name: "first", line: 1, end_line: 3 },
+        { name: "second", line: 4, end_line: 6 },
+        { name: "tail", line: 11, end_line: 12 },
+      ]),
+      node("new.js", [{ name: "fresh", line: 1, end_line: 2 }]),
+      node("gone.js", [{ name: "old", line: 1, end_line: 3 }]),
+    ],
+  };
+
+  const mapped = mapChanges(graph, await gitChanges(repo));
+  assert.deepEqual(mapped.counts, { added: 1, modified: 1, deleted: 1, renamed: 0 });
+
+  const byPath = Object.fromEntries(mapped.files.map((f) => [f.path, f]));
+  assert.equal(byPath["edit.js"].node, "file:edit.js");
+  assert.deepEqual(byPath["edit.js"].symbols, [
+    { name: "second", line: 4, status: "modified" },
+    { name: "tail", line: 11, status: "added" },
+  ]);
+  assert.deepEqual(byPath["new.js"].symbols, [{ name: "fresh", line: 1, status: "added" }]);
+  // Deleted files have no node left to mark
+  assert.equal(byPath["gone.js"].node, null);
+  assert.deepEqual(byPath["gone.js"].symbols, []);
+});
@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compareGraphs } from "../compare.js";
+
+// A file node as Neovim sends it: absolute id, project-relative path
+const file = (path, symbols = [], extra = {}) => ({
+  id: `/project/${path}`,
+  type: "file",
+  position: { x: 1, y: 2 },
+  data: { path, filepath: `/project/${path}`, symbols },
+  ...extra,
+});
+
+const symbol = (name, line) => ({ name, full_name: name, line });
+
+const edge = (source, target, data = {}) => ({
+  id: `${source}->${target}`,
+  source: `/project/${source}`,
+  target: `/project/${target}`,
+  data,
+});
+
+const byId = (list) => Object.fromEntries(list.map((item) => [item.id, item]));
+
+test("tags files only in one graph added or removed", () => {
+  const before = { nodes: [file("a.js"), file("old.js")], edges: [] };
+  const after = { nodes: [file("a.js"), file("new.js")], edges: [] };
+
+  const union = compareGraphs(before, after);
+  const nodes = byId(union.nodes);
+  assert.deepEqual(Object.keys(nodes).sort(), ["a.js", "new.js", "old.js"]);
+  assert.equal(nodes["a.js"].data.compare, null);
+  assert.equal(nodes["new.js"].data.compare, "added");
+  assert.equal(nodes["old.js"].data.compare, "removed");
+  // Positions are dropped: the union is laid out again
+  assert.equal(nodes["a.js"].position, undefined);
+
+  assert.deepEqual(union.compare.files, { added: ["new.js"], removed: ["old.js"] });
+});
+
+test("tags symbols of files in both graphs and marks those files changed", () => {
+  const before = { nodes: [file("a.js", [symbol("kept", 1), symbol("dropped", 5)]), file("b.js", [symbol("b", 1)])] };
+  const after = { nodes: [file("a.js", [symbol("kept", 1), symbol("fresh", 3)]), file("b.js", [symbol("b", 2)])] };
+
+  const union = compareGraphs(before, after);
+  const nodes = byId(union.nodes);
+  assert.equal(nodes["a.js"].data.compare, "changed");
+  assert.deepEqual(
+    nodes["a.js"].data.symbols.map((s) => [s.name, s.compare]),
+    [
+      ["kept", undefined],
+      ["fresh", "added"],
+      ["dropped", "removed"],
+    ]
+  );
+  // A symbol that only moved is the same symbol
+  assert.equal(nodes["b.js"].data.compare, null);
+
+  assert.deepEqual(union.compare.symbols, {
+    added: [{ file: "a.js", name: "fresh", line: 3 }],
+    removed: [{ file: "a.js", name: "dropped", line: 5 }],
+  });
+});
+
+test("tags edges only in one graph added or removed, told apart by kind", () => {
+  const nodes = [file("a.js"), file("b.js"), file("c.js")];
+  const before = {
+    nodes,
+    edges: [edge("a.js", "b.js"), edge("b.js", "c.js"), edge("a.js", "c.js", { relation: "extends" })],
+  };
+  const after = {
+    nodes,
+    edges: [
+      edge("a.js", "b.js"),
+      edge("c.js", "a.js"),
+      edge("a.js", "c.js", { relation: "implements" }),
+      // Merged directory edges are not compared
+      edge("a.js", "b.js", { aggregated: 3 }),
+    ],
+  };
+
+  const union = compareGraphs(before, after);
+  assert.deepEqual(
+    union.edges.map((e) => [e.id, e.source, e.target, e.data.compare]),
+    [
+      ["e_a.js_b.js", "a.js", "b.js", null],
+      ["e_c.js_a.js", "c.js", "a.js", "added"],
+      ["e_a.js_c.js_implements", "a.js", "c.js", "added"],
+      ["e_b.js_c.js", "b.js", "c.js", "removed"],
+      ["e_a.js_c.js_extends", "a.js", "c.js", "removed"],
+    ]
+  );
+  assert.deepEqual(union.compare.edges.added, [
+    { source: "c.js", target: "a.js" },
+    { source: "a.js", target: "c.js" },
+  ]);
+  assert.deepEqual(union.compare.edges.removed, [
+    { source: "b.js", target: "c.js" },
+    { source: "a.js", target: "c.js" },
+  ]);
+});
+
+test("matches files moved to another checkout on their project path", () => {
+  const moved = (node) => ({
+    ...node,
+    id: node.id.replace("/project", "/elsewhere"),
+    data: { ...node.data, filepath: node.data.filepath.replace("/project", "/elsewhere") },
+  });
+  const before = { nodes: [file("a.js"), file("b.js")], edges: [edge("a.js", "b.js")] };
+  const after = {
+    nodes: before.nodes.map(moved),
+    edges: [{ ...edge("a.js", "b.js"), source: "/elsewhere/a.js", target: "/elsewhere/b.js" }],
+    layout: "TB",
+  };
+
+  const union = compareGraphs(before, after);
+  assert.deepEqual(
+    union.nodes.map((n) => [n.id, n.data.compare]),
+    [
+      ["a.js", null],
+      ["b.js", null],
+    ]
+  );
+  assert.deepEqual(
+    union.edges.map((e) => e.data.compare),
+    [null]
+  );
+  assert.equal(union.layout, "TB");
+});
+
+test("drops directory groups and keeps symbol nodes apart", () => {
+  const callNode = (name) => ({
+    id: `/project/a.js:${name}`,
+    type: "symbol",
+    data: { path: "a.js", name, full_name: name },
+  });
+  const before = {
+    nodes: [{ id: "dir:src", type: "directory", data: {} }, callNode("run"), callNode("stop")],
+    edges: [],
+  };
+  const after = { nodes: [callNode("run")], edges: [] };
+
+  const union = compareGraphs(before, after);
+  assert.deepEqual(
+    union.nodes.map((n) => [n.id, n.data.compare]),
+    [
+      ["a.js#run", null],
+      ["a.js#stop", "removed"],
+    ]
+  );
+});
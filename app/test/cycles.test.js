@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findCycles } from "../shared/cycles.js";
+
+// Import edges from "a>b" strings, with an optional ":line"
+const imports = (...specs) =>
+  specs.map((spec) => {
+    const [link, line] = spec.split(":");
+    const [source, target] = link.split(">");
+    return { id: link, source, target, data: line ? { line: Number(line) } : {} };
+  });
+
+test("finds no cycle in an acyclic graph", () => {
+  assert.deepEqual(findCycles(imports("a>b", "a>c", "b>d", "c>d")), []);
+  assert.deepEqual(findCycles([]), []);
+});
+
+test("a file importing itself is a cycle", () => {
+  const [cycle, ...rest] = findCycles(imports("a>b", "b>b:3"));
+  assert.deepEqual(rest, []);
+  assert.deepEqual(cycle.files, ["b"]);
+  assert.deepEqual(cycle.path, ["b", "b"]);
+  assert.deepEqual(cycle.closing, { source: "b", target: "b", line: 3 });
+});
+
+test("two files importing each other", () => {
+  const cycles = findCycles(imports("x>a", "b>a:7", "a>b:2"));
+  assert.deepEqual(cycles, [
+    {
+      id: "cycle:a",
+      files: ["a", "b"],
+      path: ["a", "b", "a"],
+      imports: [
+        { source: "a", target: "b", line: 2 },
+        { source: "b", target: "a", line: 7 },
+      ],
+      closing: { source: "b", target: "a", line: 7 },
+    },
+  ]);
+});
+
+test("nested cycles form one component with the shortest path through its first file", () => {
+  // a > b > c > d > a, with the shorter a > b > a inside it and d also importing b
+  const [cycle, ...rest] = findCycles(imports("a>b", "b>c", "c>d", "d>a", "b>a", "d>b"));
+  assert.deepEqual(rest, []);
+  assert.deepEqual(cycle.files, ["a", "b", "c", "d"]);
+  assert.deepEqual(cycle.path, ["a", "b", "a"]);
+  assert.deepEqual(cycle.imports.map((i) => i.line), [null, null]);
+});
+
+test("cycles linked by an import stay separate, largest first", () => {
+  const cycles = findCycles(imports("a>b", "b>a", "b>c", "c>d", "d>e", "e>c"));
+  assert.deepEqual(
+    cycles.map((c) => c.files),
+    [
+      ["c", "d", "e"],
+      ["a", "b"],
+    ]
+  );
+  assert.deepEqual(cycles[0].path, ["c", "d", "e", "c"]);
+});
+
+test("only import edges count", () => {
+  const edges = [
+    ...imports("a>b"),
+    { id: "call", source: "b", target: "a", data: { direction: "outgoing" } },
+    { id: "type", source: "b", target: "a", data: { relation: "extends" } },
+    { id: "ref", source: "b", target: "a", data: { reference: true } },
+    { id: "dir", source: "b", target: "a", data: { aggregated: 2 } },
+  ];
+  assert.deepEqual(findCycles(edges), []);
+});
+
+test("long import chains don't overflow the stack", () => {
+  const count = 100000;
+  const edges = Array.from({ length: count }, (_, i) => ({
+    id: String(i),
+    source: `f${i}`,
+    target: `f${(i + 1) % count}`,
+  }));
+  const [cycle] = findCycles(edges);
+  assert.equal(cycle.files.length, count);
+  assert.equal(cycle.path.length, count + 1);
+});
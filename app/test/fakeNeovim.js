@@ -0,0 +1,95 @@
+import { createServer } from "net";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { encode, decodeMultiStream } from "@msgpack/msgpack";
+
+// msgpack-RPC message types
+const REQUEST = 0;
+const RESPONSE = 1;
+const NOTIFICATION = 2;
+
+const CHANNEL_ID = 7;
+
+/**
+ * Stand-in for a Neovim instance: a msgpack-RPC server on a unix socket that
+ * records the Lua the Terreno server executes (`nvim_exec_lua`) and answers
+ * `require("terreno").rpc_request(...)` calls the way the plugin does, with a
+ * `terreno_result` (or `terreno_error`) notification.
+ *
+ * `handlers` maps "module.fn" to a function called with the Lua function's
+ * arguments; its (awaited) return value is the result, a throw the error.
+ * Calls without a handler are never answered, like a hung LSP request.
+ */
+export async function startFakeNeovim({ handlers = {} } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), "terreno-fake-nvim-"));
+  const address = join(dir, "nvim.sock");
+  const sockets = new Set();
+  // Every nvim_exec_lua call: { code, args }
+  const calls = [];
+
+  const notify = (socket, method, args) => socket.write(encode([NOTIFICATION, method, args]));
+
+  const answer = async (socket, [, requestId, module, fn, args]) => {
+    const handler = handlers[`${module}.${fn}`];
+    if (!handler) return;
+    try {
+      notify(socket, "terreno_result", [requestId, await handler(...(args || []))]);
+    } catch (err) {
+      notify(socket, "terreno_error", [requestId, err.message]);
+    }
+  };
+
+  const server = createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.on("error", () => {});
+
+    (async () => {
+      for await (const message of decodeMultiStream(socket)) {
+        const [type, msgid, method, params] = message;
+        if (type !== REQUEST) continue;
+
+        if (method === "nvim_get_api_info") {
+          socket.write(encode([RESPONSE, msgid, null, [CHANNEL_ID, {}]]));
+        } else if (method === "nvim_exec_lua") {
+          const [code, args] = params;
+          calls.push({ code, args });
+          socket.write(encode([RESPONSE, msgid, null, null]));
+          if (code.includes("rpc_request(")) answer(socket, args);
+        } else {
+          socket.write(encode([RESPONSE, msgid, [0, `Unknown method: ${method}`], null]));
+        }
+      }
+    })().catch(() => {});
+  });
+
+  await new Promise((resolve) => server.listen(address, resolve));
+
+  return {
+    address,
+    calls,
+    handlers,
+    // Lua calls whose code contains `fragment`
+    callsTo: (fragment) => calls.filter((call) => call.code.includes(fragment)),
+    // Send an rpcnotify() to the Terreno server, e.g. terreno_invalidate
+    notify: (method, args) => sockets.forEach((socket) => notify(socket, method, args)),
+    // Wait for a Lua call containing `fragment`
+    waitForCall: async (fragment, timeoutMs = 2000) => {
+      const deadline = Date.now() + timeoutMs;
+      while (Date.now() < deadline) {
+        const [call] = calls.filter((c) => c.code.includes(fragment));
+        if (call) return call;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      throw new Error(`No Lua call to ${fragment}`);
+    },
+    // Quit: drop the connections like an exiting Neovim (safe to call twice)
+    close: async () => {
+      if (!server.listening) return;
+      sockets.forEach((socket) => socket.destroy());
+      await new Promise((resolve) => server.close(resolve));
+      rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
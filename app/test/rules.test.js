@@ -0,0 +1,137 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { RULES_FILE, checkRules, globToRegExp, loadRules } from "../rules.js";
+
+let project;
+
+beforeEach(() => {
+  project = mkdtempSync(join(tmpdir(), "terreno-rules-"));
+});
+
+afterEach(() => {
+  rmSync(project, { recursive: true, force: true });
+});
+
+const writeRules = (rules) => writeFileSync(join(project, RULES_FILE), JSON.stringify({ rules }));
+
+// A file graph of the project: `imports` maps a relative path to the paths it imports, with their lines
+function graph(imports) {
+  const files = new Set();
+  const edges = [];
+  Object.entries(imports).forEach(([from, targets]) => {
+    files.add(from);
+    Object.entries(targets).forEach(([to, line]) => {
+      files.add(to);
+      edges.push({ id: `${from}->${to}`, source: join(project, from), target: join(project, to), data: { line } });
+    });
+  });
+  return { nodes: [...files].map((file) => ({ id: join(project, file), type: "file" })), edges };
+}
+
+async function violations(rules, imports) {
+  writeRules(rules);
+  const loaded = await loadRules(project);
+  assert.equal(loaded.error, null);
+  return checkRules(loaded.rules, graph(imports), project);
+}
+
+test("globs: ** spans directories, * and ? stay within one segment", () => {
+  const re = globToRegExp("src/**/*.js");
+  assert.ok(re.test("src/a.js"));
+  assert.ok(re.test("src/ui/forms/a.js"));
+  assert.ok(!re.test("src/a.jsx"));
+  assert.ok(!re.test("lib/a.js"));
+
+  assert.ok(globToRegExp("src/ui/**").test("src/ui/forms/input.js"));
+  assert.ok(!globToRegExp("src/*.js").test("src/ui/a.js"));
+  assert.ok(globToRegExp("src/?.js").test("src/a.js"));
+  assert.ok(!globToRegExp("src/?.js").test("src/ab.js"));
+});
+
+test("reports imports of denied paths with the line of the import", async () => {
+  const found = await violations([{ from: "src/ui/**", deny: ["src/db/**"], message: "UI goes through src/api" }], {
+    "src/ui/page.js": { "src/db/client.js": 4, "src/api/users.js": 2 },
+    "src/api/users.js": { "src/db/client.js": 1 },
+  });
+
+  assert.equal(found.length, 1);
+  const [violation] = found;
+  assert.equal(violation.edge, "src/ui/page.js->src/db/client.js");
+  assert.equal(violation.from, "src/ui/page.js");
+  assert.equal(violation.to, "src/db/client.js");
+  assert.equal(violation.line, 4);
+  assert.equal(violation.rule, 0);
+  assert.equal(violation.severity, "warning");
+  assert.equal(violation.message, "UI goes through src/api (imports src/db/client.js)");
+});
+
+test("reports imports outside the allowed paths", async () => {
+  const found = await violations(
+    [{ from: "src/core/**", allow: ["src/core/**", "src/utils/**"], severity: "error" }],
+    {
+      "src/core/model.js": { "src/core/types.js": 1, "src/utils/dates.js": 2, "src/ui/format.js": 7 },
+      "src/ui/format.js": { "src/core/model.js": 3 },
+    }
+  );
+
+  assert.deepEqual(
+    found.map((v) => [v.from, v.to, v.line, v.severity]),
+    [["src/core/model.js", "src/ui/format.js", 7, "error"]]
+  );
+  assert.match(found[0].message, /src\/core\/model\.js must not import src\/ui\/format\.js \(rule 1: src\/core\/\*\*\)/);
+});
+
+test("the first matching rule wins", async () => {
+  const found = await violations(
+    [
+      { from: "src/**", deny: "src/legacy/**", severity: "info" },
+      { from: "src/ui/**", deny: "src/legacy/**", severity: "error" },
+    ],
+    { "src/ui/page.js": { "src/legacy/old.js": 9 } }
+  );
+  assert.deepEqual(
+    found.map((v) => [v.rule, v.severity]),
+    [[0, "info"]]
+  );
+});
+
+test("ignores edges leaving the project or between non-file nodes", async () => {
+  writeRules([{ from: "**", deny: "src/db/**" }]);
+  const { rules } = await loadRules(project);
+  const edges = [
+    // Without a line: reported with line null
+    { id: "a", source: join(project, "src/a.js"), target: join(project, "src/db/b.js") },
+    { id: "b", source: join(project, "src/a.js"), target: "/elsewhere/src/db/b.js" },
+  ];
+  const nodes = [join(project, "src/a.js"), join(project, "src/db/b.js"), "/elsewhere/src/db/b.js"].map((id) => ({
+    id,
+    type: "file",
+  }));
+
+  const found = checkRules(rules, { nodes, edges }, project);
+  assert.deepEqual(
+    found.map((v) => [v.edge, v.line]),
+    [["a", null]]
+  );
+
+  const symbols = nodes.map((n) => ({ ...n, type: "symbol" }));
+  assert.deepEqual(checkRules(rules, { nodes: symbols, edges }, project), []);
+});
+
+test("no rules file means no rules, an invalid one an error", async () => {
+  assert.deepEqual(await loadRules(project), { rules: [], error: null });
+
+  writeRules([{ from: "src/**" }]);
+  const missing = await loadRules(project);
+  assert.deepEqual(missing.rules, []);
+  assert.equal(missing.error, `${RULES_FILE}: rule 1: needs "deny" or "allow"`);
+
+  writeRules([{ from: "src/**", deny: "lib/**", severity: "fatal" }]);
+  assert.match((await loadRules(project)).error, /"severity" must be one of/);
+
+  writeFileSync(join(project, RULES_FILE), "{ not json");
+  assert.ok((await loadRules(project)).error.startsWith(`${RULES_FILE}: `));
+});
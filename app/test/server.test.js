@@ -0,0 +1,340 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readFileSync, rmSync, symlinkSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { io as connect } from "socket.io-client";
+import { createTerrenoServer } from "../app.js";
+import { startFakeNeovim } from "./fakeNeovim.js";
+
+const TOKEN = "test-token";
+// Neovim requests without an answer give up after this long
+const REQUEST_TIMEOUT = 200;
+
+let terreno;
+let baseUrl;
+let nvim;
+let workspace;
+const clients = [];
+
+beforeEach(async () => {
+  terreno = createTerrenoServer({ token: TOKEN, requestTimeout: REQUEST_TIMEOUT });
+  await new Promise((resolve) => terreno.server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${terreno.server.address().port}`;
+  nvim = await startFakeNeovim();
+
+  // A project with one 30-line file: "line 1" ... "line 30"
+  workspace = mkdtempSync(join(tmpdir(), "terreno-workspace-"));
+  const lines = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`);
+  writeFileSync(join(workspace, "main.js"), lines.join("\n") + "\n");
+});
+
+afterEach(async () => {
+  clients.splice(0).forEach((client) => client.close());
+  await terreno.close();
+  await nvim.close();
+  rmSync(workspace, { recursive: true, force: true });
+});
+
+async function api(path, body, { token = TOKEN } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: body === undefined ? "GET" : "POST",
+    headers: { "Content-Type": "application/json", "X-Terreno-Token": token },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Register the fake Neovim as a session working in `workspace`
+async function register() {
+  const { body } = await api("/api/register", { socket: nvim.address, cwd: workspace, name: "test" });
+  await nvim.waitForCall("set_server_channel");
+  return body.session;
+}
+
+// A browser: a socket.io client sending `token`
+function openBrowser({ token = TOKEN } = {}) {
+  const client = connect(baseUrl, { auth: { token }, transports: ["websocket"] });
+  clients.push(client);
+  return client;
+}
+
+const nextEvent = (client, event) => new Promise((resolve) => client.once(event, resolve));
+
+const codeRequest = (client, request) =>
+  new Promise((resolve) => client.emit("code:request", request, resolve));
+
+test("registers a Neovim instance and attaches to it", async () => {
+  const session = await register();
+  assert.equal(session, "nvim_1");
+
+  // The server told Neovim which channel to push events on
+  const [setup] = nvim.callsTo("set_server_channel");
+  assert.deepEqual(setup.args, [7]);
+
+  const { body } = await api("/api/health");
+  assert.equal(body.sessions, 1);
+
+  // Registering the same socket again keeps the session
+  const again = await api("/api/register", { socket: nvim.address, cwd: workspace });
+  assert.equal(again.body.session, session);
+});
+
+test("drops the session when Neovim goes away", async () => {
+  await register();
+  await nvim.close();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const { body } = await api("/api/health");
+  assert.equal(body.sessions, 0);
+});
+
+test("rejects requests and socket.io connections without the token", async () => {
+  const { status } = await api("/api/health", undefined, { token: "wrong" });
+  assert.equal(status, 401);
+
+  const error = await nextEvent(openBrowser({ token: "wrong" }), "connect_error");
+  assert.match(error.message, /token/);
+});
+
+test("sends the latest graph to browsers connecting later", async () => {
+  const session = await register();
+  const graph = { nodes: [{ id: join(workspace, "main.js"), data: { symbols: [] } }], edges: [] };
+  await api(`/api/graph?session=${session}`, graph);
+
+  const client = openBrowser();
+  const [sessions, received] = await Promise.all([
+    nextEvent(client, "sessions:update"),
+    nextEvent(client, "graph:data"),
+  ]);
+
+  assert.deepEqual(sessions.map((s) => [s.id, s.hasGraph]), [[session, true]]);
+  assert.equal(received.session, session);
+  assert.equal(received.cwd, workspace);
+  assert.deepEqual(received.nodes, graph.nodes);
+});
+
+test("answers Neovim calls with the value Neovim sends back", async () => {
+  const session = await register();
+  nvim.handlers["terreno.lsp.expand_node"] = (filepath, line) => ({
+    nodes: [{ id: `${filepath}:${line}` }],
+    edges: [],
+  });
+
+  const { body } = await api("/api/expand", { filepath: "/x.js", line: 3, session });
+  assert.deepEqual(body.nodes, [{ id: "/x.js:3" }]);
+
+  // The argument count goes along, so nil arguments keep the callback in place
+  const [request] = nvim.callsTo("rpc_request");
+  assert.deepEqual(request.args.slice(2), ["terreno.lsp", "expand_node", ["/x.js", 3, 5, "outgoing"], 4]);
+});
+
+test("gives up on Neovim calls that time out and cancels them in Neovim", async () => {
+  const session = await register();
+
+  const started = Date.now();
+  const { body } = await api("/api/expand", { filepath: "/x.js", line: 3, session });
+  assert.ok(Date.now() - started >= REQUEST_TIMEOUT);
+  assert.deepEqual(body, { status: "ok", nodes: [], edges: [] });
+
+  const [request] = nvim.callsTo("rpc_request");
+  const cancel = await nvim.waitForCall("cancel_request");
+  assert.deepEqual(cancel.args, [request.args[1]]);
+});
+
+test("reports errors raised in Neovim", async () => {
+  const session = await register();
+  nvim.handlers["terreno.lsp.get_file_node"] = () => {
+    throw new Error("no LSP client");
+  };
+
+  const { body } = await api("/api/file-node", { filepath: "main.js", session });
+  assert.deepEqual(body, { status: "error", message: "no LSP client" });
+});
+
+test("code:request uses the range sent by the browser", async () => {
+  const session = await register();
+  const client = openBrowser();
+
+  const result = await codeRequest(client, { filepath: "main.js", line: 4, end_line: 6, session });
+  assert.deepEqual(
+    result.lines.map((l) => l.text),
+    ["line 4", "line 5", "line 6"]
+  );
+  // No need to ask Neovim for symbols
+  assert.equal(nvim.callsTo("rpc_request").length, 0);
+});
+
+test("code:request falls back to the symbol range from Neovim", async () => {
+  const session = await register();
+  nvim.handlers["terreno.file_symbols"] = () => [
+    { name: "other", line: 1, end_line: 2 },
+    { name: "render", line: 10, end_line: 12 },
+  ];
+  const client = openBrowser();
+
+  const result = await codeRequest(client, { filepath: "main.js", line: 10, name: "render", session });
+  assert.deepEqual(
+    result.lines.map((l) => l.num),
+    [10, 11, 12]
+  );
+});
+
+test("code:request falls back to lines around the symbol when Neovim doesn't answer", async () => {
+  const session = await register();
+  const client = openBrowser();
+
+  const result = await codeRequest(client, {
+    filepath: "main.js",
+    line: 10,
+    name: "render",
+    context: 2,
+    session,
+  });
+  assert.deepEqual(
+    result.lines.map((l) => l.num),
+    [8, 9, 10, 11, 12]
+  );
+});
+
+test("code:request refuses files outside the workspace", async () => {
+  const session = await register();
+  const client = openBrowser();
+
+  const result = await codeRequest(client, { filepath: "/etc/passwd", line: 1, end_line: 2, session });
+  assert.equal(result.status, "error");
+  assert.match(result.message, /Outside the workspace/);
+});
+
+test("exports the graph inside the workspace only", async () => {
+  const session = await register();
+  const graph = { nodes: [{ id: join(workspace, "main.js"), data: { symbols: [] } }], edges: [] };
+  await api(`/api/graph?session=${session}`, graph);
+
+  const { body } = await api(`/api/export?session=${session}`, { format: "json", path: "graph.json" });
+  assert.equal(body.path, join(workspace, "graph.json"));
+  assert.deepEqual(JSON.parse(readFileSync(body.path, "utf8")).nodes.map((n) => n.id), [graph.nodes[0].id]);
+
+  // Graphs from Neovim have no positions: SVG lays them out without the client's dagre
+  const svg = await api(`/api/export?session=${session}`, { format: "svg", path: "graph.svg" });
+  assert.match(readFileSync(svg.body.path, "utf8"), /^<svg [^]*main\.js[^]*<\/svg>\n$/);
+
+  const outside = join(tmpdir(), `terreno-export-${process.pid}.json`);
+  const refused = await api(`/api/export?session=${session}`, { format: "json", path: outside });
+  assert.equal(refused.body.status, "error");
+  assert.match(refused.body.message, /Outside the workspace/);
+  assert.equal(existsSync(outside), false);
+
+  // Nor through a symlink in the workspace
+  symlinkSync(outside, join(workspace, "link.json"));
+  const linked = await api(`/api/export?session=${session}`, { format: "json", path: "link.json" });
+  assert.match(linked.body.message, /Outside the workspace/);
+  assert.equal(existsSync(outside), false);
+});
+
+// A Neovim function that answers once `gate.resolve()` is called
+function gated(answer) {
+  const gate = Promise.withResolvers();
+  const handler = async (...args) => {
+    await gate.promise;
+    return answer(...args);
+  };
+  return { gate, handler };
+}
+
+const expandAnswer = (filepath, line) => ({ nodes: [{ id: `${filepath}:${line}` }], edges: [] });
+const rpcCallsTo = (fn) => nvim.callsTo("rpc_request").filter((call) => call.args[3] === fn);
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+test("identical calls in flight share one Neovim request", async () => {
+  const session = await register();
+  const { gate, handler } = gated(expandAnswer);
+  nvim.handlers["terreno.lsp.expand_node"] = handler;
+
+  const body = { filepath: "/x.js", line: 3, session };
+  const both = Promise.all([api("/api/expand", body), api("/api/expand", body)]);
+  await nvim.waitForCall("rpc_request");
+  await settle();
+  gate.resolve();
+
+  const answers = await both;
+  assert.deepEqual(
+    answers.map((a) => a.body.nodes),
+    [[{ id: "/x.js:3" }], [{ id: "/x.js:3" }]]
+  );
+  assert.equal(rpcCallsTo("expand_node").length, 1);
+});
+
+test("runs at most 4 calls per Neovim at a time", async () => {
+  const session = await register();
+  const { gate, handler } = gated(expandAnswer);
+  nvim.handlers["terreno.lsp.expand_node"] = handler;
+
+  const lines = [1, 2, 3, 4, 5, 6];
+  const all = Promise.all(lines.map((line) => api("/api/expand", { filepath: "/x.js", line, session })));
+  await settle();
+  assert.equal(rpcCallsTo("expand_node").length, 4);
+
+  gate.resolve();
+  const answers = await all;
+  assert.deepEqual(
+    answers.map((a) => a.body.nodes[0].id),
+    lines.map((line) => `/x.js:${line}`)
+  );
+  assert.equal(rpcCallsTo("expand_node").length, 6);
+});
+
+// POST /api/references that the test can abort like the browser does
+function abortableReferences(body) {
+  const controller = new AbortController();
+  const response = fetch(`${baseUrl}/api/references`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Terreno-Token": TOKEN },
+    body: JSON.stringify(body),
+    signal: controller.signal,
+  }).catch((err) => err);
+  return { controller, response };
+}
+
+test("requests aborted while waiting for a slot never reach Neovim", async () => {
+  const session = await register();
+  const { gate, handler } = gated(expandAnswer);
+  nvim.handlers["terreno.lsp.expand_node"] = handler;
+  nvim.handlers["terreno.lsp.find_references"] = () => [];
+
+  const busy = Promise.all([1, 2, 3, 4].map((line) => api("/api/expand", { filepath: "/x.js", line, session })));
+  await settle();
+  const queued = abortableReferences({ filepath: "main.js", line: 2, name: "render", session });
+  await settle();
+  queued.controller.abort();
+  assert.equal((await queued.response).name, "AbortError");
+  await settle();
+
+  gate.resolve();
+  await busy;
+  await settle();
+  assert.equal(rpcCallsTo("find_references").length, 0);
+});
+
+test("aborting cancels the call in Neovim and later identical requests start over", async () => {
+  const session = await register();
+  let calls = 0;
+  nvim.handlers["terreno.lsp.find_references"] = () => {
+    calls += 1;
+    // The first call hangs like a slow LSP
+    if (calls === 1) return new Promise(() => {});
+    return [{ filepath: join(workspace, "main.js"), line: 2, col: 1 }];
+  };
+  const body = { filepath: "main.js", line: 2, name: "render", session };
+
+  const first = abortableReferences(body);
+  await nvim.waitForCall("rpc_request");
+  const [request] = rpcCallsTo("find_references");
+  first.controller.abort();
+  const cancel = await nvim.waitForCall("cancel_request");
+  assert.deepEqual(cancel.args, [request.args[1]]);
+
+  const { body: again } = await api("/api/references", body);
+  assert.deepEqual(again.files, [join(workspace, "main.js")]);
+  assert.equal(rpcCallsTo("find_references").length, 2);
+});
@@ -4,8 +4,16 @@ local M = {}
 
 ---@class TerrenoConfig
 ---@field server_url string Terreno server URL
+---@field session_name string|nil Name of this Neovim in the browser (defaults to the cwd's basename)
+---@field watch boolean Send incremental graph updates on save / LSP changes
+---@field follow boolean Highlight the editor cursor's file and symbol in the browser
+---@field languages table<string, TerrenoLanguage|table|false> Language adapters to add, change or remove (false)
 local default_config = {
 	server_url = "http://localhost",
+	session_name = nil,
+	watch = false,
+	follow = false,
+	languages = {},
 }
 
 ---@type TerrenoConfig
@@ -14,9 +22,17 @@ M.config = default_config
 -- Neovim server socket path for bidirectional communication
 M.server_name = nil
 
+-- Session ID assigned by the server on registration
+M.session_id = nil
+
+-- RPC channel of the server's connection to us (for pushing events)
+M.server_channel = nil
+
 -- Server process management
 M.server_job = nil
 M.server_port = nil
+-- Token the server requires on every request (printed at startup, shared via the state file)
+M.server_token = nil
 
 --- Get the plugin's root directory (where /app is located)
 local function get_plugin_root()
@@ -25,17 +41,67 @@ local function get_plugin_root()
 	return vim.fn.fnamemodify(plugin_lua, ":h")
 end
 
---- Start the Terreno server and get its port
----@param callback function Called with port number when server is ready
-M.start_server = function(callback)
-	if M.server_job then
-		-- Server already running
-		if M.server_port then
-			callback(M.server_port)
-		end
-		return
+--- File advertising the running server to other Neovim instances
+local function get_shared_state_file()
+	return vim.fn.stdpath("cache") .. "/terreno/server.json"
+end
+
+--- Read the port and token of a server started by another Neovim instance
+---@return number|nil port
+---@return string|nil token
+local function read_shared_port()
+	local file = io.open(get_shared_state_file(), "r")
+	if not file then
+		return nil
+	end
+	local ok, state = pcall(vim.fn.json_decode, file:read("*all"))
+	file:close()
+	if not ok or type(state) ~= "table" or type(state.token) ~= "string" then
+		return nil
 	end
+	return tonumber(state.port), state.token
+end
+
+--- Advertise our server so other Neovim instances join it instead of starting their own
+--- The file holds the token: only our user may read it.
+---@param port number Server port
+---@param token string Server token
+local function write_shared_port(port, token)
+	local state_file = get_shared_state_file()
+	vim.fn.mkdir(vim.fn.fnamemodify(state_file, ":h"), "p", 448) -- 0700
+	local fd = vim.loop.fs_open(state_file, "w", 384) -- 0600
+	if fd then
+		vim.loop.fs_chmod(state_file, 384)
+		vim.loop.fs_write(fd, vim.fn.json_encode({ port = port, token = token, pid = vim.fn.getpid() }))
+		vim.loop.fs_close(fd)
+	end
+end
+
+--- HTTP header carrying the server token (curl -H)
+---@param token string|nil Token (defaults to ours)
+---@return string
+local function token_header(token)
+	return "X-Terreno-Token: " .. (token or M.server_token or "")
+end
+
+--- Check whether a Terreno server answers on the given port
+---@param port number Server port
+---@param token string Server token
+---@param callback function Called with (healthy: boolean)
+local function check_health(port, token, callback)
+	local url = M.config.server_url .. ":" .. port .. "/api/health"
+	vim.fn.jobstart({ "curl", "-s", "-f", "--max-time", "2", "-H", token_header(token), url }, {
+		on_exit = function(_, code)
+			vim.schedule(function()
+				callback(code == 0)
+			end)
+		end,
+	})
+end
 
+--- Spawn our own Terreno server process
+---@param callback function Called with port number when server is ready
+local function spawn_server(callback)
 	local app_dir = get_plugin_root() .. "/app"
 	local server_script = app_dir .. "/server.js"
 
@@ -49,10 +115,13 @@ M.start_server = function(callback)
 		cwd = app_dir,
 		on_stdout = function(_, data)
 			for _, line in ipairs(data) do
+				-- Any token TERRENO_TOKEN sets, not only the random hex one
+				M.server_token = line:match("TERRENO_TOKEN=(%S+)") or M.server_token
 				local port = line:match("TERRENO_PORT=(%d+)")
 				if port then
 					M.server_port = tonumber(port)
 					vim.schedule(function()
+						write_shared_port(M.server_port, M.server_token)
 						callback(M.server_port)
 					end)
 				end
@@ -70,6 +139,7 @@ M.start_server = function(callback)
 		on_exit = function(_, code)
 			M.server_job = nil
 			M.server_port = nil
+			M.server_token = nil
 			if code ~= 0 then
 				vim.schedule(function()
 					vim.notify("Terreno: server exited with code " .. code, vim.log.levels.WARN)
@@ -79,19 +149,62 @@ M.start_server = function(callback)
 	})
 end
 
+--- Start the Terreno server and get its port
+--- Joins a server already started by another Neovim instance when one is running.
+---@param callback function Called with port number when server is ready
+M.start_server = function(callback)
+	if M.server_port then
+		-- Server already running
+		callback(M.server_port)
+		return
+	end
+
+	if M.server_job then
+		-- Server starting, port not known yet
+		return
+	end
+
+	local shared_port, shared_token = read_shared_port()
+	if not shared_port then
+		spawn_server(callback)
+		return
+	end
+
+	check_health(shared_port, shared_token, function(healthy)
+		if healthy then
+			M.server_port = shared_port
+			M.server_token = shared_token
+			callback(shared_port)
+		else
+			spawn_server(callback)
+		end
+	end)
+end
+
 --- Stop the Terreno server
+--- Only a server started by this instance is stopped; a shared one is just forgotten.
 M.stop_server = function()
 	if M.server_job then
 		vim.fn.jobstop(M.server_job)
 		M.server_job = nil
-		M.server_port = nil
+		if read_shared_port() == M.server_port then
+			os.remove(get_shared_state_file())
+		end
 	end
+	M.server_port = nil
+	M.server_token = nil
+	M.session_id = nil
+	M.server_channel = nil
 end
 
 --- Open browser at the given URL
+--- The token goes in the URL: the page passes it on to the server.
 ---@param port number Server port
 M.open_browser = function(port)
-	local url = "http://localhost:" .. port
+	local token = (M.server_token or ""):gsub("[^%w%-._~]", function(c)
+		return string.format("%%%02X", c:byte())
+	end)
+	local url = M.config.server_url .. ":" .. port .. "/?token=" .. token
 	local cmd = vim.fn.has("mac") == 1 and "open" or "xdg-open"
 	vim.fn.jobstart({ cmd, url }, { detach = true })
 end
@@ -100,10 +213,28 @@ end
 M.setup = function(opts)
 	M.config = vim.tbl_deep_extend("force", default_config, opts or {})
 
+	require("terreno.languages").setup(M.config.languages)
+
 	-- Cleanup server on Neovim exit
 	vim.api.nvim_create_autocmd("VimLeavePre", {
 		callback = M.stop_server,
 	})
+
+	-- Keep the server's LSP cache in sync with saved files
+	vim.api.nvim_create_autocmd("BufWritePost", {
+		group = vim.api.nvim_create_augroup("TerrenoCache", { clear = true }),
+		callback = function(args)
+			M.notify_file_saved(vim.api.nvim_buf_get_name(args.buf))
+		end,
+	})
+
+	if M.config.watch then
+		require("terreno.watch").enable()
+	end
+
+	if M.config.follow then
+		require("terreno.follow").enable()
+	end
 end
 
 --- Register Neovim socket with the Terreno server
@@ -114,29 +245,52 @@ M.register_socket = function(callback)
 		return
 	end
 	local url = M.config.server_url .. ":" .. M.server_port .. "/api/register"
+	local cwd = vim.fn.getcwd()
 	local data = vim.fn.json_encode({
 		socket = M.server_name,
-		cwd = vim.fn.getcwd(),
+		cwd = cwd,
+		name = M.config.session_name or vim.fn.fnamemodify(cwd, ":t"),
 	})
 
+	local response = {}
 	vim.fn.jobstart({
 		"curl",
 		"-s",
+		"-f",
 		"-X",
 		"POST",
 		"-H",
 		"Content-Type: application/json",
+		"-H",
+		token_header(),
 		"-d",
 		data,
 		url,
 	}, {
+		stdout_buffered = true,
+		on_stdout = function(_, output)
+			response = output
+		end,
 		on_exit = function(_, code)
-			if code == 0 then
+			vim.schedule(function()
+				if code ~= 0 then
+					if not M.server_job then
+						-- A shared server went away with the Neovim that started it
+						M.server_port = nil
+						vim.notify("Terreno: server is gone, run the command again to restart it", vim.log.levels.WARN)
+					end
+					return
+				end
+
+				local ok, result = pcall(vim.fn.json_decode, table.concat(response, ""))
+				if ok and type(result) == "table" then
+					M.session_id = result.session
+				end
 				vim.notify("Terreno: connected to server", vim.log.levels.INFO)
 				if callback then
-					vim.schedule(callback)
+					callback()
 				end
-			end
+			end)
 		end,
 	})
 end
@@ -154,38 +308,104 @@ M.navigate_to = function(filepath, line)
 	end)
 end
 
---- Send document symbols for a specific file (called by server for range detection)
+--- Get document symbols for a specific file (called by server for range detection)
 ---@param filepath string Full path to file
+---@param callback function Callback with (symbols: table[])
+M.file_symbols = function(filepath, callback)
+	-- Open the file in a buffer (hidden) to get LSP symbols
+	local bufnr = vim.fn.bufadd(filepath)
+	vim.fn.bufload(bufnr)
+
+	lsp.get_document_symbols(bufnr, callback)
+end
+
+--- Remember the server's RPC channel (called by server via RPC when it attaches)
+---@param channel number
+M.set_server_channel = function(channel)
+	M.server_channel = channel
+end
+
+--- Send an RPC notification to the server on its channel
+---@param method string
+---@param payload any
+local function notify_server(method, payload)
+	if not M.server_channel then
+		return
+	end
+	local ok = pcall(vim.rpcnotify, M.server_channel, method, payload)
+	if not ok then
+		-- Server went away; it sets the channel again when it re-attaches
+		M.server_channel = nil
+	end
+end
+
+--- Push the editor cursor to the browser (follow mode)
+--- Sent as an RPC notification: this fires on cursor moves and must stay cheap.
+---@param cursor table { filepath: string, line: number, symbol: table|nil }
+M.send_cursor = function(cursor)
+	notify_server("terreno_cursor", cursor)
+end
+
+--- Tell the server a file was saved, so its cached LSP results are dropped
+---@param filepath string
+M.notify_file_saved = function(filepath)
+	notify_server("terreno_invalidate", filepath)
+end
+
+--- Server requests being served (request_id -> context, see terreno.lsp.run_in_context)
+local requests = {}
+
+--- Run an async Terreno function on behalf of the server (called via RPC)
+--- The function is called with `args` followed by a callback, and the value passed
+--- to that callback is sent back as a `terreno_result` notification on `channel`.
+--- `nargs` keeps the callback in its place when some arguments are nil, where `#args` stops.
+---@param channel number RPC channel of the server connection
 ---@param request_id string Unique request ID for matching response
-M.send_document_symbols = function(filepath, request_id)
-	if not M.server_port then
+---@param module_name string Module holding the function ("terreno" or "terreno.lsp")
+---@param fn_name string Function name
+---@param args table|nil Arguments for the function
+---@param nargs number|nil Number of arguments (default `args.n`, else `#args`)
+M.rpc_request = function(channel, request_id, module_name, fn_name, args, nargs)
+	local fn = require(module_name)[fn_name]
+	if type(fn) ~= "function" then
+		vim.rpcnotify(channel, "terreno_error", request_id, "unknown function " .. module_name .. "." .. fn_name)
 		return
 	end
 
-	-- Open the file in a buffer (hidden) to get LSP symbols
-	local bufnr = vim.fn.bufadd(filepath)
-	vim.fn.bufload(bufnr)
+	local ctx = { cancelled = false, cancels = {} }
+	requests[request_id] = ctx
 
-	lsp.get_document_symbols(bufnr, function(symbols)
-		local url = M.config.server_url .. ":" .. M.server_port .. "/api/symbols"
-		local data = vim.fn.json_encode({
-			request_id = request_id,
-			filepath = filepath,
-			symbols = symbols,
-		})
-
-		vim.fn.jobstart({
-			"curl",
-			"-s",
-			"-X",
-			"POST",
-			"-H",
-			"Content-Type: application/json",
-			"-d",
-			data,
-			url,
-		})
-	end)
+	args = args or {}
+	local n = nargs or args.n or #args
+	local call_args = {}
+	for i = 1, n do
+		-- null from the server arrives as vim.NIL
+		if args[i] ~= vim.NIL then
+			call_args[i] = args[i]
+		end
+	end
+	call_args[n + 1] = function(result)
+		requests[request_id] = nil
+		if not ctx.cancelled then
+			vim.rpcnotify(channel, "terreno_result", request_id, result)
+		end
+	end
+
+	local ok, err = pcall(lsp.run_in_context, ctx, fn, unpack(call_args, 1, n + 1))
+	if not ok then
+		requests[request_id] = nil
+		vim.rpcnotify(channel, "terreno_error", request_id, tostring(err))
+	end
+end
+
+--- Cancel a request the server no longer needs (aborted or timed out)
+---@param request_id string
+M.cancel_request = function(request_id)
+	local ctx = requests[request_id]
+	if ctx then
+		requests[request_id] = nil
+		lsp.cancel_context(ctx)
+	end
 end
 
 --- Get code snippet around a line
@@ -220,18 +440,20 @@ M.get_code_snippet = function(filepath, line, context)
 	return lines
 end
 
---- Send a graph to the server
----@param graph table { nodes: table[], edges: table[] }
-M.send_graph = function(graph)
-	if not M.server_port then
-		vim.notify("Terreno: server not running", vim.log.levels.ERROR)
-		return
+--- POST a JSON payload to a server endpoint, tagged with our session ID
+---@param endpoint string API path, e.g. "/api/graph"
+---@param payload table Data to encode as JSON
+---@param on_exit function|nil Called with (code: number, response: table|nil) when the request finishes
+local function post_json(endpoint, payload, on_exit)
+	local url = M.config.server_url .. ":" .. M.server_port .. endpoint
+	if M.session_id then
+		url = url .. "?session=" .. M.session_id
 	end
-	local url = M.config.server_url .. ":" .. M.server_port .. "/api/graph"
-	local json = vim.fn.json_encode(graph)
+	local json = vim.fn.json_encode(payload)
 
 	-- Write JSON to temp file to avoid "argument list too long" error
-	local tmpfile = "/tmp/terreno_graph.json"
+	-- (unique per call so several Neovim instances don't clobber each other)
+	local tmpfile = vim.fn.tempname() .. ".json"
 	local f = io.open(tmpfile, "w")
 	if f then
 		f:write(json)
@@ -241,6 +463,7 @@ M.send_graph = function(graph)
 		return
 	end
 
+	local output = {}
 	vim.fn.jobstart({
 		"curl",
 		"-s",
@@ -248,22 +471,233 @@ M.send_graph = function(graph)
 		"POST",
 		"-H",
 		"Content-Type: application/json",
+		"-H",
+		token_header(),
 		"-d",
 		"@" .. tmpfile,
 		url,
 	}, {
+		stdout_buffered = true,
+		on_stdout = function(_, data)
+			output = data
+		end,
 		on_exit = function(_, code)
-			if code == 0 then
-				vim.notify("Terreno: graph sent", vim.log.levels.INFO)
-			else
-				vim.notify("Terreno: failed to send graph", vim.log.levels.ERROR)
-			end
 			-- Clean up temp file
 			os.remove(tmpfile)
+			if on_exit then
+				local ok, response = pcall(vim.fn.json_decode, table.concat(output, ""))
+				vim.schedule(function()
+					on_exit(code, ok and type(response) == "table" and response or nil)
+				end)
+			end
 		end,
 	})
 end
 
+--- Send a graph to the server
+---@param graph table { nodes: table[], edges: table[] }
+M.send_graph = function(graph)
+	if not M.server_port then
+		vim.notify("Terreno: server not running", vim.log.levels.ERROR)
+		return
+	end
+
+	-- Base for incremental updates in watch mode
+	require("terreno.watch").set_graph(graph)
+
+	post_json("/api/graph", graph, function(code)
+		if code == 0 then
+			vim.notify("Terreno: graph sent", vim.log.levels.INFO)
+		else
+			vim.notify("Terreno: failed to send graph", vim.log.levels.ERROR)
+		end
+	end)
+end
+
+--- Send an incremental graph update (watch mode) to the server
+---@param diff table { file: string, symbols: table, nodes: table, edges: table }
+M.send_graph_diff = function(diff)
+	if not M.server_port then
+		return
+	end
+
+	post_json("/api/graph/diff", diff, function(code)
+		if code ~= 0 then
+			vim.notify("Terreno: failed to send graph update", vim.log.levels.WARN)
+		end
+	end)
+end
+
+--- Fill the quickfix list with the import cycles of the graph, one entry per import
+M.show_cycles = function()
+	if not M.server_port then
+		vim.notify("Terreno: server not running", vim.log.levels.ERROR)
+		return
+	end
+
+	post_json("/api/cycles", {}, function(code, response)
+		if code ~= 0 or not response or response.status ~= "ok" then
+			local message = response and response.message or "request failed"
+			vim.notify("Terreno: cycles failed: " .. message, vim.log.levels.ERROR)
+			return
+		end
+
+		local items = {}
+		for i, cycle in ipairs(response.cycles) do
+			local names = {}
+			for _, file in ipairs(cycle.path) do
+				table.insert(names, vim.fn.fnamemodify(file, ":t"))
+			end
+			local chain = table.concat(names, " -> ")
+
+			for j, import in ipairs(cycle.imports) do
+				local closes = j == #cycle.imports and ", closes the cycle" or ""
+				table.insert(items, {
+					filename = import.source,
+					lnum = type(import.line) == "number" and import.line or 1,
+					text = "Cycle "
+						.. i
+						.. ": imports "
+						.. vim.fn.fnamemodify(import.target, ":~:.")
+						.. closes
+						.. " ("
+						.. chain
+						.. ")",
+				})
+			end
+		end
+
+		vim.fn.setqflist({}, " ", { title = "Terreno: import cycles", items = items })
+		if #response.cycles == 0 then
+			vim.notify("Terreno: no import cycles", vim.log.levels.INFO)
+		else
+			vim.notify("Terreno: " .. #response.cycles .. " import cycle(s), see :copen", vim.log.levels.WARN)
+		end
+	end)
+end
+
+--- Show what the working tree changed since a git ref on the graph (`:Terreno diff`)
+--- The server compares with where HEAD forked from `ref`, so a branch shows only its own changes.
+---@param ref string|nil Git ref (default HEAD), or "off" to hide the changes
+M.show_changes = function(ref)
+	if not M.server_port then
+		vim.notify("Terreno: server not running", vim.log.levels.ERROR)
+		return
+	end
+
+	local off = ref == "off"
+	post_json("/api/changes", { ref = off and vim.NIL or ref or "HEAD" }, function(code, response)
+		if code ~= 0 or not response or response.status ~= "ok" then
+			local message = response and response.message or "request failed"
+			vim.notify("Terreno: diff failed: " .. message, vim.log.levels.ERROR)
+			return
+		end
+		if off then
+			vim.notify("Terreno: diff hidden", vim.log.levels.INFO)
+			return
+		end
+
+		local counts = response.counts
+		local total = counts.added + counts.modified + counts.deleted + counts.renamed
+		vim.notify(
+			string.format(
+				"Terreno: %d file(s) changed since %s (%d added, %d modified, %d deleted, %d renamed)",
+				total,
+				response.ref,
+				counts.added,
+				counts.modified,
+				counts.deleted,
+				counts.renamed
+			),
+			vim.log.levels.INFO
+		)
+	end)
+end
+
+--- Export formats supported by `:Terreno export`
+M.export_formats = { "svg", "png", "mermaid", "dot", "json" }
+
+--- Export the graph shown in the browser (or the last one sent) to a file
+---@param format string One of M.export_formats
+---@param path string|nil Output path, relative to cwd (default terreno-graph.<ext>)
+M.export_graph = function(format, path)
+	if not vim.tbl_contains(M.export_formats, format or "") then
+		vim.notify(
+			"Terreno: export format must be one of " .. table.concat(M.export_formats, ", "),
+			vim.log.levels.WARN
+		)
+		return
+	end
+	if not M.server_port then
+		vim.notify("Terreno: server not running", vim.log.levels.ERROR)
+		return
+	end
+
+	post_json("/api/export", {
+		format = format,
+		path = path and vim.fn.fnamemodify(vim.fn.expand(path), ":p") or nil,
+	}, function(code, response)
+		if code == 0 and response and response.status == "ok" then
+			vim.notify("Terreno: exported " .. format .. " to " .. response.path, vim.log.levels.INFO)
+		else
+			local message = response and response.message or "request failed"
+			vim.notify("Terreno: export failed: " .. message, vim.log.levels.ERROR)
+		end
+	end)
+end
+
+--- Names of the views saved in the current working directory
+---@return string[]
+M.list_views = function()
+	local files = vim.fn.glob(vim.fn.getcwd() .. "/.terreno/views/*.json", false, true)
+	local names = {}
+	for _, file in ipairs(files) do
+		table.insert(names, vim.fn.fnamemodify(file, ":t:r"))
+	end
+	table.sort(names)
+	return names
+end
+
+--- Save, load or list named views (graph layout, collapsed nodes, viewport)
+---@param action string "save", "load" or "list"
+---@param name string|nil View name (required for save and load)
+M.view = function(action, name)
+	if action == "list" then
+		local names = M.list_views()
+		if #names == 0 then
+			vim.notify("Terreno: no saved views", vim.log.levels.INFO)
+		else
+			vim.notify("Terreno: views: " .. table.concat(names, ", "), vim.log.levels.INFO)
+		end
+		return
+	end
+	if action ~= "save" and action ~= "load" then
+		vim.notify("Terreno: view action must be save, load or list", vim.log.levels.WARN)
+		return
+	end
+	if not name or name == "" then
+		vim.notify("Terreno: view name required", vim.log.levels.WARN)
+		return
+	end
+	if not M.server_port then
+		vim.notify("Terreno: server not running", vim.log.levels.ERROR)
+		return
+	end
+
+	local endpoint = action == "save" and "/api/views" or "/api/views/load"
+	post_json(endpoint, { name = name }, function(code, response)
+		if code == 0 and response and response.status == "ok" then
+			vim.notify(
+				"Terreno: " .. (action == "save" and "saved" or "loaded") .. " view " .. name,
+				vim.log.levels.INFO
+			)
+		else
+			local message = response and response.message or "request failed"
+			vim.notify("Terreno: view " .. action .. " failed: " .. message, vim.log.levels.ERROR)
+		end
+	end)
+end
+
 --- Send current buffer symbols to the server (via LSP)
 M.send_buffer = function()
 	local bufnr = vim.api.nvim_get_current_buf()
@@ -299,10 +733,52 @@ M.send_workspace = function(query)
 	end)
 end
 
+--- Send the import graph of the whole project (tree-sitter, no LSP needed)
+---@param dir string|nil Project root (default cwd)
+M.send_project = function(dir)
+	local root = dir and vim.fn.fnamemodify(vim.fn.expand(dir), ":p:h") or nil
+	local graph = require("terreno.scanner").scan_project(root)
+	if #graph.nodes == 0 then
+		vim.notify("Terreno: no source files found", vim.log.levels.WARN)
+		return
+	end
+
+	-- Report imports that point nowhere instead of guessing a target
+	if #graph.unresolved > 0 then
+		local items = {}
+		for _, item in ipairs(graph.unresolved) do
+			table.insert(items, {
+				filename = item.filepath,
+				lnum = item.line,
+				text = "Unresolved import: " .. item.import,
+			})
+		end
+		vim.fn.setqflist({}, " ", { title = "Terreno: unresolved imports", items = items })
+		vim.notify("Terreno: " .. #items .. " unresolved import(s), see :copen", vim.log.levels.WARN)
+	end
+
+	-- Hundreds of files: let the browser cluster them by directory
+	graph.layout = "clustered"
+	M.send_graph(graph)
+end
+
+--- Call hierarchy directions accepted by `:Terreno calls`
+M.call_directions = { "outgoing", "incoming", "both" }
+
 --- Send call hierarchy graph from cursor position
----@param depth number|nil Max depth to explore (default 3)
-M.send_calls = function(depth)
+---@param depth number|string|nil Max depth to explore (default 3)
+---@param direction string|nil "outgoing" (callees, default), "incoming" (callers) or "both"
+M.send_calls = function(depth, direction)
+	-- Allow `:Terreno calls incoming [depth]`
+	if depth and not tonumber(depth) then
+		depth, direction = direction, depth
+	end
 	depth = tonumber(depth) or 3
+	direction = direction or "outgoing"
+	if not vim.tbl_contains(M.call_directions, direction) then
+		vim.notify("Terreno: unknown direction '" .. direction .. "' (outgoing, incoming, both)", vim.log.levels.ERROR)
+		return
+	end
 	local bufnr = vim.api.nvim_get_current_buf()
 
 	lsp.prepare_call_hierarchy(bufnr, function(item)
@@ -313,7 +789,7 @@ M.send_calls = function(depth)
 
 		vim.notify("Terreno: building call graph for " .. item.name .. "...", vim.log.levels.INFO)
 
-		lsp.build_call_graph(item, depth, function(nodes, edges)
+		lsp.build_call_graph(item, depth, direction, function(nodes, edges)
 			if #nodes == 0 then
 				vim.notify("Terreno: no calls found", vim.log.levels.WARN)
 				return
@@ -326,4 +802,27 @@ M.send_calls = function(depth)
 	end)
 end
 
+--- Send the type hierarchy (supertypes and subtypes) of the class / interface at the cursor
+---@param depth number|string|nil Max depth in each direction (default 3)
+M.send_types = function(depth)
+	depth = tonumber(depth) or 3
+	local bufnr = vim.api.nvim_get_current_buf()
+	local params = vim.lsp.util.make_position_params()
+
+	lsp.prepare_type_hierarchy(bufnr, params, function(item)
+		if not item then
+			vim.notify("Terreno: no type at cursor (or LSP doesn't support type hierarchy)", vim.log.levels.WARN)
+			return
+		end
+
+		vim.notify("Terreno: building type hierarchy for " .. item.name .. "...", vim.log.levels.INFO)
+
+		lsp.build_type_graph(item, depth, function(nodes, edges)
+			vim.notify("Terreno: found " .. #nodes .. " types", vim.log.levels.INFO)
+			-- Supertypes above subtypes
+			M.send_graph({ nodes = nodes, edges = edges, layout = "hierarchy" })
+		end)
+	end)
+end
+
 return M
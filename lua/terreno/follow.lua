@@ -0,0 +1,147 @@
+local lsp = require("terreno.lsp")
+
+local M = {}
+
+-- Wait this long after the cursor stops before pushing an update
+local DEBOUNCE_MS = 150
+
+-- Document symbols per buffer, refreshed when the buffer changes
+-- bufnr -> { tick: number, symbols: table[] }
+local symbols_cache = {}
+
+-- Last file/symbol pushed, to skip updates that change nothing
+local last_key = nil
+local tick = 0
+local augroup = nil
+
+--- Whether follow mode is enabled
+---@return boolean
+M.is_enabled = function()
+	return augroup ~= nil
+end
+
+--- Find the innermost symbol whose range contains a line
+---@param symbols table[] Flattened symbols (see lsp.flatten_symbols)
+---@param line number Line number (1-indexed)
+---@return table|nil symbol
+M.find_enclosing_symbol = function(symbols, line)
+	local best = nil
+	for _, sym in ipairs(symbols) do
+		if sym.line <= line and sym.end_line >= line then
+			if not best or (sym.end_line - sym.line) < (best.end_line - best.line) then
+				best = sym
+			end
+		end
+	end
+	return best
+end
+
+--- Get document symbols for a buffer, cached until it changes
+---@param bufnr number
+---@param callback function Callback with (symbols: table[])
+local function get_symbols(bufnr, callback)
+	local changedtick = vim.api.nvim_buf_get_changedtick(bufnr)
+	local cached = symbols_cache[bufnr]
+	if cached and cached.tick == changedtick then
+		callback(cached.symbols)
+		return
+	end
+
+	-- No LSP (help, terminals, plain text): nothing to match, and no warning spam
+	if not lsp.has_client(bufnr) then
+		callback({})
+		return
+	end
+
+	lsp.get_document_symbols(bufnr, function(symbols)
+		symbols_cache[bufnr] = { tick = changedtick, symbols = symbols }
+		callback(symbols)
+	end)
+end
+
+--- Push the current file and enclosing symbol to the server
+local function push_cursor()
+	local bufnr = vim.api.nvim_get_current_buf()
+	local filepath = vim.api.nvim_buf_get_name(bufnr)
+	if filepath == "" or vim.bo[bufnr].buftype ~= "" then
+		return
+	end
+
+	local line = vim.api.nvim_win_get_cursor(0)[1]
+
+	get_symbols(bufnr, function(symbols)
+		local sym = M.find_enclosing_symbol(symbols, line)
+		local key = filepath .. (sym and (":" .. sym.line .. ":" .. sym.name) or "")
+		if key == last_key then
+			return
+		end
+		last_key = key
+
+		require("terreno").send_cursor({
+			filepath = filepath,
+			line = line,
+			symbol = sym and {
+				name = sym.name,
+				full_name = sym.full_name,
+				kind = sym.kind_name,
+				line = sym.line,
+				end_line = sym.end_line,
+			} or nil,
+		})
+	end)
+end
+
+--- Debounce cursor events
+local function schedule_push()
+	tick = tick + 1
+	local current = tick
+	vim.defer_fn(function()
+		if current == tick then
+			push_cursor()
+		end
+	end, DEBOUNCE_MS)
+end
+
+--- Start pushing the editor cursor to the browser
+M.enable = function()
+	augroup = vim.api.nvim_create_augroup("TerrenoFollow", { clear = true })
+	last_key = nil
+
+	vim.api.nvim_create_autocmd({ "CursorMoved", "BufEnter" }, {
+		group = augroup,
+		callback = schedule_push,
+	})
+
+	vim.api.nvim_create_autocmd("BufWipeout", {
+		group = augroup,
+		callback = function(args)
+			symbols_cache[args.buf] = nil
+		end,
+	})
+
+	schedule_push()
+end
+
+--- Stop pushing the editor cursor
+M.disable = function()
+	if augroup then
+		vim.api.nvim_del_augroup_by_id(augroup)
+		augroup = nil
+	end
+	symbols_cache = {}
+	last_key = nil
+end
+
+--- Toggle follow mode
+---@param state string|nil "on", "off" or nil to toggle
+M.toggle = function(state)
+	local enable = state == "on" or (state ~= "off" and not M.is_enabled())
+	if enable then
+		M.enable()
+	else
+		M.disable()
+	end
+	vim.notify("Terreno: follow mode " .. (enable and "on" or "off"), vim.log.levels.INFO)
+end
+
+return M
@@ -0,0 +1,83 @@
+local lsp = require("terreno.lsp")
+local scanner = require("terreno.scanner")
+
+local M = {}
+
+--- Graph kinds the headless CLI (app/cli.js) can build
+M.kinds = { "project", "workspace", "buffer" }
+
+-- How often to check whether the LSP attached to the entry file
+local LSP_POLL_MS = 100
+
+--- Open a file and wait until an LSP client is attached to it
+---@param filepath string
+---@param timeout number Milliseconds to wait for the LSP
+---@param callback function Called with (bufnr) or (nil, error message)
+local function open_with_lsp(filepath, timeout, callback)
+	if vim.fn.filereadable(filepath) == 0 then
+		callback(nil, "file not found: " .. filepath)
+		return
+	end
+
+	vim.cmd.edit(vim.fn.fnameescape(filepath))
+	local bufnr = vim.api.nvim_get_current_buf()
+	local waited = 0
+
+	local function poll()
+		if lsp.has_client(bufnr) then
+			callback(bufnr)
+		elseif waited >= timeout then
+			callback(nil, "no LSP attached to " .. filepath .. " after " .. timeout .. "ms")
+		else
+			waited = waited + LSP_POLL_MS
+			vim.defer_fn(poll, LSP_POLL_MS)
+		end
+	end
+	poll()
+end
+
+--- Build a graph the way the matching `:Terreno` command does, without a server
+--- Called by app/cli.js through `rpc_request`; failures are reported as `{ error = message }`.
+---@param kind string "project", "workspace" or "buffer"
+---@param opts table { root: string?, entry: string?, lsp_timeout: number? }
+---@param callback function Called with the graph
+M.build = function(kind, opts, callback)
+	opts = opts or {}
+	local root = vim.fs.normalize(opts.root or vim.fn.getcwd())
+
+	if kind == "project" then
+		local graph = scanner.scan_project(root)
+		graph.layout = "clustered"
+		callback(graph)
+		return
+	end
+
+	if kind ~= "workspace" and kind ~= "buffer" then
+		callback({ error = "unknown graph kind: " .. tostring(kind) })
+		return
+	end
+
+	if not opts.entry then
+		callback({ error = kind .. " graphs need an entry file" })
+		return
+	end
+
+	open_with_lsp(vim.fn.fnamemodify(opts.entry, ":p"), opts.lsp_timeout or 20000, function(bufnr, err)
+		if not bufnr then
+			callback({ error = err })
+			return
+		end
+
+		if kind == "workspace" then
+			lsp.build_workspace_call_graph("", callback)
+			return
+		end
+
+		local filepath = vim.api.nvim_buf_get_name(bufnr)
+		lsp.get_document_symbols(bufnr, function(symbols)
+			callback(lsp.symbols_to_graph(symbols, vim.fn.fnamemodify(filepath, ":t"), filepath))
+		end)
+	end)
+end
+
+return M
@@ -0,0 +1,311 @@
+local resolver = require("terreno.resolver")
+
+local M = {}
+
+---@class TerrenoLanguage
+---@field extensions string[] File extensions, with the dot (".go")
+---@field imports string|nil Tree-sitter query capturing each import as @import
+---@field symbols string|nil Tree-sitter query capturing definitions: @name and @class, @function, @method...
+---@field resolve fun(ctx: table, imp: string, file: table): string|string[]|nil, string Import -> project file(s) and status
+
+-- Language adapters by name, which is also the tree-sitter parser used for the files
+---@type table<string, TerrenoLanguage>
+local adapters = {}
+
+-- Adapter names in registration order: later adapters win extensions claimed twice
+local order = {}
+
+-- Extension -> adapter name
+local by_extension = {}
+
+local js_imports = [[
+    (import_statement
+      source: (string) @import)
+    (export_statement
+      source: (string) @import)
+    (call_expression
+      function: (import)
+      arguments: (arguments (string) @import))
+    (call_expression
+      function: (identifier) @fn (#eq? @fn "require")
+      arguments: (arguments (string) @import))
+  ]]
+
+local ts_symbols = [[
+    (class_declaration name: (type_identifier) @name) @class
+    (interface_declaration name: (type_identifier) @name) @interface
+    (function_declaration name: (identifier) @name) @function
+    (method_definition name: (property_identifier) @name) @method
+    (variable_declarator
+      name: (identifier) @name
+      value: [(arrow_function) (function_expression)]) @function
+  ]]
+
+local include_imports = [[
+    (preproc_include path: [(string_literal) (system_lib_string)] @import)
+  ]]
+
+-- Adapters shipped with Terreno
+local defaults = {
+	python = {
+		extensions = { ".py" },
+		-- `from . import name` is captured whole: the names are the modules
+		imports = [[
+    (import_statement
+      name: (dotted_name) @import)
+    (import_statement
+      name: (aliased_import name: (dotted_name) @import))
+    (import_from_statement
+      module_name: (dotted_name) @import)
+    (import_from_statement
+      module_name: (relative_import (dotted_name)) @import)
+    (import_from_statement
+      module_name: (relative_import (import_prefix) .)) @import
+  ]],
+		symbols = [[
+    (class_definition name: (identifier) @name) @class
+    (function_definition name: (identifier) @name) @function
+  ]],
+		resolve = resolver.resolve_python,
+	},
+	javascript = {
+		extensions = { ".js", ".jsx" },
+		imports = js_imports,
+		symbols = [[
+    (class_declaration name: (identifier) @name) @class
+    (function_declaration name: (identifier) @name) @function
+    (method_definition name: (property_identifier) @name) @method
+    (variable_declarator
+      name: (identifier) @name
+      value: [(arrow_function) (function_expression)]) @function
+  ]],
+		resolve = resolver.resolve_js,
+	},
+	typescript = {
+		extensions = { ".ts" },
+		imports = js_imports,
+		symbols = ts_symbols,
+		resolve = resolver.resolve_js,
+	},
+	tsx = {
+		extensions = { ".tsx" },
+		imports = js_imports,
+		symbols = ts_symbols,
+		resolve = resolver.resolve_js,
+	},
+	lua = {
+		extensions = { ".lua" },
+		imports = [[
+    (function_call
+      name: (identifier) @fn (#eq? @fn "require")
+      arguments: (arguments (string) @import))
+  ]],
+		symbols = [[
+    (function_declaration name: (_) @name) @function
+    (assignment_statement
+      (variable_list (_) @name)
+      (expression_list (function_definition))) @function
+  ]],
+		resolve = resolver.resolve_lua,
+	},
+	go = {
+		extensions = { ".go" },
+		imports = [[
+    (import_spec path: (interpreted_string_literal) @import)
+  ]],
+		symbols = [[
+    (function_declaration name: (identifier) @name) @function
+    (method_declaration name: (field_identifier) @name) @method
+    (type_spec name: (type_identifier) @name type: (struct_type)) @struct
+    (type_spec name: (type_identifier) @name type: (interface_type)) @interface
+  ]],
+		resolve = resolver.resolve_go,
+	},
+	rust = {
+		extensions = { ".rs" },
+		-- `mod foo;` is captured whole to tell it from `use foo`
+		imports = [[
+    (use_declaration argument: (_) @import)
+    (mod_item !body) @import
+  ]],
+		symbols = [[
+    (function_item name: (identifier) @name) @function
+    (struct_item name: (type_identifier) @name) @struct
+    (enum_item name: (type_identifier) @name) @enum
+    (trait_item name: (type_identifier) @name) @interface
+  ]],
+		resolve = resolver.resolve_rust,
+	},
+	ruby = {
+		extensions = { ".rb" },
+		imports = [[
+    (call
+      method: (identifier) @fn (#eq? @fn "require_relative")
+      arguments: (argument_list (string (string_content) @import)))
+  ]],
+		symbols = [[
+    (class name: (_) @name) @class
+    (module name: (_) @name) @module
+    (method name: (_) @name) @method
+    (singleton_method name: (_) @name) @method
+  ]],
+		resolve = resolver.resolve_ruby,
+	},
+	java = {
+		extensions = { ".java" },
+		imports = [[
+    (import_declaration (scoped_identifier) @import)
+  ]],
+		symbols = [[
+    (class_declaration name: (identifier) @name) @class
+    (interface_declaration name: (identifier) @name) @interface
+    (enum_declaration name: (identifier) @name) @enum
+    (method_declaration name: (identifier) @name) @method
+  ]],
+		resolve = resolver.resolve_jvm,
+	},
+	kotlin = {
+		extensions = { ".kt", ".kts" },
+		imports = [[
+    (import_header (identifier) @import)
+  ]],
+		symbols = [[
+    (class_declaration (type_identifier) @name) @class
+    (object_declaration (type_identifier) @name) @class
+    (function_declaration (simple_identifier) @name) @function
+  ]],
+		resolve = resolver.resolve_jvm,
+	},
+	c = {
+		extensions = { ".c", ".h" },
+		imports = include_imports,
+		symbols = [[
+    (function_definition
+      declarator: (function_declarator declarator: (identifier) @name)) @function
+    (struct_specifier name: (type_identifier) @name body: (field_declaration_list)) @struct
+    (enum_specifier name: (type_identifier) @name body: (enumerator_list)) @enum
+  ]],
+		resolve = resolver.resolve_include,
+	},
+	cpp = {
+		extensions = { ".cpp", ".cc", ".cxx", ".hpp", ".hh", ".hxx" },
+		imports = include_imports,
+		symbols = [[
+    (function_definition
+      declarator: (function_declarator declarator: (_) @name)) @function
+    (class_specifier name: (type_identifier) @name body: (field_declaration_list)) @class
+    (struct_specifier name: (type_identifier) @name body: (field_declaration_list)) @struct
+    (namespace_definition name: (_) @name) @module
+  ]],
+		resolve = resolver.resolve_include,
+	},
+	css = {
+		extensions = { ".css" },
+		imports = [[
+    (import_statement (string_value) @import)
+    (import_statement (call_expression (arguments (string_value) @import)))
+  ]],
+		resolve = resolver.resolve_stylesheet,
+	},
+	scss = {
+		extensions = { ".scss" },
+		imports = [[
+    (import_statement (string_value) @import)
+    (use_statement (string_value) @import)
+    (forward_statement (string_value) @import)
+  ]],
+		resolve = resolver.resolve_stylesheet,
+	},
+}
+
+-- Registration order of the defaults
+local default_order = {
+	"python",
+	"javascript",
+	"typescript",
+	"tsx",
+	"lua",
+	"go",
+	"rust",
+	"ruby",
+	"java",
+	"kotlin",
+	"c",
+	"cpp",
+	"css",
+	"scss",
+}
+
+local function rebuild_extensions()
+	by_extension = {}
+	for _, name in ipairs(order) do
+		for _, ext in ipairs(adapters[name].extensions or {}) do
+			by_extension[ext] = name
+		end
+	end
+end
+
+--- Add a language adapter, change fields of a registered one, or remove it with `false`
+---@param name string Tree-sitter parser of the language
+---@param adapter TerrenoLanguage|table|false Fields to set (all of them for a new language)
+M.register = function(name, adapter)
+	if adapter == false then
+		adapters[name] = nil
+		order = vim.tbl_filter(function(n)
+			return n ~= name
+		end, order)
+	elseif adapters[name] then
+		adapters[name] = vim.tbl_extend("force", adapters[name], adapter)
+	else
+		vim.validate({
+			extensions = { adapter.extensions, "table" },
+			imports = { adapter.imports, "string", true },
+			symbols = { adapter.symbols, "string", true },
+			resolve = { adapter.resolve, "function", true },
+		})
+		adapters[name] = adapter
+		table.insert(order, name)
+	end
+	rebuild_extensions()
+end
+
+--- Register the adapters given to `setup({ languages = ... })`
+---@param languages table<string, TerrenoLanguage|table|false>|nil
+M.setup = function(languages)
+	local names = vim.tbl_keys(languages or {})
+	table.sort(names)
+	for _, name in ipairs(names) do
+		M.register(name, languages[name])
+	end
+end
+
+--- Adapter of a language
+---@param name string
+---@return TerrenoLanguage|nil
+M.get = function(name)
+	return adapters[name]
+end
+
+--- Language of a source file, from its extension
+---@param path string File path or name
+---@return string|nil name
+M.for_path = function(path)
+	local ext = path:match("(%.[^./]+)$")
+	return ext and by_extension[ext] or nil
+end
+
+--- Extensions of every registered language, without the dot
+---@return string[]
+M.extensions = function()
+	local list = vim.tbl_map(function(ext)
+		return ext:sub(2)
+	end, vim.tbl_keys(by_extension))
+	table.sort(list)
+	return list
+end
+
+for _, name in ipairs(default_order) do
+	M.register(name, defaults[name])
+end
+
+return M
@@ -1,3 +1,5 @@
+local scanner = require("terreno.scanner")
+
 local M = {}
 
 -- LSP Symbol kinds (from LSP spec)
@@ -36,6 +38,67 @@ for name, kind in pairs(SymbolKind) do
 	SymbolKindName[kind] = name
 end
 
+-- Server request being served, set by `terreno.rpc_request`: { cancelled, cancels }
+-- LSP requests and deferred work started on its behalf inherit it, so the
+-- server can cancel them once the browser no longer needs the answer.
+M.request_context = nil
+
+--- Run fn with a request context active
+---@param ctx table|nil
+---@param fn function
+local function with_context(ctx, fn, ...)
+	local previous = M.request_context
+	M.request_context = ctx
+	local ok, err = pcall(fn, ...)
+	M.request_context = previous
+	if not ok then
+		error(err, 0)
+	end
+end
+
+--- vim.lsp.buf_request on behalf of the current server request (dropped once it is cancelled)
+local function buf_request(bufnr, method, params, handler)
+	local ctx = M.request_context
+	if ctx and ctx.cancelled then
+		return
+	end
+	local _, cancel = vim.lsp.buf_request(bufnr, method, params, function(...)
+		if not (ctx and ctx.cancelled) then
+			with_context(ctx, handler, ...)
+		end
+	end)
+	if ctx and cancel then
+		table.insert(ctx.cancels, cancel)
+	end
+end
+
+--- vim.defer_fn on behalf of the current server request
+local function defer(fn, timeout)
+	local ctx = M.request_context
+	vim.defer_fn(function()
+		if not (ctx and ctx.cancelled) then
+			with_context(ctx, fn)
+		end
+	end, timeout)
+end
+
+--- Run a function for a server request: LSP work it starts can be cancelled
+---@param ctx table { cancelled: boolean, cancels: function[] }
+---@param fn function
+M.run_in_context = function(ctx, fn, ...)
+	with_context(ctx, fn, ...)
+end
+
+--- Cancel the LSP requests of a server request; its callbacks will not run
+---@param ctx table
+M.cancel_context = function(ctx)
+	ctx.cancelled = true
+	for _, cancel in ipairs(ctx.cancels) do
+		pcall(cancel)
+	end
+	ctx.cancels = {}
+end
+
 --- Check if LSP client is available for buffer
 ---@param bufnr number Buffer number
 ---@return boolean
@@ -58,7 +121,7 @@ M.get_document_symbols = function(bufnr, callback)
 
 	local params = { textDocument = vim.lsp.util.make_text_document_params(bufnr) }
 
-	vim.lsp.buf_request(bufnr, "textDocument/documentSymbol", params, function(err, result)
+	buf_request(bufnr, "textDocument/documentSymbol", params, function(err, result)
 		if err or not result then
 			callback({})
 			return
@@ -131,7 +194,7 @@ M.get_workspace_symbols = function(query, callback)
 
 	local params = { query = query }
 
-	vim.lsp.buf_request(bufnr, "workspace/symbol", params, function(err, result)
+	buf_request(bufnr, "workspace/symbol", params, function(err, result)
 		if err or not result then
 			callback({})
 			return
@@ -178,7 +241,7 @@ M.prepare_call_hierarchy = function(bufnr, callback)
 
 	local params = vim.lsp.util.make_position_params()
 
-	vim.lsp.buf_request(bufnr, "textDocument/prepareCallHierarchy", params, function(err, result)
+	buf_request(bufnr, "textDocument/prepareCallHierarchy", params, function(err, result)
 		if err or not result or #result == 0 then
 			callback(nil)
 			return
@@ -187,13 +250,23 @@ M.prepare_call_hierarchy = function(bufnr, callback)
 	end)
 end
 
+--- Load the buffer of a call hierarchy item, so requests go to its LSP client
+---@param item table Call hierarchy item
+---@return number bufnr
+local function item_buffer(item)
+	if item.uri then
+		local bufnr = vim.fn.bufadd(vim.uri_to_fname(item.uri))
+		vim.fn.bufload(bufnr)
+		return bufnr
+	end
+	return vim.api.nvim_get_current_buf()
+end
+
 --- Get incoming calls (who calls this function)
 ---@param item table Call hierarchy item
 ---@param callback function Callback with (calls: table[])
 M.get_incoming_calls = function(item, callback)
-	local bufnr = vim.api.nvim_get_current_buf()
-
-	vim.lsp.buf_request(bufnr, "callHierarchy/incomingCalls", { item = item }, function(err, result)
+	buf_request(item_buffer(item), "callHierarchy/incomingCalls", { item = item }, function(err, result)
 		if err or not result then
 			callback({})
 			return
@@ -207,22 +280,10 @@ end
 ---@param bufnr number|nil Buffer number (optional, uses item.uri if not provided)
 ---@param callback function Callback with (calls: table[])
 M.get_outgoing_calls = function(item, bufnr, callback)
-	-- Support old signature (item, callback)
-	if type(bufnr) == "function" then
-		callback = bufnr
-		bufnr = nil
-	end
-
 	-- Get buffer from item uri if not provided
-	if not bufnr and item.uri then
-		local filepath = vim.uri_to_fname(item.uri)
-		bufnr = vim.fn.bufadd(filepath)
-		vim.fn.bufload(bufnr)
-	end
+	bufnr = bufnr or item_buffer(item)
 
-	bufnr = bufnr or vim.api.nvim_get_current_buf()
-
-	vim.lsp.buf_request(bufnr, "callHierarchy/outgoingCalls", { item = item }, function(err, result)
+	buf_request(bufnr, "callHierarchy/outgoingCalls", { item = item }, function(err, result)
 		if err or not result then
 			callback({})
 			return
@@ -231,61 +292,149 @@ M.get_outgoing_calls = function(item, bufnr, callback)
 	end)
 end
 
---- Build call graph recursively (outgoing calls)
+--- Build a `symbol` node (rendered by SymbolNode) for a call or type hierarchy item
+--- The id is "<filepath>:<line>", the source id `expand_node` uses for its edges.
+---@param item table Call / type hierarchy item
+---@param cwd string
+---@return table node
+local function hierarchy_item_node(item, cwd)
+	local filepath = item.uri and vim.uri_to_fname(item.uri) or ""
+	local range = item.range
+	local line = range and (range.start.line + 1) or 0
+
+	-- Position prepareCallHierarchy on the name when it starts the definition line
+	local col = range and (range.start.character + 1) or 5
+	local selection = item.selectionRange
+	if range and selection and selection.start.line == range.start.line then
+		col = selection.start.character + 1
+	end
+
+	local rel_path = filepath
+	if filepath:sub(1, #cwd + 1) == cwd .. "/" then
+		rel_path = filepath:sub(#cwd + 2)
+	end
+
+	return {
+		id = filepath .. ":" .. line,
+		type = "symbol",
+		data = {
+			label = item.name,
+			filepath = filepath,
+			file = filepath ~= "" and vim.fn.fnamemodify(filepath, ":t") or "",
+			path = rel_path,
+			line = line,
+			end_line = range and (range["end"].line + 1) or nil,
+			col = col,
+			kind = SymbolKindName[item.kind] or "Function",
+			expandable = true,
+		},
+		position = { x = 0, y = 0 },
+	}
+end
+
+--- Get the calls of an item in one or both directions
+--- Each result is { item, direction }: the caller ("incoming") or callee ("outgoing").
+---@param item table Call hierarchy item
+---@param direction string "outgoing", "incoming" or "both"
+---@param callback function Callback with (calls: table[])
+local function get_calls(item, direction, callback)
+	local results = {}
+	local pending = direction == "both" and 2 or 1
+
+	local function done()
+		pending = pending - 1
+		if pending == 0 then
+			callback(results)
+		end
+	end
+
+	if direction == "incoming" or direction == "both" then
+		M.get_incoming_calls(item, function(calls)
+			for _, call in ipairs(calls) do
+				table.insert(results, { item = call.from, direction = "incoming" })
+			end
+			done()
+		end)
+	end
+	if direction == "outgoing" or direction == "both" then
+		M.get_outgoing_calls(item, nil, function(calls)
+			for _, call in ipairs(calls) do
+				table.insert(results, { item = call.to, direction = "outgoing" })
+			end
+			done()
+		end)
+	end
+end
+
+--- Edge between a symbol and one of its calls: always caller -> callee
+---@param id string Symbol node id
+---@param other_id string Caller / callee node id
+---@param direction string "incoming" (other calls id) or "outgoing" (id calls other)
+---@return table edge
+local function call_edge(id, other_id, direction)
+	local source, target = id, other_id
+	if direction == "incoming" then
+		source, target = other_id, id
+	end
+	return {
+		id = "e_" .. source .. "_" .. target,
+		source = source,
+		target = target,
+		data = { direction = direction },
+	}
+end
+
+--- Build call graph recursively
+--- Callers are followed transitively upwards and callees downwards; with "both"
+--- the starting symbol gets both and each side keeps its own direction.
 ---@param item table Starting call hierarchy item
 ---@param depth number Max depth to explore
+---@param direction string|nil "outgoing" (default), "incoming" or "both"
 ---@param callback function Callback with (nodes: table[], edges: table[])
-M.build_call_graph = function(item, depth, callback)
+M.build_call_graph = function(item, depth, direction, callback)
+	direction = direction or "outgoing"
 	local nodes = {}
 	local edges = {}
 	local visited = {}
+	local seen_edges = {}
 	local pending = 0
+	local cwd = vim.fn.getcwd()
+
+	local function add_edge(edge)
+		if not seen_edges[edge.id] then
+			seen_edges[edge.id] = true
+			table.insert(edges, edge)
+		end
+	end
 
-	local function add_node(call_item, level, parent_id)
-		local id = call_item.name .. "_" .. (call_item.range and call_item.range.start.line or 0)
+	local function add_node(call_item, level, parent_id, node_direction)
+		local node = hierarchy_item_node(call_item, cwd)
+		local id = node.id
 
+		if parent_id then
+			add_edge(call_edge(parent_id, id, node_direction))
+		end
 		if visited[id] then
-			-- Just add edge if already visited
-			if parent_id then
-				table.insert(edges, {
-					id = "e_" .. parent_id .. "_" .. id,
-					source = parent_id,
-					target = id,
-				})
-			end
 			return
 		end
 		visited[id] = true
 
-		local uri = call_item.uri
-		local filepath = uri and vim.uri_to_fname(uri) or ""
-		local filename = filepath ~= "" and vim.fn.fnamemodify(filepath, ":t") or ""
-
-		table.insert(nodes, {
-			id = id,
-			data = {
-				label = call_item.name,
-				file = filename,
-				filepath = filepath,
-				line = call_item.range and (call_item.range.start.line + 1) or 0,
-			},
-			position = { x = level * 250, y = #nodes * 80 },
-		})
-
-		if parent_id then
-			table.insert(edges, {
-				id = "e_" .. parent_id .. "_" .. id,
-				source = parent_id,
-				target = id,
-			})
+		-- Callers go left, callees right
+		local side = node_direction == "incoming" and -1 or 1
+		node.position = { x = side * level * 250, y = #nodes * 80 }
+		-- Calls below the depth limit are fetched here, deeper ones on demand
+		if level < depth then
+			node.data.callers_expanded = node_direction == "incoming" or node_direction == "both"
+			node.data.callees_expanded = node_direction == "outgoing" or node_direction == "both"
 		end
+		table.insert(nodes, node)
 
 		-- Recurse if not at max depth
 		if level < depth then
 			pending = pending + 1
-			M.get_outgoing_calls(call_item, function(calls)
+			get_calls(call_item, node_direction, function(calls)
 				for _, call in ipairs(calls) do
-					add_node(call.to, level + 1, id)
+					add_node(call.item, level + 1, id, call.direction)
 				end
 				pending = pending - 1
 				if pending == 0 then
@@ -295,14 +444,12 @@ M.build_call_graph = function(item, depth, callback)
 		end
 	end
 
-	add_node(item, 0, nil)
+	add_node(item, 0, nil, direction)
 
 	-- If no async calls were made, callback immediately
-	vim.defer_fn(function()
-		if pending == 0 then
-			callback(nodes, edges)
-		end
-	end, 100)
+	if pending == 0 then
+		callback(nodes, edges)
+	end
 end
 
 --- Build workspace-wide call graph
@@ -367,11 +514,10 @@ local function is_project_file(filepath, cwd)
 	return true
 end
 
---- Get all project files (Python, JS, TS, Lua, etc.)
+--- Get all project files of the registered languages (see terreno.languages)
 local function get_project_files()
 	local cwd = vim.fn.getcwd()
-	local extensions = { "py", "js", "ts", "jsx", "tsx", "lua", "go", "rs", "rb" }
-	local pattern = "*.{" .. table.concat(extensions, ",") .. "}"
+	local pattern = "*.{" .. table.concat(require("terreno.languages").extensions(), ",") .. "}"
 
 	local files = vim.fn.globpath(cwd, "**/" .. pattern, false, true)
 	local filtered = {}
@@ -386,17 +532,18 @@ end
 --- Follow imports using LSP definition (language agnostic)
 ---@param bufnr number Buffer number
 ---@param cwd string Current working directory
----@param callback function Callback with (filepaths: table)
+---@param callback function Callback with (filepaths: table, lines: table<string, number>) - line of each file's first import
 local function follow_imports_via_lsp(bufnr, cwd, callback)
 	local lines = vim.api.nvim_buf_get_lines(bufnr, 0, 100, false) -- First 100 lines
 	local found_files = {}
+	local import_lines = {}
 	local seen = {}
 	local pending = 0
 	local started = false
 
 	local function finish()
 		if started and pending == 0 then
-			callback(found_files)
+			callback(found_files, import_lines)
 		end
 	end
 
@@ -428,7 +575,7 @@ local function follow_imports_via_lsp(bufnr, cwd, callback)
 						position = { line = lnum - 1, character = col - 1 },
 					}
 
-					vim.lsp.buf_request(bufnr, "textDocument/definition", params, function(err, result)
+					buf_request(bufnr, "textDocument/definition", params, function(err, result)
 						pending = pending - 1
 
 						if not err and result then
@@ -441,6 +588,7 @@ local function follow_imports_via_lsp(bufnr, cwd, callback)
 									-- Only include project files
 									if is_project_file(def_path, cwd) and not seen[def_path] then
 										seen[def_path] = true
+										import_lines[def_path] = lnum
 										table.insert(found_files, def_path)
 										debug_log("import resolved: " .. word .. " -> " .. def_path)
 									end
@@ -457,7 +605,7 @@ local function follow_imports_via_lsp(bufnr, cwd, callback)
 
 	started = true
 	if pending == 0 then
-		callback(found_files)
+		callback(found_files, import_lines)
 	end
 end
 
@@ -469,7 +617,7 @@ local function get_file_functions(filepath, cwd, callback)
 	local bufnr = vim.fn.bufadd(filepath)
 	vim.fn.bufload(bufnr)
 
-	vim.defer_fn(function()
+	defer(function()
 		local clients = vim.lsp.get_clients({ bufnr = bufnr })
 		if #clients == 0 then
 			callback({})
@@ -478,7 +626,7 @@ local function get_file_functions(filepath, cwd, callback)
 
 		local params = { textDocument = { uri = vim.uri_from_fname(filepath) } }
 
-		vim.lsp.buf_request(bufnr, "textDocument/documentSymbol", params, function(err, result)
+		buf_request(bufnr, "textDocument/documentSymbol", params, function(err, result)
 			local functions = {}
 
 			if not err and result then
@@ -519,7 +667,7 @@ local function get_file_symbols(filepath, cwd, callback)
 	local bufnr = vim.fn.bufadd(filepath)
 	vim.fn.bufload(bufnr)
 
-	vim.defer_fn(function()
+	defer(function()
 		local clients = vim.lsp.get_clients({ bufnr = bufnr })
 		if #clients == 0 then
 			callback({})
@@ -528,7 +676,7 @@ local function get_file_symbols(filepath, cwd, callback)
 
 		local params = { textDocument = { uri = vim.uri_from_fname(filepath) } }
 
-		vim.lsp.buf_request(bufnr, "textDocument/documentSymbol", params, function(err, result)
+		buf_request(bufnr, "textDocument/documentSymbol", params, function(err, result)
 			local symbols = {}
 
 			if not err and result then
@@ -549,6 +697,29 @@ local function get_file_symbols(filepath, cwd, callback)
 	end, 50)
 end
 
+--- Make a `file` node (the format FileNode renders) for a file and its symbols
+---@param file string Full path to file
+---@param cwd string
+---@param symbols table[] Symbols from get_file_symbols
+---@return table node
+local function make_file_node(file, cwd, symbols)
+	local rel_path = file
+	if file:sub(1, #cwd) == cwd then
+		rel_path = file:sub(#cwd + 2)
+	end
+
+	return {
+		id = file,
+		type = "file",
+		data = {
+			filepath = file,
+			filename = vim.fn.fnamemodify(file, ":t"),
+			path = rel_path,
+			symbols = symbols,
+		},
+	}
+end
+
 --- Build file-based graph (Nogic style)
 ---@param callback function Callback with (graph: table)
 M.build_file_graph = function(callback)
@@ -566,7 +737,7 @@ M.build_file_graph = function(callback)
 	debug_log("building file graph from: " .. filepath)
 
 	-- Follow imports to find related files
-	follow_imports_via_lsp(bufnr, cwd, function(imported_files)
+	follow_imports_via_lsp(bufnr, cwd, function(imported_files, import_lines)
 		debug_log("found " .. #imported_files .. " imported files via LSP")
 
 		local all_files = { filepath }
@@ -596,22 +767,7 @@ M.build_file_graph = function(callback)
 					return
 				end
 
-				local rel_path = file
-				if file:sub(1, #cwd) == cwd then
-					rel_path = file:sub(#cwd + 2)
-				end
-
-				local node_id = file
-				table.insert(nodes, {
-					id = node_id,
-					type = "file",
-					data = {
-						filepath = file,
-						filename = vim.fn.fnamemodify(file, ":t"),
-						path = rel_path,
-						symbols = symbols,
-					},
-				})
+				table.insert(nodes, make_file_node(file, cwd, symbols))
 
 				-- Create edge from main file to imported files
 				if file ~= filepath then
@@ -619,6 +775,7 @@ M.build_file_graph = function(callback)
 						id = "e_" .. filepath .. "_" .. file,
 						source = filepath,
 						target = file,
+						data = { line = import_lines[file] },
 					})
 				end
 
@@ -736,7 +893,7 @@ M._legacy_build_workspace_call_graph = function(query, callback)
 
 			debug_log("prepareCallHierarchy for: " .. func.name .. " at " .. func.filepath .. ":" .. func.line)
 
-			vim.lsp.buf_request(bufnr, "textDocument/prepareCallHierarchy", params, function(err, result)
+			buf_request(bufnr, "textDocument/prepareCallHierarchy", params, function(err, result)
 				if err then
 					debug_log("  ERROR: " .. vim.inspect(err))
 				end
@@ -801,15 +958,15 @@ M._legacy_build_workspace_call_graph = function(query, callback)
 	end)
 end
 
---- Expand a single node - get its outgoing calls
+--- Expand a single node - get its callers and / or callees
 ---@param filepath string
 ---@param line number
 ---@param col number
----@param request_id string
-M.expand_node = function(filepath, line, col, request_id)
-	debug_log(
-		"expand_node called: " .. filepath .. ":" .. line .. " col=" .. (col or "nil") .. " request_id=" .. request_id
-	)
+---@param direction string|nil "outgoing" (default), "incoming" or "both"
+---@param callback function Callback with (result: { nodes: table[], edges: table[] })
+M.expand_node = function(filepath, line, col, direction, callback)
+	direction = direction or "outgoing"
+	debug_log("expand_node called: " .. filepath .. ":" .. line .. " col=" .. (col or "nil") .. " " .. direction)
 	local cwd = vim.fn.getcwd()
 	local bufnr = vim.fn.bufadd(filepath)
 	vim.fn.bufload(bufnr)
@@ -824,7 +981,7 @@ M.expand_node = function(filepath, line, col, request_id)
 	local clients = vim.lsp.get_clients({ bufnr = bufnr })
 	debug_log("LSP clients for buffer: " .. #clients)
 
-	vim.lsp.buf_request(bufnr, "textDocument/prepareCallHierarchy", params, function(err, result)
+	buf_request(bufnr, "textDocument/prepareCallHierarchy", params, function(err, result)
 		local new_nodes = {}
 		local new_edges = {}
 		local source_id = filepath .. ":" .. line
@@ -836,138 +993,241 @@ M.expand_node = function(filepath, line, col, request_id)
 
 		if err or not result or #result == 0 then
 			-- Send empty result
-			M.send_expand_result(request_id, new_nodes, new_edges)
+			callback({ nodes = new_nodes, edges = new_edges })
 			return
 		end
 
 		local item = result[1]
-		M.get_outgoing_calls(item, function(calls)
+		get_calls(item, direction, function(calls)
 			for _, call in ipairs(calls) do
-				local target_name = call.to.name
-				local target_uri = call.to.uri
-				local target_line = call.to.range and (call.to.range.start.line + 1) or 0
-				local target_col = call.to.range and (call.to.range.start.character + 1) or 5
-				local target_filepath = vim.uri_to_fname(target_uri)
-				local target_id = target_filepath .. ":" .. target_line
-
-				-- Only include calls to project files (not dependencies)
-				if is_project_file(target_filepath, cwd) then
-					local rel_path = target_filepath:sub(#cwd + 2)
-
-					table.insert(new_nodes, {
-						id = target_id,
-						data = {
-							label = target_name,
-							filepath = target_filepath,
-							file = vim.fn.fnamemodify(target_filepath, ":t"),
-							path = rel_path,
-							line = target_line,
-							col = target_col,
-							kind = "Function",
-							expandable = true,
-						},
-						position = { x = 0, y = 0 }, -- Frontend will position
-					})
+				local node = hierarchy_item_node(call.item, cwd)
 
-					if target_id ~= source_id then
-						table.insert(new_edges, {
-							id = "e_" .. source_id .. "_" .. target_id,
-							source = source_id,
-							target = target_id,
-						})
+				-- Only include calls from / to project files (not dependencies)
+				if is_project_file(node.data.filepath, cwd) then
+					table.insert(new_nodes, node)
+
+					if node.id ~= source_id then
+						table.insert(new_edges, call_edge(source_id, node.id, call.direction))
 					end
 				end
 			end
 
-			M.send_expand_result(request_id, new_nodes, new_edges)
+			debug_log("expand_node done: " .. #new_nodes .. " nodes, " .. #new_edges .. " edges")
+			callback({ nodes = new_nodes, edges = new_edges })
 		end)
 	end)
 end
 
+--- LSP position of a symbol name on its line (requests need the cursor on the name)
+---@param bufnr number Loaded buffer
+---@param line number 1-based line
+---@param name string|nil Symbol name
+---@return table position 0-based { line, character }
+local function name_position(bufnr, line, name)
+	local text = vim.api.nvim_buf_get_lines(bufnr, line - 1, line, false)[1] or ""
+	local col = name and text:find(name, 1, true)
+	return { line = line - 1, character = col and (col - 1) or 5 }
+end
+
+--- Prepare the type hierarchy item at a position
+---@param bufnr number Buffer number
+---@param params table TextDocumentPositionParams
+---@param callback function Callback with (item: table|nil)
+M.prepare_type_hierarchy = function(bufnr, params, callback)
+	if #vim.lsp.get_clients({ bufnr = bufnr, method = "textDocument/prepareTypeHierarchy" }) == 0 then
+		callback(nil)
+		return
+	end
+
+	buf_request(bufnr, "textDocument/prepareTypeHierarchy", params, function(err, result)
+		if err or not result or #result == 0 then
+			callback(nil)
+			return
+		end
+		callback(result[1])
+	end)
+end
+
+--- Edge from a subtype to its supertype, labelled with the relation
+---@param sub table Subtype node
+---@param super table Supertype node
+---@return table edge
+local function type_edge(sub, super)
+	local relation = "extends"
+	if super.data.kind == "Interface" and sub.data.kind ~= "Interface" then
+		relation = "implements"
+	end
+	return {
+		id = "e_" .. sub.id .. "_" .. super.id,
+		source = sub.id,
+		target = super.id,
+		label = relation,
+		data = { relation = relation },
+	}
+end
+
+--- Build the inheritance graph of a type: supertypes followed upwards,
+--- subtypes downwards. Types outside the project are shown but not followed.
+---@param item table Starting type hierarchy item
+---@param depth number Max depth in each direction
+---@param callback function Callback with (nodes: table[], edges: table[])
+M.build_type_graph = function(item, depth, callback)
+	local nodes = {}
+	local edges = {}
+	local visited = {}
+	local seen_edges = {}
+	local pending = 0
+	local cwd = vim.fn.getcwd()
+
+	local function add_node(type_item, level, method)
+		local node = hierarchy_item_node(type_item, cwd)
+		if not visited[node.id] then
+			visited[node.id] = node
+			node.data.expandable = false
+			table.insert(nodes, node)
+
+			if level < depth and is_project_file(node.data.filepath, cwd) then
+				local methods = method and { method } or { "typeHierarchy/supertypes", "typeHierarchy/subtypes" }
+				for _, m in ipairs(methods) do
+					pending = pending + 1
+					buf_request(item_buffer(type_item), m, { item = type_item }, function(err, result)
+						for _, related in ipairs((not err and result) or {}) do
+							local other = add_node(related, level + 1, m)
+							local sub, super = other, node
+							if m == "typeHierarchy/supertypes" then
+								sub, super = node, other
+							end
+							local edge = type_edge(sub, super)
+							if not seen_edges[edge.id] then
+								seen_edges[edge.id] = true
+								table.insert(edges, edge)
+							end
+						end
+						pending = pending - 1
+						if pending == 0 then
+							callback(nodes, edges)
+						end
+					end)
+				end
+			end
+		end
+		return visited[node.id]
+	end
+
+	add_node(item, 0, nil)
+
+	if pending == 0 then
+		callback(nodes, edges)
+	end
+end
+
+--- Type hierarchy graph of the class / interface declared at filepath:line
+---@param filepath string
+---@param line number Line of the type name
+---@param name string|nil Type name, used to find the column
+---@param callback function Callback with (result: { nodes: table[], edges: table[] })
+M.get_type_hierarchy = function(filepath, line, name, callback)
+	local bufnr = vim.fn.bufadd(filepath)
+	vim.fn.bufload(bufnr)
+
+	local params = {
+		textDocument = { uri = vim.uri_from_fname(filepath) },
+		position = name_position(bufnr, line, name),
+	}
+
+	M.prepare_type_hierarchy(bufnr, params, function(item)
+		if not item then
+			callback({ nodes = {}, edges = {} })
+			return
+		end
+		M.build_type_graph(item, 3, function(nodes, edges)
+			callback({ nodes = nodes, edges = edges })
+		end)
+	end)
+end
+
+--- Innermost symbol whose range contains a line
+---@param symbols table[] Symbols with line / end_line (scanner.get_symbols)
+---@param line number
+---@return table|nil symbol
+local function enclosing_symbol(symbols, line)
+	local best
+	for _, sym in ipairs(symbols) do
+		if sym.line <= line and line <= sym.end_line and (not best or sym.line >= best.line) then
+			best = sym
+		end
+	end
+	return best
+end
+
 --- Find references for a symbol using LSP
+--- Enclosing symbols come from tree-sitter, so files need not be attached to the LSP.
 ---@param filepath string
 ---@param line number
----@param request_id string
-M.find_references = function(filepath, line, request_id)
-	debug_log("find_references called: " .. filepath .. ":" .. line .. " request_id=" .. request_id)
+---@param name string|nil Symbol name, used to place the cursor on it
+---@param callback function Callback with (references: { filepath, line, col, symbol: { name, kind, line }|nil }[])
+M.find_references = function(filepath, line, name, callback)
+	debug_log("find_references called: " .. filepath .. ":" .. line)
 	local cwd = vim.fn.getcwd()
 
 	local bufnr = vim.fn.bufadd(filepath)
 	vim.fn.bufload(bufnr)
 
-	vim.defer_fn(function()
+	defer(function()
 		local clients = vim.lsp.get_clients({ bufnr = bufnr })
 		if #clients == 0 then
 			debug_log("No LSP clients for references")
-			M.send_references_result(request_id, {})
+			callback({})
 			return
 		end
 
 		local params = {
 			textDocument = { uri = vim.uri_from_fname(filepath) },
-			position = { line = line - 1, character = 5 },
+			position = name_position(bufnr, line, name),
 			context = { includeDeclaration = true },
 		}
 
-		vim.lsp.buf_request(bufnr, "textDocument/references", params, function(err, result)
+		buf_request(bufnr, "textDocument/references", params, function(err, result)
 			if err or not result then
 				debug_log("References error or empty: " .. vim.inspect(err))
-				M.send_references_result(request_id, {})
+				callback({})
 				return
 			end
 
-			local files = {}
-			local seen = {}
+			local references = {}
+			local file_symbols = {}
 
 			for _, ref in ipairs(result) do
-				local uri = ref.uri
-				if uri then
-					local ref_path = vim.uri_to_fname(uri)
-					-- Only include project files
-					if is_project_file(ref_path, cwd) and not seen[ref_path] then
-						seen[ref_path] = true
-						table.insert(files, ref_path)
+				local ref_path = ref.uri and vim.uri_to_fname(ref.uri)
+				-- Only include project files
+				if ref_path and is_project_file(ref_path, cwd) then
+					if not file_symbols[ref_path] then
+						local filetype = scanner.get_filetype(ref_path)
+						file_symbols[ref_path] = filetype and scanner.get_symbols(ref_path, filetype) or {}
 					end
+
+					local ref_line = ref.range.start.line + 1
+					local symbol = enclosing_symbol(file_symbols[ref_path], ref_line)
+					table.insert(references, {
+						filepath = ref_path,
+						line = ref_line,
+						col = ref.range.start.character + 1,
+						symbol = symbol and { name = symbol.name, kind = symbol.kind, line = symbol.line } or nil,
+					})
 				end
 			end
 
-			debug_log("find_references found " .. #files .. " files")
-			M.send_references_result(request_id, files)
+			debug_log("find_references found " .. #references .. " references")
+			callback(references)
 		end)
 	end, 50)
 end
 
---- Send references result to server
-M.send_references_result = function(request_id, files)
-	debug_log("send_references_result: " .. request_id .. " files=" .. #files)
-	local terreno = require("terreno")
-	if not terreno.server_port then
-		return
-	end
-	local url = terreno.config.server_url .. ":" .. terreno.server_port .. "/api/expand-result"
-	local data = vim.fn.json_encode({
-		request_id = request_id,
-		files = files,
-	})
-
-	vim.fn.jobstart({
-		"curl",
-		"-s",
-		"-X",
-		"POST",
-		"-H",
-		"Content-Type: application/json",
-		"-d",
-		data,
-		url,
-	})
-end
-
 --- Expand a file's imports - get what this file depends on
 ---@param filepath string
----@param request_id string
-M.expand_file_imports = function(filepath, request_id)
-	debug_log("expand_file_imports called: " .. filepath .. " request_id=" .. request_id)
+---@param callback function Callback with (result: { nodes: table[], edges: table[] })
+M.expand_file_imports = function(filepath, callback)
+	debug_log("expand_file_imports called: " .. filepath)
 	local cwd = vim.fn.getcwd()
 
 	-- Load the file buffer
@@ -975,11 +1235,11 @@ M.expand_file_imports = function(filepath, request_id)
 	vim.fn.bufload(bufnr)
 
 	-- Wait for LSP to attach
-	vim.defer_fn(function()
+	defer(function()
 		local clients = vim.lsp.get_clients({ bufnr = bufnr })
 		if #clients == 0 then
 			debug_log("No LSP clients for buffer")
-			M.send_expand_result(request_id, {}, {})
+			callback({ nodes = {}, edges = {} })
 			return
 		end
 
@@ -991,7 +1251,7 @@ M.expand_file_imports = function(filepath, request_id)
 			local pending = #imported_files
 
 			if pending == 0 then
-				M.send_expand_result(request_id, nodes, {})
+				callback({ nodes = nodes, edges = {} })
 				return
 			end
 
@@ -1004,30 +1264,16 @@ M.expand_file_imports = function(filepath, request_id)
 						debug_log("skipping empty file: " .. file)
 						if pending == 0 then
 							debug_log("expand_file_imports done: " .. #nodes .. " nodes")
-							M.send_expand_result(request_id, nodes, {})
+							callback({ nodes = nodes, edges = {} })
 						end
 						return
 					end
 
-					local rel_path = file
-					if file:sub(1, #cwd) == cwd then
-						rel_path = file:sub(#cwd + 2)
-					end
-
-					table.insert(nodes, {
-						id = file,
-						type = "file",
-						data = {
-							filepath = file,
-							filename = vim.fn.fnamemodify(file, ":t"),
-							path = rel_path,
-							symbols = symbols,
-						},
-					})
+					table.insert(nodes, make_file_node(file, cwd, symbols))
 
 					if pending == 0 then
 						debug_log("expand_file_imports done: " .. #nodes .. " nodes")
-						M.send_expand_result(request_id, nodes, {})
+						callback({ nodes = nodes, edges = {} })
 					end
 				end)
 			end
@@ -1035,31 +1281,37 @@ M.expand_file_imports = function(filepath, request_id)
 	end, 100)
 end
 
---- Send expand result to server
-M.send_expand_result = function(request_id, nodes, edges)
-	debug_log("send_expand_result: " .. request_id .. " nodes=" .. #nodes .. " edges=" .. #edges)
-	local terreno = require("terreno")
-	if not terreno.server_port then
-		return
-	end
-	local url = terreno.config.server_url .. ":" .. terreno.server_port .. "/api/expand-result"
-	local data = vim.fn.json_encode({
-		request_id = request_id,
-		nodes = nodes,
-		edges = edges,
-	})
+--- Build the `file` node for a single file
+---@param filepath string
+---@param callback function Callback with (node: table|nil) - nil when the file has no symbols
+M.get_file_node = function(filepath, callback)
+	local cwd = vim.fn.getcwd()
+	get_file_symbols(filepath, cwd, function(symbols)
+		if #symbols == 0 then
+			callback(nil)
+			return
+		end
+		callback(make_file_node(filepath, cwd, symbols))
+	end)
+end
 
-	vim.fn.jobstart({
-		"curl",
-		"-s",
-		"-X",
-		"POST",
-		"-H",
-		"Content-Type: application/json",
-		"-d",
-		data,
-		url,
-	})
+--- Get the project files a file imports (resolved via LSP definitions)
+---@param filepath string
+---@param callback function Callback with (filepaths: string[], lines: table<string, number>)
+M.get_file_imports = function(filepath, callback)
+	local cwd = vim.fn.getcwd()
+	local bufnr = vim.fn.bufadd(filepath)
+	vim.fn.bufload(bufnr)
+
+	follow_imports_via_lsp(bufnr, cwd, function(imported_files, import_lines)
+		local files = {}
+		for _, file in ipairs(imported_files) do
+			if file ~= filepath then
+				table.insert(files, file)
+			end
+		end
+		callback(files, import_lines)
+	end)
 end
 
 --- Convert symbols to graph format for React Flow
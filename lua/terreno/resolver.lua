@@ -0,0 +1,877 @@
+local M = {}
+
+-- Extensions probed for extensionless JS/TS imports, in priority order
+local JS_EXTENSIONS = { ".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs" }
+
+-- package.json export conditions, in priority order
+local EXPORT_CONDITIONS = { "import", "module", "default", "require", "node", "types" }
+
+-- Source extensions of Java / Kotlin classes, in priority order
+local JVM_EXTENSIONS = { ".java", ".kt" }
+
+-- Build output directories whose sources usually live in src/
+local BUILD_DIRS = { dist = true, build = true, lib = true, out = true }
+
+--- Remove // and /* */ comments and trailing commas from JSON (tsconfig allows both)
+---@param text string
+---@return string
+M.strip_json_comments = function(text)
+	local out = {}
+	local i = 1
+	local len = #text
+	local in_string = false
+	-- A comma is only written once we know the next token is not } or ]
+	local pending_comma = false
+
+	while i <= len do
+		local c = text:sub(i, i)
+		if in_string then
+			table.insert(out, c)
+			if c == "\\" then
+				table.insert(out, text:sub(i + 1, i + 1))
+				i = i + 1
+			elseif c == '"' then
+				in_string = false
+			end
+		elseif text:sub(i, i + 1) == "//" then
+			local newline = text:find("\n", i, true)
+			i = (newline or len + 1) - 1
+		elseif text:sub(i, i + 1) == "/*" then
+			local close = text:find("*/", i + 2, true)
+			i = (close or len) + 1
+		elseif c == "," then
+			pending_comma = true
+		elseif c:match("%s") then
+			table.insert(out, c)
+		else
+			if pending_comma and c ~= "}" and c ~= "]" then
+				table.insert(out, ",")
+			end
+			pending_comma = false
+			in_string = c == '"'
+			table.insert(out, c)
+		end
+		i = i + 1
+	end
+
+	return table.concat(out)
+end
+
+--- Read and decode a JSON file once per context
+---@param ctx table Resolver context
+---@param path string
+---@return table|nil
+local function read_json(ctx, path)
+	if ctx.json[path] ~= nil then
+		return ctx.json[path] or nil
+	end
+
+	local data = false
+	local file = io.open(path, "r")
+	if file then
+		local content = file:read("*all")
+		file:close()
+		local ok, decoded = pcall(vim.json.decode, M.strip_json_comments(content))
+		if ok and type(decoded) == "table" then
+			data = decoded
+		end
+	end
+
+	ctx.json[path] = data
+	return data or nil
+end
+
+--- Find the closest file with this name from dir up to the project root
+---@param ctx table
+---@param dir string
+---@param name string
+---@return string|nil path
+local function find_up(ctx, dir, name)
+	local key = name .. ":" .. dir
+	if ctx.found[key] ~= nil then
+		return ctx.found[key] or nil
+	end
+
+	local result = false
+	local candidate = dir .. "/" .. name
+	if vim.fn.filereadable(candidate) == 1 then
+		result = candidate
+	elseif dir ~= ctx.root and #dir > #ctx.root then
+		result = find_up(ctx, vim.fn.fnamemodify(dir, ":h"), name) or false
+	end
+
+	ctx.found[key] = result
+	return result or nil
+end
+
+--- Return the first candidate that is a scanned project file
+---@param ctx table
+---@param candidates string[]
+---@return string|nil
+local function first_file(ctx, candidates)
+	for _, candidate in ipairs(candidates) do
+		local normalized = vim.fs.normalize(vim.fn.simplify(candidate))
+		if ctx.files[normalized] then
+			return normalized
+		end
+	end
+	return nil
+end
+
+--- Probe a JS/TS module path: exact file, added extensions, index files,
+--- and .js -> .ts for TypeScript sources imported with their output extension
+---@param ctx table
+---@param base string Absolute path without extension
+---@return string|nil
+local function probe_js(ctx, base)
+	local candidates = { base }
+	for _, ext in ipairs(JS_EXTENSIONS) do
+		table.insert(candidates, base .. ext)
+	end
+	for _, ext in ipairs(JS_EXTENSIONS) do
+		table.insert(candidates, base .. "/index" .. ext)
+	end
+	local stem = base:match("^(.*)%.[mc]?js$")
+	if stem then
+		table.insert(candidates, stem .. ".ts")
+		table.insert(candidates, stem .. ".tsx")
+	end
+	return first_file(ctx, candidates)
+end
+
+--- Load a tsconfig.json / jsconfig.json with its `extends` chain
+---@param ctx table
+---@param path string
+---@param depth number|nil
+---@return table options { base_url: string|nil, paths: table, paths_dir: string }
+local function load_tsconfig(ctx, path, depth)
+	depth = depth or 0
+	local config = read_json(ctx, path) or {}
+	local dir = vim.fn.fnamemodify(path, ":h")
+	local options = { paths = {}, paths_dir = dir }
+
+	-- Relative `extends` only; package configs (e.g. @tsconfig/node20) have no paths
+	local extends = type(config.extends) == "string" and config.extends or nil
+	if extends and extends:match("^%.") and depth < 5 then
+		local parent = vim.fn.simplify(dir .. "/" .. extends)
+		if not parent:match("%.json$") then
+			parent = parent .. ".json"
+		end
+		options = load_tsconfig(ctx, parent, depth + 1)
+	end
+
+	local compiler = type(config.compilerOptions) == "table" and config.compilerOptions or {}
+	if type(compiler.baseUrl) == "string" then
+		options.base_url = vim.fn.simplify(dir .. "/" .. compiler.baseUrl)
+	end
+	if type(compiler.paths) == "table" then
+		options.paths = compiler.paths
+		options.paths_dir = dir
+	end
+	-- `paths` are relative to baseUrl when it is set
+	if options.base_url then
+		options.paths_dir = options.base_url
+	end
+
+	return options
+end
+
+--- tsconfig options that apply to a file (nearest tsconfig.json or jsconfig.json)
+---@param ctx table
+---@param filepath string
+---@return table|nil
+local function tsconfig_for(ctx, filepath)
+	local dir = vim.fn.fnamemodify(filepath, ":h")
+	local path = find_up(ctx, dir, "tsconfig.json") or find_up(ctx, dir, "jsconfig.json")
+	if not path then
+		return nil
+	end
+	if not ctx.tsconfigs[path] then
+		ctx.tsconfigs[path] = load_tsconfig(ctx, path)
+	end
+	return ctx.tsconfigs[path]
+end
+
+--- Match an import against a tsconfig `paths` pattern (one `*` wildcard)
+---@param pattern string
+---@param imp string
+---@return string|nil wildcard Text matched by `*` ("" for exact patterns)
+local function match_path_pattern(pattern, imp)
+	local star = pattern:find("*", 1, true)
+	if not star then
+		return pattern == imp and "" or nil
+	end
+	local prefix = pattern:sub(1, star - 1)
+	local suffix = pattern:sub(star + 1)
+	if #imp >= #prefix + #suffix and imp:sub(1, #prefix) == prefix and imp:sub(#imp - #suffix + 1) == suffix then
+		return imp:sub(#prefix + 1, #imp - #suffix)
+	end
+	return nil
+end
+
+--- Resolve a package.json entry target to a project source file
+--- Targets usually point at build output, so dist/ and friends are mapped back to src/.
+---@param ctx table
+---@param package_dir string
+---@param target string
+---@return string|nil
+local function resolve_package_target(ctx, package_dir, target)
+	local resolved = probe_js(ctx, package_dir .. "/" .. target)
+	if resolved then
+		return resolved
+	end
+
+	local first, rest = target:gsub("^%./", ""):match("^([^/]+)/(.*)$")
+	if first and BUILD_DIRS[first] then
+		return probe_js(ctx, package_dir .. "/src/" .. rest:gsub("%.d%.ts$", ""))
+	end
+	return nil
+end
+
+--- Pick a target from a package.json `exports` value (string, conditions or fallbacks)
+---@param value any
+---@return string|nil
+local function export_target(value)
+	if type(value) == "string" then
+		return value
+	end
+	if type(value) ~= "table" then
+		return nil
+	end
+	if vim.islist(value) then
+		for _, item in ipairs(value) do
+			local target = export_target(item)
+			if target then
+				return target
+			end
+		end
+		return nil
+	end
+	for _, condition in ipairs(EXPORT_CONDITIONS) do
+		if value[condition] ~= nil then
+			return export_target(value[condition])
+		end
+	end
+	return nil
+end
+
+--- Resolve a subpath ("." or "./sub") through a package.json `exports` field
+---@param exports any
+---@param subpath string
+---@return string|nil
+local function resolve_exports(exports, subpath)
+	-- Shorthands: "exports": "./index.js" or "exports": { "import": ... }
+	local is_subpath_map = type(exports) == "table" and not vim.islist(exports)
+	if is_subpath_map then
+		for key in pairs(exports) do
+			is_subpath_map = key:sub(1, 1) == "."
+			break
+		end
+	end
+	if not is_subpath_map then
+		return subpath == "." and export_target(exports) or nil
+	end
+
+	if exports[subpath] ~= nil then
+		return export_target(exports[subpath])
+	end
+	for pattern, value in pairs(exports) do
+		local wildcard = match_path_pattern(pattern, subpath)
+		if wildcard and wildcard ~= "" then
+			local target = export_target(value)
+			return target and (target:gsub("%*", wildcard, 1))
+		end
+	end
+	return nil
+end
+
+--- Packages defined inside the project (monorepo workspaces), by name
+---@param ctx table
+---@return table<string, string> name -> package directory
+local function workspace_packages(ctx)
+	if ctx.packages then
+		return ctx.packages
+	end
+
+	ctx.packages = {}
+	for dir in pairs(ctx.dirs) do
+		local path = find_up(ctx, dir, "package.json")
+		local package = path and read_json(ctx, path)
+		if package and type(package.name) == "string" then
+			ctx.packages[package.name] = vim.fn.fnamemodify(path, ":h")
+		end
+	end
+	return ctx.packages
+end
+
+--- Resolve a bare import ("pkg" or "@scope/pkg/sub") to a workspace package file
+---@param ctx table
+---@param imp string
+---@return string|nil path
+---@return boolean matched Whether the import names a workspace package
+local function resolve_workspace_package(ctx, imp)
+	local name, sub = imp:match("^(@[^/]+/[^/]+)(.*)$")
+	if not name then
+		name, sub = imp:match("^([^/]+)(.*)$")
+	end
+	local package_dir = name and workspace_packages(ctx)[name]
+	if not package_dir then
+		return nil, false
+	end
+
+	local package = read_json(ctx, package_dir .. "/package.json") or {}
+	local subpath = sub == "" and "." or "." .. sub
+
+	if package.exports ~= nil then
+		local target = resolve_exports(package.exports, subpath)
+		return target and resolve_package_target(ctx, package_dir, target), true
+	end
+
+	if subpath == "." then
+		for _, field in ipairs({ "module", "main" }) do
+			if type(package[field]) == "string" then
+				local resolved = resolve_package_target(ctx, package_dir, package[field])
+				if resolved then
+					return resolved, true
+				end
+			end
+		end
+		return probe_js(ctx, package_dir .. "/src/index") or probe_js(ctx, package_dir .. "/index"), true
+	end
+
+	return probe_js(ctx, package_dir .. sub) or probe_js(ctx, package_dir .. "/src" .. sub), true
+end
+
+--- Resolve a JavaScript / TypeScript import
+---@param ctx table
+---@param imp string
+---@param file table Importing file { path, filetype }
+---@return string|nil path
+---@return string status
+M.resolve_js = function(ctx, imp, file)
+	if imp:match("^%.") or imp:match("^/") then
+		local base = imp:match("^/") and imp or vim.fn.fnamemodify(file.path, ":h") .. "/" .. imp
+		local resolved = probe_js(ctx, base)
+		if resolved then
+			return resolved, "resolved"
+		end
+		-- Stylesheets, JSON, images...: real files, just not part of the graph
+		if vim.fn.filereadable(vim.fn.simplify(base)) == 1 then
+			return nil, "external"
+		end
+		return nil, "unresolved"
+	end
+
+	local tsconfig = tsconfig_for(ctx, file.path)
+	if tsconfig then
+		-- Like TypeScript, the pattern with the longest prefix wins
+		local best, best_wildcard
+		for pattern, targets in pairs(tsconfig.paths) do
+			local wildcard = match_path_pattern(pattern, imp)
+			if wildcard and type(targets) == "table" and (not best or #pattern > #best) then
+				best, best_wildcard = pattern, wildcard
+			end
+		end
+
+		if best then
+			for _, target in ipairs(tsconfig.paths[best]) do
+				local resolved = probe_js(ctx, tsconfig.paths_dir .. "/" .. target:gsub("%*", best_wildcard, 1))
+				if resolved then
+					return resolved, "resolved"
+				end
+			end
+			return nil, "unresolved"
+		end
+
+		if tsconfig.base_url then
+			local resolved = probe_js(ctx, tsconfig.base_url .. "/" .. imp)
+			if resolved then
+				return resolved, "resolved"
+			end
+		end
+	end
+
+	local resolved, matched = resolve_workspace_package(ctx, imp)
+	if resolved then
+		return resolved, "resolved"
+	end
+	return nil, matched and "unresolved" or "external"
+end
+
+--- Directories that contain top-level Python packages (or modules)
+---@param ctx table
+---@return string[]
+local function python_roots(ctx)
+	if ctx.python_roots then
+		return ctx.python_roots
+	end
+
+	local roots = { [ctx.root] = true }
+	if ctx.dirs[ctx.root .. "/src"] then
+		roots[ctx.root .. "/src"] = true
+	end
+	-- The parent of the outermost directory with an __init__.py is a root
+	for path in pairs(ctx.files) do
+		if path:match("/__init__%.py$") then
+			local dir = vim.fn.fnamemodify(path, ":h")
+			while ctx.files[vim.fn.fnamemodify(dir, ":h") .. "/__init__.py"] do
+				dir = vim.fn.fnamemodify(dir, ":h")
+			end
+			roots[vim.fn.fnamemodify(dir, ":h")] = true
+		end
+	end
+
+	ctx.python_roots = vim.tbl_keys(roots)
+	table.sort(ctx.python_roots)
+	return ctx.python_roots
+end
+
+--- Candidate files for a dotted module under a directory
+---@param dir string
+---@param dotted string
+---@return string[]
+local function python_candidates(dir, dotted)
+	if dotted == "" then
+		return { dir .. "/__init__.py" }
+	end
+	local rel = dotted:gsub("%.", "/")
+	return { dir .. "/" .. rel .. ".py", dir .. "/" .. rel .. "/__init__.py" }
+end
+
+--- Resolve a Python import (`pkg.mod` or relative `..mod`)
+--- `from . import a, b` comes whole and resolves to the submodules `a` and `b`,
+--- or to the package itself for names that are not modules.
+---@param ctx table
+---@param imp string
+---@param file table Importing file { path, filetype }
+---@return string|string[]|nil path
+---@return string status
+M.resolve_python = function(ctx, imp, file)
+	local from_dots, names = imp:match("^from%s+(%.+)%s+import%s+(.*)$")
+	local dots, dotted = imp:match("^(%.+)(.*)$")
+	dots = from_dots or dots
+	if dots then
+		local dir = vim.fn.fnamemodify(file.path, ":h")
+		for _ = 2, #dots do
+			dir = vim.fn.fnamemodify(dir, ":h")
+		end
+		if not names then
+			local resolved = first_file(ctx, python_candidates(dir, dotted))
+			return resolved, resolved and "resolved" or "unresolved"
+		end
+
+		local targets = {}
+		for _, name in ipairs(vim.split(names:gsub("[()]", ""), ",")) do
+			name = vim.trim(name):gsub("%s+as%s+[%w_]+$", "")
+			if name ~= "" then
+				local resolved = first_file(ctx, python_candidates(dir, name == "*" and "" or name))
+					or first_file(ctx, python_candidates(dir, ""))
+				if resolved and not vim.tbl_contains(targets, resolved) then
+					table.insert(targets, resolved)
+				end
+			end
+		end
+		return #targets > 0 and targets or nil, #targets > 0 and "resolved" or "unresolved"
+	end
+
+	local top = imp:match("^[^.]+")
+	local is_project_package = false
+	for _, root in ipairs(python_roots(ctx)) do
+		local resolved = first_file(ctx, python_candidates(root, imp))
+		if resolved then
+			return resolved, "resolved"
+		end
+		if first_file(ctx, python_candidates(root, top)) then
+			is_project_package = true
+		end
+	end
+
+	-- Missing module inside one of our packages vs. stdlib / site-packages
+	return nil, is_project_package and "unresolved" or "external"
+end
+
+--- Directories Lua modules are required from: the root and every `lua/` dir
+---@param ctx table
+---@return string[]
+local function lua_roots(ctx)
+	if ctx.lua_roots then
+		return ctx.lua_roots
+	end
+
+	local roots = { [ctx.root] = true }
+	for path in pairs(ctx.files) do
+		local lua_dir = path:match("^(.*/lua)/")
+		if lua_dir then
+			roots[lua_dir] = true
+		end
+	end
+
+	ctx.lua_roots = vim.tbl_keys(roots)
+	table.sort(ctx.lua_roots)
+	return ctx.lua_roots
+end
+
+--- Resolve a Lua `require` dot-path
+---@param ctx table
+---@param imp string
+---@return string|nil path
+---@return string status
+M.resolve_lua = function(ctx, imp)
+	local rel = imp:gsub("%.", "/")
+	local top = imp:match("^[^.]+")
+	local is_project_module = false
+
+	for _, root in ipairs(lua_roots(ctx)) do
+		local resolved = first_file(ctx, { root .. "/" .. rel .. ".lua", root .. "/" .. rel .. "/init.lua" })
+		if resolved then
+			return resolved, "resolved"
+		end
+		if root ~= ctx.root and (ctx.dirs[root .. "/" .. top] or ctx.files[root .. "/" .. top .. ".lua"]) then
+			is_project_module = true
+		end
+	end
+
+	-- Missing module in our own namespace vs. another plugin / Neovim runtime
+	return nil, is_project_module and "unresolved" or "external"
+end
+
+--- Index the scanned files and directories by basename, and the files by directory
+---@param ctx table
+local function index_paths(ctx)
+	if ctx.names then
+		return
+	end
+
+	ctx.names = {}
+	ctx.children = {}
+	for _, set in ipairs({ ctx.files, ctx.dirs }) do
+		for path in pairs(set) do
+			local dir, name = path:match("^(.*)/([^/]+)$")
+			ctx.names[name] = ctx.names[name] or {}
+			table.insert(ctx.names[name], path)
+			if set == ctx.files then
+				ctx.children[dir] = ctx.children[dir] or {}
+				table.insert(ctx.children[dir], path)
+			end
+		end
+	end
+	for _, index in ipairs({ ctx.names, ctx.children }) do
+		for _, paths in pairs(index) do
+			table.sort(paths)
+		end
+	end
+end
+
+--- First scanned path in `set` (ctx.files or ctx.dirs) ending with `/rel`
+---@param ctx table
+---@param rel string
+---@param set table<string, boolean>
+---@return string|nil
+local function find_suffix(ctx, rel, set)
+	index_paths(ctx)
+	local suffix = "/" .. rel
+	for _, path in ipairs(ctx.names[rel:match("[^/]+$")] or {}) do
+		if set[path] and path:sub(-#suffix) == suffix then
+			return path
+		end
+	end
+	return nil
+end
+
+--- Module path and directory of the go.mod governing a file
+---@param ctx table
+---@param filepath string
+---@return table|nil module { name: string, dir: string }
+local function go_module(ctx, filepath)
+	local path = find_up(ctx, vim.fn.fnamemodify(filepath, ":h"), "go.mod")
+	if not path then
+		return nil
+	end
+
+	if ctx.go_modules[path] == nil then
+		local name
+		local file = io.open(path, "r")
+		if file then
+			for line in file:lines() do
+				name = line:match('^%s*module%s+"?([^"%s]+)')
+				if name then
+					break
+				end
+			end
+			file:close()
+		end
+		ctx.go_modules[path] = name or false
+	end
+
+	local name = ctx.go_modules[path]
+	return name and { name = name, dir = vim.fn.fnamemodify(path, ":h") } or nil
+end
+
+--- Resolve a Go import path inside the current module
+--- Imports name a package (a directory), so the edge goes to the file named
+--- after the directory, else its first non-test file.
+---@param ctx table
+---@param imp string
+---@param file table Importing file { path, filetype }
+---@return string|nil path
+---@return string status
+M.resolve_go = function(ctx, imp, file)
+	local module = go_module(ctx, file.path)
+	if not module or (imp ~= module.name and imp:sub(1, #module.name + 1) ~= module.name .. "/") then
+		return nil, "external"
+	end
+
+	local dir = module.dir .. imp:sub(#module.name + 1)
+	local resolved = first_file(ctx, { dir .. "/" .. vim.fn.fnamemodify(dir, ":t") .. ".go" })
+	if not resolved then
+		index_paths(ctx)
+		for _, path in ipairs(ctx.children[dir] or {}) do
+			if path:match("%.go$") and not path:match("_test%.go$") then
+				resolved = path
+				break
+			end
+		end
+	end
+	return resolved, resolved and "resolved" or "unresolved"
+end
+
+--- Directory holding the submodules of a Rust file: foo.rs -> foo/, mod.rs, lib.rs and main.rs -> their directory
+---@param filepath string
+---@return string
+local function rust_module_dir(filepath)
+	local dir = vim.fn.fnamemodify(filepath, ":h")
+	local name = vim.fn.fnamemodify(filepath, ":t:r")
+	if name == "mod" or name == "lib" or name == "main" then
+		return dir
+	end
+	return dir .. "/" .. name
+end
+
+--- Resolve a Rust `mod foo;` declaration or a `use` path under `crate::`, `self::` or `super::`
+--- The edge goes to the longest prefix of the path that is a module file.
+---@param ctx table
+---@param imp string `use` argument (`crate::a::{b, c}`) or `mod` item text
+---@param file table Importing file { path, filetype }
+---@return string|nil path
+---@return string status
+M.resolve_rust = function(ctx, imp, file)
+	local mod = imp:match("mod%s+([%w_]+)%s*;$")
+	if mod then
+		local dir = rust_module_dir(file.path)
+		local resolved = first_file(ctx, { dir .. "/" .. mod .. ".rs", dir .. "/" .. mod .. "/mod.rs" })
+		return resolved, resolved and "resolved" or "unresolved"
+	end
+
+	-- `a::b as c`, `a::{b, c}` and `a::*` all import from module `a`
+	local path = imp:gsub("%s+as%s+[%w_]+$", ""):gsub("%s", ""):gsub("::{.*}$", ""):gsub("::%*$", "")
+	local segments = vim.split(path, "::", { plain = true })
+
+	-- Directory of the module the path starts from, and that module's own file
+	local base, module_file
+	if segments[1] == "crate" then
+		local manifest = find_up(ctx, vim.fn.fnamemodify(file.path, ":h"), "Cargo.toml")
+		if not manifest then
+			return nil, "unresolved"
+		end
+		base = vim.fn.fnamemodify(manifest, ":h") .. "/src"
+		module_file = first_file(ctx, { base .. "/lib.rs", base .. "/main.rs" })
+		table.remove(segments, 1)
+	elseif segments[1] == "self" or segments[1] == "super" then
+		base = rust_module_dir(file.path)
+		module_file = file.path
+		if segments[1] == "self" then
+			table.remove(segments, 1)
+		end
+		while segments[1] == "super" do
+			base = vim.fn.fnamemodify(base, ":h")
+			module_file = first_file(ctx, { base .. ".rs", base .. "/mod.rs", base .. "/lib.rs", base .. "/main.rs" })
+			table.remove(segments, 1)
+		end
+	else
+		-- std, core and dependencies
+		return nil, "external"
+	end
+
+	for n = #segments, 1, -1 do
+		local dir = table.concat({ base, unpack(segments, 1, n - 1) }, "/")
+		local resolved = first_file(ctx, { dir .. "/" .. segments[n] .. ".rs", dir .. "/" .. segments[n] .. "/mod.rs" })
+		if resolved then
+			return resolved, "resolved"
+		end
+	end
+	-- Items defined in the module itself
+	return module_file, module_file and "resolved" or "unresolved"
+end
+
+--- Resolve a Ruby `require_relative` path
+---@param ctx table
+---@param imp string
+---@param file table Importing file { path, filetype }
+---@return string|nil path
+---@return string status
+M.resolve_ruby = function(ctx, imp, file)
+	local base = vim.fn.fnamemodify(file.path, ":h") .. "/" .. imp
+	local resolved = first_file(ctx, { base, base .. ".rb" })
+	return resolved, resolved and "resolved" or "unresolved"
+end
+
+--- Resolve a Java / Kotlin import (`com.acme.Foo`, `com.acme.Foo.bar`, `com.acme`
+--- for `com.acme.*`) to the source file of its class, found by its package path
+--- under any source root (src/main/java, src/main/kotlin...)
+---@param ctx table
+---@param imp string
+---@return string|nil path
+---@return string status
+M.resolve_jvm = function(ctx, imp)
+	local rel = imp:gsub("%.", "/")
+
+	-- Drop trailing segments (static members, nested classes) until a class file matches
+	local class = rel
+	while class:find("/") do
+		for _, ext in ipairs(JVM_EXTENSIONS) do
+			local resolved = find_suffix(ctx, class .. ext, ctx.files)
+			if resolved then
+				return resolved, "resolved"
+			end
+		end
+		class = class:match("^(.*)/[^/]*$")
+	end
+
+	-- Whole-package imports have no single file
+	if find_suffix(ctx, rel, ctx.dirs) then
+		return nil, "external"
+	end
+	-- Missing class in one of our packages vs. the JDK and dependencies
+	local pkg = rel:match("^(.*)/[^/]*$")
+	return nil, pkg and find_suffix(ctx, pkg, ctx.dirs) and "unresolved" or "external"
+end
+
+--- Directories searched for `#include`s: the root, src/ and every include/ directory
+---@param ctx table
+---@return string[]
+local function include_dirs(ctx)
+	if ctx.include_dirs then
+		return ctx.include_dirs
+	end
+
+	ctx.include_dirs = { ctx.root }
+	if ctx.dirs[ctx.root .. "/src"] then
+		table.insert(ctx.include_dirs, ctx.root .. "/src")
+	end
+	for dir in pairs(ctx.dirs) do
+		if dir:match("/include$") then
+			table.insert(ctx.include_dirs, dir)
+		end
+	end
+	table.sort(ctx.include_dirs)
+	return ctx.include_dirs
+end
+
+--- Resolve a C / C++ `#include "path"` (next to the file first) or `#include <path>`
+---@param ctx table
+---@param imp string Include path, `<path>` for system includes
+---@param file table Importing file { path, filetype }
+---@return string|nil path
+---@return string status
+M.resolve_include = function(ctx, imp, file)
+	local system = imp:match("^<(.*)>$")
+	local path = system or imp
+
+	local candidates = {}
+	if not system then
+		table.insert(candidates, vim.fn.fnamemodify(file.path, ":h") .. "/" .. path)
+	end
+	for _, dir in ipairs(include_dirs(ctx)) do
+		table.insert(candidates, dir .. "/" .. path)
+	end
+
+	local resolved = first_file(ctx, candidates)
+	if resolved then
+		return resolved, "resolved"
+	end
+	-- <stdio.h> and library headers vs. a missing project header
+	return nil, system and "external" or "unresolved"
+end
+
+--- Resolve a CSS `@import` or SCSS `@import` / `@use` / `@forward`, with Sass
+--- partials (`_name.scss`) and index files
+---@param ctx table
+---@param imp string
+---@param file table Importing file { path, filetype }
+---@return string|nil path
+---@return string status
+M.resolve_stylesheet = function(ctx, imp, file)
+	-- URLs, `sass:math` modules, `~package` and root-relative paths
+	if imp:match("^%a[%w+.-]*:") or imp:match("^[~/]") then
+		return nil, "external"
+	end
+
+	local base = vim.fn.fnamemodify(file.path, ":h") .. "/" .. imp
+	local dir, name = base:match("^(.*)/([^/]*)$")
+	local resolved = first_file(ctx, {
+		base,
+		base .. ".scss",
+		dir .. "/_" .. name .. ".scss",
+		dir .. "/_" .. name,
+		base .. ".css",
+		base .. "/_index.scss",
+		base .. "/index.scss",
+	})
+	if resolved then
+		return resolved, "resolved"
+	end
+	-- Bare names may come from Sass load paths (node_modules...)
+	return nil, imp:match("^%.") and "unresolved" or "external"
+end
+
+--- Create a resolver context for a project
+---@param root string Project root (absolute, normalized)
+---@param files table[] Scanned files { path, filetype }
+---@return table ctx
+M.new_context = function(root, files)
+	local ctx = {
+		root = root,
+		files = {},
+		dirs = {},
+		json = {},
+		found = {},
+		tsconfigs = {},
+		go_modules = {},
+	}
+
+	for _, file in ipairs(files) do
+		ctx.files[file.path] = true
+		local dir = vim.fn.fnamemodify(file.path, ":h")
+		while #dir >= #root and not ctx.dirs[dir] do
+			ctx.dirs[dir] = true
+			dir = vim.fn.fnamemodify(dir, ":h")
+		end
+	end
+
+	return ctx
+end
+
+--- Resolve an import to a project file
+--- Status is "resolved", "external" (package, stdlib, asset) or "unresolved"
+--- (looks like a project import but no file matches).
+---@param ctx table Context from new_context
+---@param imp string Import as written in the source
+---@param file table Importing file { path, filetype }
+---@return string|string[]|nil path Several files when the import names several modules
+---@return string status
+M.resolve = function(ctx, imp, file)
+	-- Required here: the language adapters use this module's resolvers
+	local language = require("terreno.languages").get(file.filetype)
+	if language and language.resolve then
+		return language.resolve(ctx, imp, file)
+	end
+	return nil, "external"
+end
+
+--- Return the first candidate that is a scanned project file, for adapters' resolvers
+---@param ctx table Context from new_context
+---@param candidates string[] Absolute paths
+---@return string|nil path
+M.first_file = first_file
+
+return M
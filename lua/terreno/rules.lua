@@ -0,0 +1,51 @@
+local M = {}
+
+-- Diagnostics for architecture rule violations (rules live in `.terreno.json`)
+M.namespace = vim.api.nvim_create_namespace("terreno_rules")
+
+local severities = {
+	error = vim.diagnostic.severity.ERROR,
+	warning = vim.diagnostic.severity.WARN,
+	info = vim.diagnostic.severity.INFO,
+	hint = vim.diagnostic.severity.HINT,
+}
+
+-- Buffers holding diagnostics from the last report, cleared on the next one
+local reported = {}
+
+--- Show rule violations as diagnostics on the offending import lines
+--- Called by the server whenever the graph is checked against the rules.
+---@param violations table[] { source: string, line: number|nil, severity: string, message: string }
+---@param err string|nil Why the rules file could not be read
+M.set_diagnostics = function(violations, err)
+	if err and err ~= vim.NIL then
+		vim.notify("Terreno: " .. err, vim.log.levels.ERROR)
+	end
+
+	local by_buffer = {}
+	for _, violation in ipairs(violations or {}) do
+		local bufnr = vim.fn.bufadd(violation.source)
+		by_buffer[bufnr] = by_buffer[bufnr] or {}
+		local line = (type(violation.line) == "number" and violation.line or 1) - 1
+		table.insert(by_buffer[bufnr], {
+			lnum = line,
+			col = 0,
+			severity = severities[violation.severity] or vim.diagnostic.severity.WARN,
+			source = "terreno",
+			message = violation.message,
+		})
+	end
+
+	for bufnr in pairs(reported) do
+		if not by_buffer[bufnr] and vim.api.nvim_buf_is_valid(bufnr) then
+			vim.diagnostic.reset(M.namespace, bufnr)
+		end
+	end
+
+	for bufnr, diagnostics in pairs(by_buffer) do
+		vim.diagnostic.set(M.namespace, bufnr, diagnostics)
+	end
+	reported = by_buffer
+end
+
+return M
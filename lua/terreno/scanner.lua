@@ -1,45 +1,39 @@
+local languages = require("terreno.languages")
+local resolver = require("terreno.resolver")
+
 local M = {}
 
--- Supported file extensions and their filetypes
-local extensions = {
-	[".lua"] = "lua",
-	[".py"] = "python",
-	[".js"] = "javascript",
-	[".ts"] = "typescript",
-	[".jsx"] = "javascript",
-	[".tsx"] = "typescript",
+-- Directories that never contain project sources
+local skip_dirs = {
+	node_modules = true,
+	__pycache__ = true,
+	venv = true,
+	env = true,
+	dist = true,
+	build = true,
+	target = true,
+	vendor = true,
 }
 
--- Import queries by language
-local import_queries = {
-	python = [[
-    (import_statement
-      name: (dotted_name) @import)
-    (import_from_statement
-      module_name: (dotted_name) @import)
-  ]],
-	javascript = [[
-    (import_statement
-      source: (string) @import)
-    (call_expression
-      function: (identifier) @fn (#eq? @fn "require")
-      arguments: (arguments (string) @import))
-  ]],
-	typescript = [[
-    (import_statement
-      source: (string) @import)
-    (call_expression
-      function: (identifier) @fn (#eq? @fn "require")
-      arguments: (arguments (string) @import))
-  ]],
-	lua = [[
-    (function_call
-      name: (identifier) @fn (#eq? @fn "require")
-      arguments: (arguments (string) @import))
-  ]],
+-- Capture name -> LSP-style kind name (matches get_file_symbols)
+local capture_kinds = {
+	class = "Class",
+	interface = "Interface",
+	["function"] = "Function",
+	method = "Method",
+	struct = "Struct",
+	enum = "Enum",
+	module = "Module",
 }
 
---- Get all project files with supported extensions
+--- Tree-sitter language of a supported source file (see terreno.languages)
+---@param path string File path or name
+---@return string|nil filetype
+M.get_filetype = function(path)
+	return languages.for_path(path)
+end
+
+--- Get all project files of a registered language
 ---@param dir string Directory to scan
 ---@return table[] files List of {path, filetype}
 M.get_project_files = function(dir)
@@ -59,25 +53,17 @@ M.get_project_files = function(dir)
 		local path = dir .. "/" .. name
 
 		if type == "directory" then
-			-- Skip common non-source directories
-			if
-				not name:match("^%.")
-				and name ~= "node_modules"
-				and name ~= "__pycache__"
-				and name ~= "venv"
-				and name ~= ".git"
-			then
+			-- Skip hidden and common non-source directories
+			if not name:match("^%.") and not skip_dirs[name] then
 				local subfiles = M.get_project_files(path)
 				for _, f in ipairs(subfiles) do
 					table.insert(files, f)
 				end
 			end
 		elseif type == "file" then
-			for ext, ft in pairs(extensions) do
-				if name:sub(-#ext) == ext then
-					table.insert(files, { path = path, filetype = ft, name = name })
-					break
-				end
+			local ft = M.get_filetype(name)
+			if ft then
+				table.insert(files, { path = path, filetype = ft, name = name })
 			end
 		end
 	end
@@ -85,39 +71,61 @@ M.get_project_files = function(dir)
 	return files
 end
 
---- Extract imports from a file
----@param filepath string Path to file
----@param filetype string Filetype
----@return string[] imports List of import strings
-M.get_imports = function(filepath, filetype)
-	local imports = {}
-
-	local query_str = import_queries[filetype]
-	if not query_str then
-		return imports
-	end
-
-	-- Read file content
+--- Read a file and parse it with tree-sitter
+---@param filepath string
+---@param filetype string Tree-sitter language
+---@return TSNode|nil root
+---@return string|nil content
+local function parse_file(filepath, filetype)
 	local file = io.open(filepath, "r")
 	if not file then
-		return imports
+		return nil
 	end
 	local content = file:read("*all")
 	file:close()
 
-	-- Parse with tree-sitter
 	local ok, parser = pcall(vim.treesitter.get_string_parser, content, filetype)
 	if not ok then
-		return imports
+		return nil
 	end
 
 	local tree = parser:parse()[1]
 	if not tree then
+		return nil
+	end
+
+	return tree:root(), content
+end
+
+--- Parse a query, returning nil when the language or a node type is unavailable
+---@param filetype string
+---@param query_str string|nil
+---@return vim.treesitter.Query|nil
+local function parse_query(filetype, query_str)
+	if not query_str then
+		return nil
+	end
+	local ok, query = pcall(vim.treesitter.query.parse, filetype, query_str)
+	return ok and query or nil
+end
+
+--- Extract imports from a file
+---@param filepath string Path to file
+---@param filetype string Filetype
+---@return table[] imports List of { source, line } (source as written, without quotes)
+M.get_imports = function(filepath, filetype)
+	local imports = {}
+
+	local language = languages.get(filetype)
+	local query = parse_query(filetype, language and language.imports)
+	if not query then
 		return imports
 	end
 
-	local root = tree:root()
-	local query = vim.treesitter.query.parse(filetype, query_str)
+	local root, content = parse_file(filepath, filetype)
+	if not root then
+		return imports
+	end
 
 	for id, node, _ in query:iter_captures(root, content, 0, -1) do
 		local name = query.captures[id]
@@ -125,92 +133,204 @@ M.get_imports = function(filepath, filetype)
 			local text = vim.treesitter.get_node_text(node, content)
 			-- Clean up quotes from string literals
 			text = text:gsub("^['\"]", ""):gsub("['\"]$", "")
-			table.insert(imports, text)
+			table.insert(imports, { source = text, line = node:start() + 1 })
 		end
 	end
 
 	return imports
 end
 
---- Scan project and build dependency graph
----@param dir string|nil Directory to scan (nil = cwd)
----@return table graph { nodes: table[], edges: table[] }
-M.scan_project = function(dir)
-	dir = dir or vim.fn.getcwd()
+--- Whether a node is nested inside a class body
+---@param node TSNode
+---@return boolean
+local function in_class(node)
+	local parent = node:parent()
+	while parent do
+		local type = parent:type()
+		if type == "class_definition" or type == "class_declaration" or type == "class_body" then
+			return true
+		end
+		parent = parent:parent()
+	end
+	return false
+end
 
-	local files = M.get_project_files(dir)
-	local nodes = {}
-	local edges = {}
-	local file_map = {} -- Map filename to node id
-
-	-- Create nodes for each file
-	local cols = 4
-	for i, file in ipairs(files) do
-		local id = "file_" .. i
-		local col = (i - 1) % cols
-		local row = math.floor((i - 1) / cols)
-
-		-- Use relative path from project root
-		local rel_path = file.path:gsub("^" .. vim.pesc(dir) .. "/", "")
-
-		table.insert(nodes, {
-			id = id,
-			data = {
-				label = file.name,
-				path = rel_path,
-				filetype = file.filetype,
-			},
-			position = {
-				x = 50 + col * 200,
-				y = 50 + row * 120,
-			},
-		})
-
-		file_map[file.name] = id
-		file_map[rel_path] = id
-		-- Also map without extension for module imports
-		local name_no_ext = file.name:gsub("%.[^.]+$", "")
-		file_map[name_no_ext] = id
-	end
-
-	-- Create edges for imports
-	local edge_id = 1
-	for i, file in ipairs(files) do
-		local source_id = "file_" .. i
-		local imports = M.get_imports(file.path, file.filetype)
-
-		for _, imp in ipairs(imports) do
-			-- Try to match import to a file
-			local target_id = file_map[imp]
-
-			-- Try variations
-			if not target_id then
-				-- Remove leading ./ or ../
-				local clean_imp = imp:gsub("^%.+/", "")
-				target_id = file_map[clean_imp]
+--- Extract functions, classes and methods from a file without LSP
+--- Symbols use the same shape as LSP symbols in `file` nodes.
+---@param filepath string Path to file
+---@param filetype string Filetype
+---@return table[] symbols List of {name, kind, line, end_line}
+M.get_symbols = function(filepath, filetype)
+	local symbols = {}
+
+	local language = languages.get(filetype)
+	local query = parse_query(filetype, language and language.symbols)
+	if not query then
+		return symbols
+	end
+
+	local root, content = parse_file(filepath, filetype)
+	if not root then
+		return symbols
+	end
+
+	local seen = {}
+	for _, match in query:iter_matches(root, content, 0, -1, { all = true }) do
+		local name, def, kind
+		for id, nodes in pairs(match) do
+			-- Neovim 0.11 returns a list of nodes per capture, older versions a node
+			local node = type(nodes) == "table" and nodes[#nodes] or nodes
+			local capture = query.captures[id]
+			if capture == "name" then
+				name = vim.treesitter.get_node_text(node, content)
+			elseif capture_kinds[capture] then
+				def = node
+				kind = capture_kinds[capture]
 			end
+		end
 
-			if not target_id then
-				-- Try just the last part (module name)
-				local module_name = imp:match("[^/%.]+$")
-				if module_name then
-					target_id = file_map[module_name]
-				end
+		if name and def then
+			if kind == "Function" and filetype == "python" and in_class(def) then
+				kind = "Method"
 			end
 
-			if target_id and target_id ~= source_id then
-				table.insert(edges, {
-					id = "e_" .. edge_id,
-					source = source_id,
-					target = target_id,
-					label = imp,
+			local start_row, _, end_row = def:range()
+			local key = name .. ":" .. start_row
+			if not seen[key] then
+				seen[key] = true
+				table.insert(symbols, {
+					name = name,
+					kind = kind,
+					line = start_row + 1,
+					end_line = end_row + 1,
 				})
-				edge_id = edge_id + 1
 			end
 		end
 	end
 
-	return { nodes = nodes, edges = edges }
+	table.sort(symbols, function(a, b)
+		return a.line < b.line
+	end)
+
+	return symbols
+end
+
+--- File node of a project file, in the `file` format rendered by FileNode (id = full path)
+---@param dir string Project root
+---@param file table { path, filetype, name }
+---@return table node
+local function make_file_node(dir, file)
+	return {
+		id = file.path,
+		type = "file",
+		data = {
+			filepath = file.path,
+			filename = file.name,
+			path = file.path:sub(#dir + 2),
+			symbols = M.get_symbols(file.path, file.filetype),
+		},
+	}
+end
+
+--- Project files a file imports, in import order
+---@param ctx table Resolver context of the project
+---@param file table { path, filetype }
+---@return string[] targets
+---@return table<string, number> lines Import line of each target
+---@return table[] unresolved { filepath, line, import } for imports matching no file
+local function resolve_imports(ctx, file)
+	local targets = {}
+	local lines = {}
+	local unresolved = {}
+
+	for _, imp in ipairs(M.get_imports(file.path, file.filetype)) do
+		local resolved, status = resolver.resolve(ctx, imp.source, file)
+		if status == "unresolved" then
+			table.insert(unresolved, { filepath = file.path, line = imp.line, import = imp.source })
+		end
+		for _, target in ipairs(type(resolved) == "table" and resolved or { resolved }) do
+			if target ~= file.path and not lines[target] then
+				table.insert(targets, target)
+				lines[target] = imp.line
+			end
+		end
+	end
+
+	return targets, lines, unresolved
+end
+
+--- Normalized project files and their resolver context
+---@param dir string
+---@return table[] files
+---@return table ctx
+local function project_context(dir)
+	local files = M.get_project_files(dir)
+	for _, file in ipairs(files) do
+		file.path = vim.fs.normalize(file.path)
+	end
+	return files, resolver.new_context(dir, files)
+end
+
+--- Scan project and build the file dependency graph
+--- Nodes use the `file` format rendered by FileNode (id = full path).
+--- Imports that look like project imports but match no file are listed in
+--- `unresolved` instead of being guessed. `root` is the scanned directory.
+---@param dir string|nil Directory to scan (nil = cwd)
+---@return table graph { nodes: table[], edges: table[], unresolved: table[], root: string }
+M.scan_project = function(dir)
+	dir = vim.fs.normalize(dir or vim.fn.getcwd())
+
+	local files, ctx = project_context(dir)
+	local nodes = {}
+	local edges = {}
+	local unresolved = {}
+
+	for _, file in ipairs(files) do
+		table.insert(nodes, make_file_node(dir, file))
+
+		local targets, lines, missing = resolve_imports(ctx, file)
+		vim.list_extend(unresolved, missing)
+		for _, target in ipairs(targets) do
+			table.insert(edges, {
+				id = "e_" .. file.path .. "_" .. target,
+				source = file.path,
+				target = target,
+				-- Import line, where architecture rule violations are reported
+				data = { line = lines[target] },
+			})
+		end
+	end
+
+	return { nodes = nodes, edges = edges, unresolved = unresolved, root = dir }
+end
+
+--- Scan one file of a project graph again (watch mode)
+---@param dir string Root of the graph, from scan_project
+---@param filepath string
+---@return table|nil node File node as scan_project makes it, nil for non-source files
+M.file_node = function(dir, filepath)
+	local name = vim.fn.fnamemodify(filepath, ":t")
+	local filetype = M.get_filetype(name)
+	if not filetype then
+		return nil
+	end
+	return make_file_node(dir, { path = vim.fs.normalize(filepath), filetype = filetype, name = name })
+end
+
+--- Project files a file imports, resolved like scan_project does (watch mode)
+---@param dir string Root of the graph, from scan_project
+---@param filepath string
+---@return string[] targets
+---@return table<string, number> lines Import line of each target
+M.file_imports = function(dir, filepath)
+	local filetype = M.get_filetype(filepath)
+	if not filetype then
+		return {}, {}
+	end
+	-- Files added since the scan can be imported too
+	local _, ctx = project_context(dir)
+	local targets, lines = resolve_imports(ctx, { path = vim.fs.normalize(filepath), filetype = filetype })
+	return targets, lines
 end
 
 return M
@@ -0,0 +1,278 @@
+local lsp = require("terreno.lsp")
+
+local M = {}
+
+-- Wait this long after the last change before rebuilding a file node
+local DEBOUNCE_MS = 500
+
+-- Last state sent to the server for each file in the graph
+-- filepath -> { symbols: table[], imports: table<string, boolean> }
+local snapshot = {}
+
+-- Latest change tick per file, used to debounce refreshes
+local ticks = {}
+
+-- Root of the graph when the tree-sitter scanner built it (:Terreno project),
+-- nil for LSP graphs
+local scan_root = nil
+
+local augroup = nil
+
+--- Whether watch mode is enabled
+---@return boolean
+M.is_enabled = function()
+	return augroup ~= nil
+end
+
+--- Remember the graph sent to the server as the base for future diffs
+--- Only `file` nodes are tracked; call graphs are not watched. Graphs from
+--- scanner.scan_project carry their `root` and are refreshed with the scanner.
+---@param graph table { nodes: table[], edges: table[], root: string|nil }
+M.set_graph = function(graph)
+	snapshot = {}
+	scan_root = graph.root
+
+	for _, node in ipairs(graph.nodes or {}) do
+		local data = node.data or {}
+		if node.type == "file" and data.filepath then
+			snapshot[data.filepath] = { symbols = data.symbols or {}, imports = {} }
+		end
+	end
+
+	for _, edge in ipairs(graph.edges or {}) do
+		if snapshot[edge.source] then
+			snapshot[edge.source].imports[edge.target] = true
+		end
+	end
+end
+
+--- Compare two symbol lists
+--- Symbols are matched by kind + name (+ occurrence, for overloads); a matched
+--- symbol whose range moved is reported as changed with its `previous_line`.
+---@param old table[]
+---@param new table[]
+---@return table diff { added: table[], removed: table[], changed: table[] }
+M.diff_symbols = function(old, new)
+	local function index(symbols)
+		local by_key = {}
+		local seen = {}
+		for _, sym in ipairs(symbols) do
+			local base = sym.kind .. ":" .. sym.name
+			seen[base] = (seen[base] or 0) + 1
+			by_key[base .. ":" .. seen[base]] = sym
+		end
+		return by_key
+	end
+
+	local old_index = index(old)
+	local new_index = index(new)
+	local diff = { added = {}, removed = {}, changed = {} }
+
+	for key, sym in pairs(new_index) do
+		local previous = old_index[key]
+		if not previous then
+			table.insert(diff.added, sym)
+		elseif previous.line ~= sym.line or previous.end_line ~= sym.end_line then
+			table.insert(diff.changed, vim.tbl_extend("force", sym, { previous_line = previous.line }))
+		end
+	end
+
+	for key, sym in pairs(old_index) do
+		if not new_index[key] then
+			table.insert(diff.removed, sym)
+		end
+	end
+
+	return diff
+end
+
+--- Make an import edge in the format used by build_file_graph
+---@param line number|nil Line of the import in `source`
+local function make_edge(source, target, line)
+	return {
+		id = "e_" .. source .. "_" .. target,
+		source = source,
+		target = target,
+		data = { line = line },
+	}
+end
+
+--- Backend that built the graph, so refreshed edges match the others
+--- Both functions take a callback like lsp.get_file_node / lsp.get_file_imports.
+---@return table backend { file_node: function, file_imports: function }
+local function graph_backend()
+	if not scan_root then
+		return { file_node = lsp.get_file_node, file_imports = lsp.get_file_imports }
+	end
+
+	local scanner = require("terreno.scanner")
+	local root = scan_root
+	return {
+		file_node = function(filepath, callback)
+			callback(scanner.file_node(root, filepath))
+		end,
+		file_imports = function(filepath, callback)
+			callback(scanner.file_imports(root, filepath))
+		end,
+	}
+end
+
+--- Rebuild a file's node and import edges and send what changed to the server
+---@param filepath string
+local function refresh(filepath)
+	local previous = snapshot[filepath]
+	if not previous then
+		return
+	end
+
+	local backend = graph_backend()
+	backend.file_node(filepath, function(node)
+		-- No symbols usually means the LSP is not ready; keep the last known state
+		if not node then
+			return
+		end
+
+		backend.file_imports(filepath, function(imported_files, import_lines)
+			local symbols = M.diff_symbols(previous.symbols, node.data.symbols)
+
+			local imports = {}
+			local new_targets = {}
+			for _, target in ipairs(imported_files) do
+				imports[target] = true
+				if not previous.imports[target] and not snapshot[target] then
+					table.insert(new_targets, target)
+				end
+			end
+
+			local function send(new_nodes)
+				local in_graph = {}
+				for _, new_node in ipairs(new_nodes) do
+					in_graph[new_node.id] = true
+				end
+
+				local edges = { added = {}, removed = {} }
+				for target in pairs(imports) do
+					if not previous.imports[target] and (snapshot[target] or in_graph[target]) then
+						table.insert(edges.added, make_edge(filepath, target, import_lines[target]))
+					elseif not snapshot[target] and not in_graph[target] then
+						-- Imported file without symbols: not part of the graph
+						imports[target] = nil
+					end
+				end
+				for target in pairs(previous.imports) do
+					if not imports[target] then
+						table.insert(edges.removed, make_edge(filepath, target))
+					end
+				end
+
+				-- Update the snapshot even when nothing is sent so ranges stay current
+				previous.symbols = node.data.symbols
+				previous.imports = imports
+				for _, new_node in ipairs(new_nodes) do
+					snapshot[new_node.id] = { symbols = new_node.data.symbols, imports = {} }
+				end
+
+				local unchanged = #symbols.added == 0
+					and #symbols.removed == 0
+					and #symbols.changed == 0
+					and #edges.added == 0
+					and #edges.removed == 0
+				if unchanged then
+					return
+				end
+
+				require("terreno").send_graph_diff({
+					file = filepath,
+					symbols = symbols,
+					nodes = { added = new_nodes },
+					edges = edges,
+				})
+			end
+
+			-- Newly imported files that are not in the graph yet need their own nodes
+			local new_nodes = {}
+			local pending = #new_targets
+			if pending == 0 then
+				send(new_nodes)
+				return
+			end
+
+			for _, target in ipairs(new_targets) do
+				backend.file_node(target, function(target_node)
+					pending = pending - 1
+					if target_node then
+						table.insert(new_nodes, target_node)
+					end
+					if pending == 0 then
+						send(new_nodes)
+					end
+				end)
+			end
+		end)
+	end)
+end
+
+--- Schedule a debounced refresh for a buffer's file
+---@param bufnr number
+local function schedule_refresh(bufnr)
+	local filepath = vim.api.nvim_buf_get_name(bufnr)
+	if not snapshot[filepath] then
+		return
+	end
+
+	ticks[filepath] = (ticks[filepath] or 0) + 1
+	local tick = ticks[filepath]
+
+	vim.defer_fn(function()
+		if ticks[filepath] == tick then
+			refresh(filepath)
+		end
+	end, DEBOUNCE_MS)
+end
+
+--- Start sending incremental graph updates on save and LSP changes
+M.enable = function()
+	augroup = vim.api.nvim_create_augroup("TerrenoWatch", { clear = true })
+
+	vim.api.nvim_create_autocmd("BufWritePost", {
+		group = augroup,
+		callback = function(args)
+			schedule_refresh(args.buf)
+		end,
+	})
+
+	-- LspNotify is only available on Neovim 0.10+
+	if vim.fn.exists("##LspNotify") == 1 then
+		vim.api.nvim_create_autocmd("LspNotify", {
+			group = augroup,
+			callback = function(args)
+				if args.data and args.data.method == "textDocument/didChange" then
+					schedule_refresh(args.buf)
+				end
+			end,
+		})
+	end
+end
+
+--- Stop sending incremental graph updates
+M.disable = function()
+	if augroup then
+		vim.api.nvim_del_augroup_by_id(augroup)
+		augroup = nil
+	end
+	ticks = {}
+end
+
+--- Toggle watch mode
+---@param state string|nil "on", "off" or nil to toggle
+M.toggle = function(state)
+	local enable = state == "on" or (state ~= "off" and not M.is_enabled())
+	if enable then
+		M.enable()
+	else
+		M.disable()
+	end
+	vim.notify("Terreno: watch mode " .. (enable and "on" or "off"), vim.log.levels.INFO)
+end
+
+return M
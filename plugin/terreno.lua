@@ -40,9 +40,49 @@ local subcommands = {
 			require("terreno").send_workspace(query)
 		end)
 	end,
-	calls = function(depth)
+	project = function(dir)
 		with_server(function()
-			require("terreno").send_calls(depth)
+			require("terreno").send_project(dir)
+		end)
+	end,
+	calls = function(depth, direction)
+		with_server(function()
+			require("terreno").send_calls(depth, direction)
+		end)
+	end,
+	types = function(depth)
+		with_server(function()
+			require("terreno").send_types(depth)
+		end)
+	end,
+	cycles = function()
+		with_server(function()
+			require("terreno").show_cycles()
+		end)
+	end,
+	diff = function(ref)
+		with_server(function()
+			require("terreno").show_changes(ref)
+		end)
+	end,
+	watch = function(state)
+		require("terreno.watch").toggle(state)
+	end,
+	follow = function(state)
+		require("terreno.follow").toggle(state)
+	end,
+	export = function(format, path)
+		with_server(function()
+			require("terreno").export_graph(format, path)
+		end)
+	end,
+	view = function(action, name)
+		if action == "list" then
+			require("terreno").view(action)
+			return
+		end
+		with_server(function()
+			require("terreno").view(action, name)
 		end)
 	end,
 }
@@ -52,7 +92,10 @@ vim.api.nvim_create_user_command("Terreno", function(opts)
 	local subcmd = args[1]
 
 	if not subcmd then
-		vim.notify("Terreno: subcommand required (buffer, workspace, calls)", vim.log.levels.WARN)
+		vim.notify(
+			"Terreno: subcommand required (buffer, workspace, project, calls, types, cycles, diff, watch, follow, export, view)",
+			vim.log.levels.WARN
+		)
 		return
 	end
 
@@ -65,11 +108,39 @@ vim.api.nvim_create_user_command("Terreno", function(opts)
 end, {
 	nargs = "+",
 	desc = "Terreno commands",
-	complete = function(_, line)
+	complete = function(arg_lead, line)
 		local args = vim.split(line, "%s+", { trimempty = true })
-		if #args <= 2 then
+		-- Position of the argument being completed (1 = "Terreno")
+		local position = #args + (arg_lead == "" and 1 or 0)
+		if position <= 2 then
 			return vim.tbl_keys(subcommands)
 		end
+		if (args[2] == "watch" or args[2] == "follow") and position == 3 then
+			return { "on", "off" }
+		end
+		if args[2] == "diff" and position == 3 then
+			local refs =
+				vim.fn.systemlist({ "git", "for-each-ref", "--format=%(refname:short)", "refs/heads", "refs/tags" })
+			return vim.v.shell_error == 0 and vim.list_extend({ "off", "HEAD" }, refs) or { "off", "HEAD" }
+		end
+		if args[2] == "export" and position == 3 then
+			return require("terreno").export_formats
+		end
+		if args[2] == "export" and position == 4 then
+			return vim.fn.getcompletion(arg_lead, "file")
+		end
+		if args[2] == "calls" and (position == 3 or position == 4) then
+			return require("terreno").call_directions
+		end
+		if args[2] == "project" and position == 3 then
+			return vim.fn.getcompletion(arg_lead, "dir")
+		end
+		if args[2] == "view" and position == 3 then
+			return { "save", "load", "list" }
+		end
+		if args[2] == "view" and position == 4 and (args[3] == "load" or args[3] == "save") then
+			return require("terreno").list_views()
+		end
 		return {}
 	end,
 })
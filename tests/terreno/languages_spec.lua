@@ -0,0 +1,38 @@
+local languages = require("terreno.languages")
+
+describe("terreno.languages", function()
+	after_each(function()
+		languages.register("elm", false)
+		languages.register("c", { extensions = { ".c", ".h" } })
+	end)
+
+	it("maps extensions to the shipped languages", function()
+		assert.equals("go", languages.for_path("/p/main.go"))
+		assert.equals("rust", languages.for_path("src/lib.rs"))
+		assert.equals("kotlin", languages.for_path("build.gradle.kts"))
+		assert.equals("cpp", languages.for_path("include/app.hpp"))
+		assert.equals("scss", languages.for_path("_variables.scss"))
+		assert.is_nil(languages.for_path("README.md"))
+		assert.is_true(vim.tbl_contains(languages.extensions(), "rb"))
+	end)
+
+	it("adds, changes and removes languages from setup()", function()
+		local resolve = function()
+			return nil, "external"
+		end
+		languages.setup({
+			elm = { extensions = { ".elm" }, imports = "(import_clause) @import", resolve = resolve },
+			c = { extensions = { ".c" } },
+		})
+
+		assert.equals("elm", languages.for_path("src/Main.elm"))
+		assert.equals(resolve, languages.get("elm").resolve)
+		assert.is_nil(languages.for_path("api.h"))
+		-- Changed fields only: the C resolver stays
+		assert.is_function(languages.get("c").resolve)
+
+		languages.setup({ elm = false })
+		assert.is_nil(languages.get("elm"))
+		assert.is_nil(languages.for_path("src/Main.elm"))
+	end)
+end)
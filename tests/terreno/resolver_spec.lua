@@ -0,0 +1,210 @@
+local languages = require("terreno.languages")
+local resolver = require("terreno.resolver")
+
+--- Create files under a temporary project root
+local function make_project(files)
+	local root = vim.fs.normalize(vim.fn.tempname())
+	local scanned = {}
+	for path, content in pairs(files) do
+		local full = root .. "/" .. path
+		vim.fn.mkdir(vim.fn.fnamemodify(full, ":h"), "p")
+		vim.fn.writefile(vim.split(content, "\n"), full)
+		local ft = languages.for_path(path)
+		if ft then
+			table.insert(scanned, { path = full, filetype = ft })
+		end
+	end
+	return root, resolver.new_context(root, scanned)
+end
+
+describe("terreno.resolver", function()
+	it("strips comments and trailing commas but not strings", function()
+		local text = '{\n  // comment\n  "paths": { "@/*": ["src/*"], }, /* block */\n}'
+		local decoded = vim.json.decode(resolver.strip_json_comments(text))
+		assert.same({ "src/*" }, decoded.paths["@/*"])
+	end)
+
+	it("resolves relative imports, index files and tsconfig paths", function()
+		local root, ctx = make_project({
+			["tsconfig.json"] = '{ "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["src/*"] } } }',
+			["src/main.ts"] = "",
+			["src/app.ts"] = "",
+			["src/components/index.ts"] = "",
+			["lib/index.ts"] = "",
+		})
+		local file = { path = root .. "/src/main.ts", filetype = "typescript" }
+
+		assert.equals(root .. "/src/app.ts", resolver.resolve(ctx, "./app.js", file))
+		assert.equals(root .. "/src/components/index.ts", resolver.resolve(ctx, "@/components", file))
+		assert.equals(root .. "/lib/index.ts", resolver.resolve(ctx, "lib", file))
+		assert.same({ nil, "unresolved" }, { resolver.resolve(ctx, "./missing", file) })
+		assert.same({ nil, "unresolved" }, { resolver.resolve(ctx, "@/missing", file) })
+		assert.same({ nil, "external" }, { resolver.resolve(ctx, "react", file) })
+	end)
+
+	it("resolves workspace packages through package.json exports", function()
+		local root, ctx = make_project({
+			["packages/ui/package.json"] = '{ "name": "@acme/ui", "exports": { ".": { "import": "./dist/index.js" }, "./*": "./dist/*.js" } }',
+			["packages/ui/src/index.ts"] = "",
+			["packages/ui/src/button.ts"] = "",
+			["apps/web/main.ts"] = "",
+		})
+		local file = { path = root .. "/apps/web/main.ts", filetype = "typescript" }
+
+		assert.equals(root .. "/packages/ui/src/index.ts", resolver.resolve(ctx, "@acme/ui", file))
+		assert.equals(root .. "/packages/ui/src/button.ts", resolver.resolve(ctx, "@acme/ui/button", file))
+	end)
+
+	it("resolves Python packages and relative imports", function()
+		local root, ctx = make_project({
+			["src/pkg/__init__.py"] = "",
+			["src/pkg/models.py"] = "",
+			["src/pkg/api/__init__.py"] = "",
+			["src/pkg/api/views.py"] = "",
+		})
+		local file = { path = root .. "/src/pkg/api/views.py", filetype = "python" }
+
+		assert.equals(root .. "/src/pkg/models.py", resolver.resolve(ctx, "pkg.models", file))
+		assert.equals(root .. "/src/pkg/__init__.py", resolver.resolve(ctx, "..", file))
+		assert.equals(root .. "/src/pkg/models.py", resolver.resolve(ctx, "..models", file))
+		assert.same({ nil, "unresolved" }, { resolver.resolve(ctx, "pkg.missing", file) })
+		assert.same({ nil, "external" }, { resolver.resolve(ctx, "os.path", file) })
+	end)
+
+	it("resolves the submodules of `from . import` to their files", function()
+		local root, ctx = make_project({
+			["pkg/__init__.py"] = "",
+			["pkg/models.py"] = "",
+			["pkg/api/__init__.py"] = "",
+			["pkg/api/views.py"] = "",
+			["pkg/api/forms/__init__.py"] = "",
+		})
+		local file = { path = root .. "/pkg/api/views.py", filetype = "python" }
+
+		assert.same({ { root .. "/pkg/api/forms/__init__.py" }, "resolved" }, {
+			resolver.resolve(ctx, "from . import forms", file),
+		})
+		assert.same({ { root .. "/pkg/models.py" }, "resolved" }, {
+			resolver.resolve(ctx, "from .. import models as m", file),
+		})
+		-- Names that are not modules come from the package itself
+		assert.same({ { root .. "/pkg/api/forms/__init__.py", root .. "/pkg/api/__init__.py" }, "resolved" }, {
+			resolver.resolve(ctx, "from . import (\n    forms,\n    helper,\n)", file),
+		})
+		assert.same({ nil, "unresolved" }, { resolver.resolve(ctx, "from ... import models", file) })
+	end)
+
+	it("resolves Lua requires under lua/", function()
+		local root, ctx = make_project({
+			["lua/terreno.lua"] = "",
+			["lua/terreno/lsp.lua"] = "",
+			["plugin/terreno.lua"] = "",
+		})
+		local file = { path = root .. "/plugin/terreno.lua", filetype = "lua" }
+
+		assert.equals(root .. "/lua/terreno.lua", resolver.resolve(ctx, "terreno", file))
+		assert.equals(root .. "/lua/terreno/lsp.lua", resolver.resolve(ctx, "terreno.lsp", file))
+		assert.same({ nil, "unresolved" }, { resolver.resolve(ctx, "terreno.missing", file) })
+		assert.same({ nil, "external" }, { resolver.resolve(ctx, "plenary.job", file) })
+	end)
+
+	it("resolves Go imports inside the module to a file of the package", function()
+		local root, ctx = make_project({
+			["go.mod"] = "module example.com/app\n\ngo 1.22",
+			["cmd/app/main.go"] = "",
+			["internal/store/store.go"] = "",
+			["internal/store/store_test.go"] = "",
+			["internal/http/handlers.go"] = "",
+			["internal/http/handlers_test.go"] = "",
+		})
+		local file = { path = root .. "/cmd/app/main.go", filetype = "go" }
+
+		assert.equals(root .. "/internal/store/store.go", resolver.resolve(ctx, "example.com/app/internal/store", file))
+		assert.equals(
+			root .. "/internal/http/handlers.go",
+			resolver.resolve(ctx, "example.com/app/internal/http", file)
+		)
+		assert.same({ nil, "unresolved" }, { resolver.resolve(ctx, "example.com/app/internal/missing", file) })
+		assert.same({ nil, "external" }, { resolver.resolve(ctx, "fmt", file) })
+	end)
+
+	it("resolves Rust mod declarations and crate, self and super paths", function()
+		local root, ctx = make_project({
+			["Cargo.toml"] = '[package]\nname = "app"',
+			["src/main.rs"] = "",
+			["src/config.rs"] = "",
+			["src/net/mod.rs"] = "",
+			["src/net/client.rs"] = "",
+		})
+		local main = { path = root .. "/src/main.rs", filetype = "rust" }
+		local client = { path = root .. "/src/net/client.rs", filetype = "rust" }
+
+		assert.equals(root .. "/src/net/mod.rs", resolver.resolve(ctx, "mod net;", main))
+		assert.equals(root .. "/src/config.rs", resolver.resolve(ctx, "pub(crate) mod config;", main))
+		assert.same({ nil, "unresolved" }, { resolver.resolve(ctx, "mod missing;", main) })
+		assert.equals(root .. "/src/net/client.rs", resolver.resolve(ctx, "crate::net::client::Client", main))
+		assert.equals(root .. "/src/config.rs", resolver.resolve(ctx, "crate::config::{self, Config}", client))
+		assert.equals(root .. "/src/net/mod.rs", resolver.resolve(ctx, "super::Pool", client))
+		assert.equals(root .. "/src/main.rs", resolver.resolve(ctx, "crate::run as start", client))
+		assert.same({ nil, "external" }, { resolver.resolve(ctx, "std::collections::HashMap", main) })
+	end)
+
+	it("resolves Ruby require_relative", function()
+		local root, ctx = make_project({
+			["lib/app.rb"] = "",
+			["lib/app/models.rb"] = "",
+		})
+		local file = { path = root .. "/lib/app.rb", filetype = "ruby" }
+
+		assert.equals(root .. "/lib/app/models.rb", resolver.resolve(ctx, "app/models", file))
+		assert.same({ nil, "unresolved" }, { resolver.resolve(ctx, "app/missing", file) })
+	end)
+
+	it("resolves Java and Kotlin imports by package path", function()
+		local root, ctx = make_project({
+			["src/main/java/com/acme/App.java"] = "",
+			["src/main/java/com/acme/model/User.java"] = "",
+			["src/main/kotlin/com/acme/util/Strings.kt"] = "",
+		})
+		local file = { path = root .. "/src/main/java/com/acme/App.java", filetype = "java" }
+
+		local user = root .. "/src/main/java/com/acme/model/User.java"
+		assert.equals(user, resolver.resolve(ctx, "com.acme.model.User", file))
+		assert.equals(user, resolver.resolve(ctx, "com.acme.model.User.Role", file))
+		local strings = root .. "/src/main/kotlin/com/acme/util/Strings.kt"
+		assert.equals(strings, resolver.resolve(ctx, "com.acme.util.Strings", file))
+		assert.same({ nil, "external" }, { resolver.resolve(ctx, "com.acme.model", file) })
+		assert.same({ nil, "unresolved" }, { resolver.resolve(ctx, "com.acme.model.Missing", file) })
+		assert.same({ nil, "external" }, { resolver.resolve(ctx, "java.util.List", file) })
+	end)
+
+	it("resolves C includes next to the file and under include/", function()
+		local root, ctx = make_project({
+			["include/app/api.h"] = "",
+			["src/main.c"] = "",
+			["src/util.h"] = "",
+		})
+		local file = { path = root .. "/src/main.c", filetype = "c" }
+
+		assert.equals(root .. "/src/util.h", resolver.resolve(ctx, "util.h", file))
+		assert.equals(root .. "/include/app/api.h", resolver.resolve(ctx, "<app/api.h>", file))
+		assert.same({ nil, "unresolved" }, { resolver.resolve(ctx, "missing.h", file) })
+		assert.same({ nil, "external" }, { resolver.resolve(ctx, "<stdio.h>", file) })
+	end)
+
+	it("resolves stylesheet imports with Sass partials", function()
+		local root, ctx = make_project({
+			["styles/main.scss"] = "",
+			["styles/_variables.scss"] = "",
+			["styles/components/_index.scss"] = "",
+			["styles/reset.css"] = "",
+		})
+		local file = { path = root .. "/styles/main.scss", filetype = "scss" }
+
+		assert.equals(root .. "/styles/_variables.scss", resolver.resolve(ctx, "variables", file))
+		assert.equals(root .. "/styles/components/_index.scss", resolver.resolve(ctx, "./components", file))
+		assert.equals(root .. "/styles/reset.css", resolver.resolve(ctx, "reset.css", file))
+		assert.same({ nil, "unresolved" }, { resolver.resolve(ctx, "./missing", file) })
+		assert.same({ nil, "external" }, { resolver.resolve(ctx, "sass:math", file) })
+	end)
+end)
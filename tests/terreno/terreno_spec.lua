@@ -16,4 +16,54 @@ describe("terreno", function()
 		assert.is_function(terreno.stop_server)
 		assert.is_function(terreno.open_browser)
 	end)
+
+	it("opens the browser with the token encoded in the URL", function()
+		local jobstart = vim.fn.jobstart
+		local opened
+		vim.fn.jobstart = function(cmd)
+			opened = cmd[2]
+		end
+		terreno.server_token = "dev token&x"
+		terreno.open_browser(3000)
+		vim.fn.jobstart = jobstart
+		terreno.server_token = nil
+		assert.equals(terreno.config.server_url .. ":3000/?token=dev%20token%26x", opened)
+	end)
+
+	describe("rpc_request", function()
+		local rpcnotify = vim.rpcnotify
+		local notified
+
+		before_each(function()
+			notified = {}
+			vim.rpcnotify = function(...)
+				table.insert(notified, { ... })
+			end
+			package.loaded["terreno_spec_fns"] = {
+				echo = function(filepath, line, name, callback)
+					callback({ filepath = filepath, line = line, name = name or "none" })
+				end,
+			}
+		end)
+
+		after_each(function()
+			vim.rpcnotify = rpcnotify
+			package.loaded["terreno_spec_fns"] = nil
+		end)
+
+		it("keeps the callback in place after a nil argument", function()
+			terreno.rpc_request(3, "req_1", "terreno_spec_fns", "echo", { "/a.ts", nil, "Base" }, 3)
+			assert.same({ { 3, "terreno_result", "req_1", { filepath = "/a.ts", name = "Base" } } }, notified)
+		end)
+
+		it("turns nulls from the server into nil", function()
+			terreno.rpc_request(3, "req_2", "terreno_spec_fns", "echo", { "/a.ts", 4, vim.NIL }, 3)
+			assert.same({ { 3, "terreno_result", "req_2", { filepath = "/a.ts", line = 4, name = "none" } } }, notified)
+		end)
+
+		it("reports unknown functions", function()
+			terreno.rpc_request(3, "req_3", "terreno_spec_fns", "missing", {}, 0)
+			assert.equals("terreno_error", notified[1][2])
+		end)
+	end)
 end)
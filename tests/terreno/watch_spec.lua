@@ -0,0 +1,79 @@
+local watch = require("terreno.watch")
+local lsp = require("terreno.lsp")
+local scanner = require("terreno.scanner")
+local terreno = require("terreno")
+
+describe("terreno.watch", function()
+	it("diffs symbols by kind and name", function()
+		local old = {
+			{ name = "keep", kind = "Function", line = 1, end_line = 3 },
+			{ name = "moved", kind = "Function", line = 5, end_line = 8 },
+			{ name = "gone", kind = "Class", line = 10, end_line = 20 },
+		}
+		local new = {
+			{ name = "keep", kind = "Function", line = 1, end_line = 3 },
+			{ name = "moved", kind = "Function", line = 7, end_line = 10 },
+			{ name = "fresh", kind = "Method", line = 12, end_line = 14 },
+		}
+
+		local diff = watch.diff_symbols(old, new)
+
+		assert.equals(1, #diff.added)
+		assert.equals("fresh", diff.added[1].name)
+		assert.equals(1, #diff.removed)
+		assert.equals("gone", diff.removed[1].name)
+		assert.equals(1, #diff.changed)
+		assert.equals(7, diff.changed[1].line)
+		assert.equals(5, diff.changed[1].previous_line)
+	end)
+
+	it("reports nothing for identical symbols", function()
+		local symbols = { { name = "a", kind = "Function", line = 1, end_line = 2 } }
+		local diff = watch.diff_symbols(symbols, symbols)
+		assert.equals(0, #diff.added + #diff.removed + #diff.changed)
+	end)
+
+	it("refreshes project graphs with the scanner, not LSP", function()
+		local root = vim.fs.normalize(vim.fn.tempname())
+		vim.fn.mkdir(root .. "/lua", "p")
+		vim.fn.writefile({ 'local b = require("b")' }, root .. "/lua/a.lua")
+		vim.fn.writefile({ "local function helper() end" }, root .. "/lua/b.lua")
+		vim.fn.writefile({ "return {}" }, root .. "/lua/c.lua")
+
+		local graph = scanner.scan_project(root)
+		assert.equals(root, graph.root)
+		watch.set_graph(graph)
+
+		local lsp_calls = 0
+		local get_file_node, get_file_imports = lsp.get_file_node, lsp.get_file_imports
+		lsp.get_file_node = function()
+			lsp_calls = lsp_calls + 1
+		end
+		lsp.get_file_imports = lsp.get_file_node
+		local send_graph_diff = terreno.send_graph_diff
+		local sent
+		terreno.send_graph_diff = function(diff)
+			sent = diff
+		end
+
+		watch.enable()
+		vim.cmd.edit(root .. "/lua/a.lua")
+		vim.api.nvim_buf_set_lines(0, 0, -1, false, { 'local c = require("c")', "local function run() end" })
+		vim.cmd.write()
+		vim.wait(2000, function()
+			return sent ~= nil
+		end)
+
+		watch.disable()
+		vim.cmd("bwipeout!")
+		lsp.get_file_node, lsp.get_file_imports = get_file_node, get_file_imports
+		terreno.send_graph_diff = send_graph_diff
+
+		assert.equals(0, lsp_calls)
+		assert.is_not_nil(sent)
+		assert.equals("run", sent.symbols.added[1].name)
+		assert.equals(root .. "/lua/c.lua", sent.edges.added[1].target)
+		assert.equals(1, sent.edges.added[1].data.line)
+		assert.equals(root .. "/lua/b.lua", sent.edges.removed[1].target)
+	end)
+end)